@@ -0,0 +1,178 @@
+/**
+ * Report of the priority list entries that don't get the icon they were listed for
+ *
+ * buildIconMappings fills it in while mapping the entries:
+ * - unmatched: no upstream mapping (with the closest upstream keys as suggestions),
+ *   or an upstream icon whose SVG is missing from cache/icons/
+ * - defaultOnly: entries that resolve to the default file or folder icon anyway
+ * - shadowed: entries that a rule tried before them always matches first
+ * - manualOverrides: manual mappings in build.js that replace an upstream mapping
+ *
+ * Entry types are the priority list keys (extensions, filenames, patterns, folders).
+ */
+
+const REPORT_SECTIONS = {
+  unmatched: 'Unmatched',
+  defaultOnly: 'Default icon only',
+  shadowed: 'Shadowed',
+  manualOverrides: 'Manual override',
+};
+
+const TYPE_LABELS = {
+  extensions: 'extension',
+  filenames: 'filename',
+  patterns: 'pattern',
+  folders: 'folder',
+};
+
+/**
+ * An empty report
+ */
+function createBuildReport() {
+  return { unmatched: [], defaultOnly: [], shadowed: [], manualOverrides: [] };
+}
+
+/**
+ * Number of issues in a report
+ */
+function countReportIssues(report) {
+  return Object.keys(REPORT_SECTIONS).reduce((sum, section) => sum + report[section].length, 0);
+}
+
+/**
+ * Levenshtein distance between two strings, or Infinity once it exceeds `max`
+ */
+function editDistance(a, b, max = Infinity) {
+  if (Math.abs(a.length - b.length) > max) return Infinity;
+
+  let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    if (Math.min(...current) > max) return Infinity;
+    previous = current;
+  }
+  return previous[b.length] <= max ? previous[b.length] : Infinity;
+}
+
+/**
+ * Up to `limit` upstream keys closest to a misspelled entry, closest first
+ * Allows one edit per three characters (at least one), so short entries only match near-exact keys
+ */
+function closestMatches(value, candidates, limit = 3) {
+  const name = value.toLowerCase();
+  const max = Math.max(1, Math.floor(name.length / 3));
+
+  return candidates
+    .map(candidate => [candidate, editDistance(name, candidate, max)])
+    .filter(([, distance]) => distance !== Infinity)
+    .sort(([a, distanceA], [b, distanceB]) => distanceA - distanceB || a.localeCompare(b))
+    .slice(0, limit)
+    .map(([candidate]) => candidate);
+}
+
+/**
+ * The suffix a "*suffix" pattern (one leading `*`, no other wildcard) matches every name ending with
+ */
+function catchAllSuffix(pattern) {
+  return /^\*[^*?]*$/.test(pattern) ? pattern.slice(1).toLowerCase() : null;
+}
+
+/**
+ * Find the extensions and patterns that a pattern tried before them always matches first
+ * The userscript tries patterns (most specific first) before extensions, so `*.ts`
+ * catches every file the `d.ts` extension or the `?.ts` pattern would have matched
+ *
+ * extensions: { ext: iconName } of the listed extensions
+ * patterns: [{ pattern, iconName }] in the order the userscript tries them
+ */
+function findShadowedEntries(extensions, patterns) {
+  const shadowed = [];
+  const firstCatching = (candidates, suffix) => candidates.find(({ pattern }) => {
+    const catching = catchAllSuffix(pattern);
+    return catching !== null && suffix.endsWith(catching);
+  });
+
+  Object.entries(extensions).forEach(([ext, iconName]) => {
+    const by = firstCatching(patterns, `.${ext}`);
+    if (by) {
+      shadowed.push({ type: 'extensions', entry: ext, icon: iconName, shadowedBy: by.pattern, shadowedByIcon: by.iconName });
+    }
+  });
+
+  patterns.forEach(({ pattern, iconName }, index) => {
+    // Every name the pattern matches ends with the literal text after its last wildcard
+    const trailing = pattern.slice(Math.max(pattern.lastIndexOf('*'), pattern.lastIndexOf('?')) + 1).toLowerCase();
+    const by = firstCatching(patterns.slice(0, index), trailing);
+    if (by) {
+      shadowed.push({ type: 'patterns', entry: pattern, icon: iconName, shadowedBy: by.pattern, shadowedByIcon: by.iconName });
+    }
+  });
+
+  return shadowed;
+}
+
+/**
+ * Describe an issue for the console table
+ */
+function describeIssue(section, issue) {
+  switch (section) {
+    case 'unmatched':
+      if (issue.reason === 'missing-icon') {
+        return `icon "${issue.icon}" is missing from cache/icons/ (run "npm run fetch")`;
+      }
+      if (issue.type === 'patterns') {
+        return 'no matching upstream icon (use { pattern, icon } to pick one)';
+      }
+      return issue.suggestions.length > 0
+        ? `no upstream mapping, did you mean ${issue.suggestions.join(', ')}?`
+        : 'no upstream mapping';
+    case 'defaultOnly':
+      return `upstream maps it to the default "${issue.icon}" icon`;
+    case 'shadowed':
+      return `→ ${issue.icon}, but ${issue.shadowedBy} (→ ${issue.shadowedByIcon}) always matches first`;
+    default:
+      return issue.upstreamIcon
+        ? `→ ${issue.icon} instead of upstream's ${issue.upstreamIcon}`
+        : `→ ${issue.icon}`;
+  }
+}
+
+/**
+ * Print the report as a table, or a single line when there is nothing to report
+ */
+function printBuildReport(report) {
+  const issues = countReportIssues(report);
+  if (issues === 0) {
+    console.log('  ✓ Report: every listed entry maps to its own upstream icon');
+    return;
+  }
+
+  const rows = [];
+  Object.entries(REPORT_SECTIONS).forEach(([section, label]) => {
+    report[section].forEach(issue => {
+      rows.push([label, TYPE_LABELS[issue.type], issue.entry, describeIssue(section, issue)]);
+    });
+  });
+  const widths = [0, 1, 2].map(column => Math.max(...rows.map(row => row[column].length), ['Issue', 'Type', 'Entry'][column].length));
+
+  console.log(`\nBuild report (${issues} ${issues === 1 ? 'issue' : 'issues'}):`);
+  console.log(`  ${'Issue'.padEnd(widths[0])}  ${'Type'.padEnd(widths[1])}  ${'Entry'.padEnd(widths[2])}  Details`);
+  rows.forEach(([label, type, entry, details]) => {
+    console.log(`  ${label.padEnd(widths[0])}  ${type.padEnd(widths[1])}  ${entry.padEnd(widths[2])}  ${details}`);
+  });
+}
+
+module.exports = {
+  createBuildReport,
+  countReportIssues,
+  closestMatches,
+  findShadowedEntries,
+  printBuildReport,
+};
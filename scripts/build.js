@@ -2,79 +2,211 @@
  * Build the final userscript with embedded SVG icons as data URIs
  */
 
+const { execSync } = require('child_process');
 const fs = require('fs');
 const path = require('path');
-
+const zlib = require('zlib');
+const { globToRegExpSource, patternSpecificity, resolvePatternIcon } = require('./patterns');
+const { ICON_PACKS, applyIconPacks } = require('./icon-model');
+const { bundle } = require('./bundle');
+const { minifySvg, svgToDataUri } = require('./svg-optimize');
+const { createBuildReport, countReportIssues, closestMatches, findShadowedEntries, printBuildReport } = require('./build-report');
+const { PRESETS_DIR, loadPriorityList, parseListArgs } = require('./presets');
+
+const SRC_DIR = path.join(__dirname, '..', 'src');
+const RUNTIME_DIR = path.join(SRC_DIR, 'runtime');
 const CACHE_DIR = path.join(__dirname, '..', 'cache');
 const ICONS_DIR = path.join(CACHE_DIR, 'icons');
 const DIST_DIR = path.join(__dirname, '..', 'dist');
-const OUTPUT_FILE = path.join(DIST_DIR, 'github-material-icons.user.js');
+const OUTPUT_NAME = 'github-material-icons';
 
 // Ensure dist directory exists
 if (!fs.existsSync(DIST_DIR)) {
   fs.mkdirSync(DIST_DIR, { recursive: true });
 }
 
+// Defaults for the priority list's `output` options
+const DEFAULT_OUTPUT = {
+  minifySvg: true,
+  precision: 3,
+  dataUri: 'base64',
+  rendering: 'img',
+  budget: { userscriptKB: 0, iconKB: 0 },
+};
+
 /**
- * Convert SVG to base64 data URI
+ * Merge the priority list's `output` options with the defaults
  */
-function svgToDataUri(svgContent) {
-  const base64 = Buffer.from(svgContent).toString('base64');
-  return `data:image/svg+xml;base64,${base64}`;
+function resolveOutputOptions(output = {}) {
+  return {
+    ...DEFAULT_OUTPUT,
+    ...output,
+    budget: { ...DEFAULT_OUTPUT.budget, ...output.budget },
+  };
 }
 
 /**
- * Build icon mappings from cached data
- * Returns both the icon data (deduplicated) and mappings that reference icon names
+ * Normalize a priority list extension (".D.TS" -> "d.ts")
  */
-function buildIconMappings() {
-  console.log('Building icon mappings...\n');
+function normalizeExtension(ext) {
+  return ext.replace(/^\./, '').toLowerCase();
+}
+
+/**
+ * Lowercase the keys of a mapping table (filename/folder matching is case-insensitive)
+ * When keys collide, the first one wins
+ */
+function lowercaseKeys(table) {
+  const result = {};
+  for (const [key, value] of Object.entries(table || {})) {
+    const lowerKey = key.toLowerCase();
+    if (!(lowerKey in result)) {
+      result[lowerKey] = value;
+    }
+  }
+  return result;
+}
+
+// Manual mappings for files not in Material Icons fileExtensions
+const MANUAL_FILENAME_MAPPINGS = {
+  '.distignore': 'git',  // WordPress distribution ignore file (same as .gitignore)
+};
 
-  const priorityList = require('../src/priority-list.js');
+// Manual extension mappings (for extensions not in Material Icons fileExtensions)
+const MANUAL_EXTENSION_MAPPINGS = {
+  'yml': 'yaml',
+  'yaml': 'yaml',
+  'html': 'html',  // Material Icons only maps 'htm', not 'html'
+};
+
+/**
+ * Load upstream's lookup tables from the cache, with the given icon packs applied,
+ * lowercased filename/folder keys and the manual mappings added
+ * Returns { fileIcons, folderIcons } (the shapes of cache/fileIcons.json and folderIcons.json)
+ * and `manualOverrides`, the manual mappings that replace a different upstream icon
+ */
+function loadIconTables(iconPacks = []) {
   const fileIconsPath = path.join(CACHE_DIR, 'fileIcons.json');
   const folderIconsPath = path.join(CACHE_DIR, 'folderIcons.json');
 
   if (!fs.existsSync(fileIconsPath) || !fs.existsSync(folderIconsPath)) {
-    console.error('Error: Icon definitions not found. Run "npm run fetch" first.');
-    process.exit(1);
+    throw new Error('Icon definitions not found. Run "npm run fetch" first.');
   }
 
-  const fileIcons = JSON.parse(fs.readFileSync(fileIconsPath, 'utf8'));
-  const folderIcons = JSON.parse(fs.readFileSync(folderIconsPath, 'utf8'));
+  const cachedFileIcons = JSON.parse(fs.readFileSync(fileIconsPath, 'utf8'));
+  const cachedFolderIcons = JSON.parse(fs.readFileSync(folderIconsPath, 'utf8'));
 
-  // Manual mappings for files not in Material Icons fileExtensions
-  const manualFilenameMappings = {
-    '.distignore': 'git',  // WordPress distribution ignore file (same as .gitignore)
-  };
+  const availablePacks = new Set([
+    ...Object.values(ICON_PACKS),
+    ...Object.keys(cachedFileIcons.packs || {}),
+    ...Object.keys(cachedFolderIcons.packs || {}),
+  ]);
+  iconPacks.filter(pack => !availablePacks.has(pack)).forEach(pack => {
+    console.log(`  ⚠ Unknown icon pack "${pack}" (available: ${[...availablePacks].join(', ')})`);
+  });
 
-  // Manual extension mappings (for extensions not in Material Icons fileExtensions)
-  const manualExtensionMappings = {
-    'yml': 'yaml',
-    'yaml': 'yaml',
-    'html': 'html',  // Material Icons only maps 'htm', not 'html'
-  };
+  const fileIcons = applyIconPacks(cachedFileIcons, iconPacks);
+  const folderIcons = applyIconPacks(cachedFolderIcons, iconPacks);
 
-  // Add manual mappings to fileIcons
-  Object.assign(fileIcons.fileNames, manualFilenameMappings);
-  Object.assign(fileIcons.fileExtensions, manualExtensionMappings);
+  // Normalize keys, in case the cache predates lowercasing in the fetch script
+  fileIcons.fileNames = lowercaseKeys(fileIcons.fileNames);
+  folderIcons.folderNames = lowercaseKeys(folderIcons.folderNames);
+  folderIcons.folderNamesExpanded = lowercaseKeys(folderIcons.folderNamesExpanded);
+  if (fileIcons.light) {
+    fileIcons.light.fileNames = lowercaseKeys(fileIcons.light.fileNames);
+  }
+  if (folderIcons.light) {
+    folderIcons.light.folderNames = lowercaseKeys(folderIcons.light.folderNames);
+    folderIcons.light.folderNamesExpanded = lowercaseKeys(folderIcons.light.folderNamesExpanded);
+  }
+
+  const manualOverrides = [
+    ...Object.entries(MANUAL_EXTENSION_MAPPINGS).map(([entry, icon]) => ({ type: 'extensions', entry, icon, upstreamIcon: fileIcons.fileExtensions[entry] })),
+    ...Object.entries(MANUAL_FILENAME_MAPPINGS).map(([entry, icon]) => ({ type: 'filenames', entry, icon, upstreamIcon: fileIcons.fileNames[entry] })),
+  ].filter(({ icon, upstreamIcon }) => upstreamIcon && upstreamIcon !== icon);
+
+  Object.assign(fileIcons.fileNames, MANUAL_FILENAME_MAPPINGS);
+  Object.assign(fileIcons.fileExtensions, MANUAL_EXTENSION_MAPPINGS);
+
+  return { fileIcons, folderIcons, manualOverrides };
+}
+
+/**
+ * Build icon mappings from cached data
+ * Returns both the icon data (deduplicated) and mappings that reference icon names
+ *
+ * options.presets overrides the priority list's `extends` (see the --preset flag)
+ * options.iconPacks overrides the priority list's `iconPacks` (see the --pack flag)
+ * options.allIcons overrides the priority list's `allIcons` (see the --all-icons flag)
+ *
+ * With allIcons, every upstream mapping is included and the icons other than the
+ * defaults are returned as minified SVGs in `bundledSvgs`, for the compressed payload
+ *
+ * `report` lists the priority list entries that don't get the icon they were listed
+ * for (see ./build-report)
+ */
+function buildIconMappings(options = {}) {
+  console.log('Building icon mappings...\n');
+
+  // Composed from the presets (read fresh, so watch mode picks up edits)
+  const priorityList = loadPriorityList(options.presets);
+  if (priorityList.presets.length > 0) {
+    console.log(`  ✓ Presets: ${priorityList.presets.join(', ')}`);
+  }
+  // Apply the selected icon packs (e.g. React or Vue folder icons), first listed wins
+  const iconPacks = options.iconPacks || priorityList.iconPacks || [];
+  const { fileIcons, folderIcons, manualOverrides } = loadIconTables(iconPacks);
+  if (iconPacks.length > 0) {
+    console.log(`  ✓ Icon packs: ${iconPacks.join(', ')}`);
+  }
 
   // Deduplicated icon storage: icon name → data URI
   const icons = {};
 
+  // Embed every upstream mapping, with the icons in a compressed payload decoded in the browser
+  const allIcons = options.allIcons !== undefined ? options.allIcons : !!priorityList.allIcons;
+  const bundledSvgs = allIcons ? {} : null;
+  const logMapping = allIcons ? () => {} : message => console.log(message);
+
+  // Bytes per icon: { raw, minified, dataUri } (for the size report and budget)
+  const output = resolveOutputOptions(priorityList.output);
+  const iconSizes = {};
+
+  // Helper to minify and encode an SVG into the icons map
+  // Bundled icons (allIcons) stay SVG markup; the runtime creates their data URI on first use
+  function embedSvg(iconName, svgContent, bundled = false) {
+    const svg = output.minifySvg ? minifySvg(svgContent, { precision: output.precision }) : svgContent;
+    const dataUri = bundled ? svgToDataUri(svg, 'utf8') : svgToDataUri(svg, output.dataUri);
+    if (bundled) {
+      bundledSvgs[iconName] = svg;
+    } else {
+      icons[iconName] = dataUri;
+      if (bundledSvgs) delete bundledSvgs[iconName];
+    }
+    iconSizes[iconName] = {
+      raw: Buffer.byteLength(svgContent),
+      minified: Buffer.byteLength(svg),
+      dataUri: Buffer.byteLength(dataUri),
+    };
+  }
+
   // Mappings that reference icon names instead of full data URIs
   const mappings = {
     extensions: {},
     filenames: {},
+    // [regex source, icon name] pairs, most specific pattern first
+    patterns: [],
     folders: {},
+    foldersExpanded: {},
+    light: {},
   };
 
-  // Helper to load an icon and store it in the icons map
-  function loadIcon(iconName) {
-    if (!icons[iconName]) {
+  // Helper to load an icon and store it in the icons map (or the bundled icons)
+  function loadIcon(iconName, bundled = allIcons) {
+    if (!icons[iconName] && !(bundled && bundledSvgs[iconName])) {
       const iconPath = path.join(ICONS_DIR, `${iconName}.svg`);
       if (fs.existsSync(iconPath)) {
-        const svgContent = fs.readFileSync(iconPath, 'utf8');
-        icons[iconName] = svgToDataUri(svgContent);
+        embedSvg(iconName, fs.readFileSync(iconPath, 'utf8'), bundled);
         return true;
       }
       return false;
@@ -82,55 +214,150 @@ function buildIconMappings() {
     return true; // Already loaded
   }
 
-  // Map extensions
-  priorityList.extensions.forEach(ext => {
-    if (fileIcons.fileExtensions && fileIcons.fileExtensions[ext]) {
-      const iconName = fileIcons.fileExtensions[ext];
+  // The entries to map: the priority list's, plus every upstream key with allIcons
+  function entriesToMap(listed, upstreamTable) {
+    return allIcons ? [...new Set([...listed, ...Object.keys(upstreamTable || {})])] : listed;
+  }
 
-      if (loadIcon(iconName)) {
-        mappings.extensions[ext] = iconName;
-        console.log(`  ✓ .${ext} → ${iconName}`);
-      }
+  // Entries that won't get the icon they were listed for (only the priority list's are reported)
+  const report = createBuildReport();
+  const listed = {
+    extensions: new Set(priorityList.extensions.map(normalizeExtension)),
+    filenames: new Set(priorityList.filenames),
+    folders: new Set(priorityList.folders),
+  };
+  // Manual mappings are keyed in lowercase, like the upstream tables
+  const listedFilenames = new Set(priorityList.filenames.map(name => name.toLowerCase()));
+  report.manualOverrides = manualOverrides.filter(({ type, entry }) => (
+    type === 'filenames' ? listedFilenames.has(entry) : listed[type].has(entry)
+  ));
+
+  // Helper to report an entry without an upstream mapping (with the closest upstream
+  // keys), without its SVG, or mapped to the default icon
+  function reportEntry(type, entry, iconName, loaded, upstreamTable, defaultIconName) {
+    if (!listed[type].has(entry)) return;
+    if (!iconName) {
+      report.unmatched.push({ type, entry, reason: 'unmapped', suggestions: closestMatches(entry, Object.keys(upstreamTable || {})) });
+    } else if (!loaded) {
+      report.unmatched.push({ type, entry, reason: 'missing-icon', icon: iconName });
+    } else if (iconName === defaultIconName) {
+      report.defaultOnly.push({ type, entry, icon: iconName });
+    }
+  }
+
+  // Helper to embed the light-theme variant of an icon, if upstream ships one
+  function loadLightVariant(iconName, lightIconName) {
+    if (lightIconName && loadIcon(lightIconName)) {
+      mappings.light[iconName] = lightIconName;
     }
+  }
+
+  const lightIcons = {
+    fileExtensions: (fileIcons.light && fileIcons.light.fileExtensions) || {},
+    fileNames: (fileIcons.light && fileIcons.light.fileNames) || {},
+    folderNames: (folderIcons.light && folderIcons.light.folderNames) || {},
+    folderNamesExpanded: (folderIcons.light && folderIcons.light.folderNamesExpanded) || {},
+  };
+
+  // Map extensions (multi-part extensions like "d.ts" or "tar.gz" are matched longest-first at runtime)
+  entriesToMap(priorityList.extensions.map(normalizeExtension), fileIcons.fileExtensions).forEach(ext => {
+    const iconName = fileIcons.fileExtensions && fileIcons.fileExtensions[ext];
+    const loaded = !!iconName && loadIcon(iconName);
+
+    if (loaded) {
+      mappings.extensions[ext] = iconName;
+      loadLightVariant(iconName, lightIcons.fileExtensions[ext]);
+      logMapping(`  ✓ .${ext} → ${iconName}`);
+    }
+    reportEntry('extensions', ext, iconName, loaded, fileIcons.fileExtensions, 'file');
   });
 
-  // Map specific filenames
-  priorityList.filenames.forEach(filename => {
-    if (fileIcons.fileNames && fileIcons.fileNames[filename]) {
-      const iconName = fileIcons.fileNames[filename];
+  // Map specific filenames (keys are lowercased, matched case-insensitively at runtime)
+  entriesToMap(priorityList.filenames, fileIcons.fileNames).forEach(filename => {
+    const key = filename.toLowerCase();
+    const iconName = fileIcons.fileNames && fileIcons.fileNames[key];
+    const loaded = !!iconName && loadIcon(iconName);
 
-      if (loadIcon(iconName)) {
-        mappings.filenames[filename] = iconName;
-        console.log(`  ✓ ${filename} → ${iconName}`);
-      }
+    if (loaded) {
+      mappings.filenames[key] = iconName;
+      loadLightVariant(iconName, lightIcons.fileNames[key]);
+      logMapping(`  ✓ ${filename} → ${iconName}`);
     }
+    reportEntry('filenames', filename, iconName, loaded, fileIcons.fileNames, 'file');
   });
 
-  // Map folders
-  priorityList.folders.forEach(folder => {
-    if (folderIcons.folderNames && folderIcons.folderNames[folder]) {
-      const iconName = folderIcons.folderNames[folder];
+  // Map filename patterns (compiled to regexes, longest pattern first)
+  const compiledPatterns = [];
+  (priorityList.patterns || []).forEach(entry => {
+    const { pattern, iconName, lightIconName } = resolvePatternIcon(entry, fileIcons);
 
-      if (loadIcon(iconName)) {
-        mappings.folders[folder] = iconName;
-        console.log(`  ✓ ${folder}/ → ${iconName}`);
+    if (!iconName) {
+      report.unmatched.push({ type: 'patterns', entry: pattern, reason: 'unmapped', suggestions: [] });
+    } else if (!loadIcon(iconName)) {
+      report.unmatched.push({ type: 'patterns', entry: pattern, reason: 'missing-icon', icon: iconName });
+    } else {
+      compiledPatterns.push({ pattern, iconName });
+      loadLightVariant(iconName, lightIconName);
+      logMapping(`  ✓ ${pattern} → ${iconName}`);
+      if (iconName === 'file') {
+        report.defaultOnly.push({ type: 'patterns', entry: pattern, icon: iconName });
       }
     }
   });
+  // Array.prototype.sort is stable, so equally specific patterns keep their list order
+  compiledPatterns.sort((a, b) => patternSpecificity(b.pattern) - patternSpecificity(a.pattern));
+
+  // Patterns are tried before extensions, so a "*.ts" pattern hides the "d.ts" extension
+  const listedExtensions = Object.fromEntries(Object.entries(mappings.extensions).filter(([ext]) => listed.extensions.has(ext)));
+  report.shadowed = findShadowedEntries(listedExtensions, compiledPatterns);
+  mappings.patterns = compiledPatterns.map(({ pattern, iconName }) => [globToRegExpSource(pattern), iconName]);
+
+  // Map folders (keys are lowercased, matched case-insensitively at runtime)
+  entriesToMap(priorityList.folders, folderIcons.folderNames).forEach(folder => {
+    const key = folder.toLowerCase();
+    const iconName = folderIcons.folderNames && folderIcons.folderNames[key];
+    const loaded = !!iconName && loadIcon(iconName);
+
+    if (loaded) {
+      mappings.folders[key] = iconName;
+      loadLightVariant(iconName, lightIcons.folderNames[key]);
+      logMapping(`  ✓ ${folder}/ → ${iconName}`);
+
+      // Embed the open variant next to the closed one (used when expanded in the tree view)
+      const expandedIconName = folderIcons.folderNamesExpanded[key];
+      if (expandedIconName && loadIcon(expandedIconName)) {
+        mappings.foldersExpanded[key] = expandedIconName;
+        loadLightVariant(expandedIconName, lightIcons.folderNamesExpanded[key]);
+      }
+    }
+    reportEntry('folders', folder, iconName, loaded, folderIcons.folderNames, 'folder');
+  });
 
-  // Add default file/folder icons if they exist
-  if (loadIcon('file')) {
+  // Add default file/folder icons if they exist (always embedded, so they show even
+  // if the compressed payload can't be decoded)
+  if (loadIcon('file', false)) {
     mappings.defaultFile = 'file';
   } else {
     console.log('  ⚠ No default file icon found, will use first matched icon as fallback');
   }
 
-  if (loadIcon('folder')) {
+  if (loadIcon('folder', false)) {
     mappings.defaultFolder = 'folder';
   } else {
     console.log('  ⚠ No default folder icon found, will use first matched icon as fallback');
   }
 
+  if (loadIcon('folder-open', false)) {
+    mappings.defaultFolderExpanded = 'folder-open';
+  }
+
+  // Folder name variants to try at runtime (see folderMatching in the priority list)
+  const folderMatching = priorityList.folderMatching || {};
+  mappings.folderMatching = {
+    underscorePrefixes: folderMatching.underscorePrefixes !== false,
+    plurals: !!folderMatching.plurals,
+  };
+
   // Add symlink icon
   // This icon is from the material-icons-browser-extension's custom icons, not the VS Code theme.
   // It's embedded directly here because it's not part of the upstream vscode-material-icon-theme
@@ -138,564 +365,444 @@ function buildIconMappings() {
   // for filesystem symlinks (folder-symlink.svg).
   // Source: https://github.com/material-extensions/material-icons-browser-extension/blob/main/src/custom/folder-symlink.svg
   const symlinkSvg = '<svg version="1.1" viewBox="0 0 32 32" xml:space="preserve" xmlns="http://www.w3.org/2000/svg"><path d="M13.84376,7.53645l-1.28749-1.0729A2,2,0,0,0,11.27591,6H4A2,2,0,0,0,2,8V24a2,2,0,0,0,2,2H28a2,2,0,0,0,2-2V10a2,2,0,0,0-2-2H15.12412A2,2,0,0,1,13.84376,7.53645Z" fill="#90a4ae"/><g transform="translate(3.233,3.34)" fill="#eceff1"><path d="m20.767 9.66v4h-8v6h8v4l8-7z" fill="#eceff1" /></g></svg>';
-  icons['folder-symlink'] = svgToDataUri(symlinkSvg);
+  embedSvg('folder-symlink', symlinkSvg);
   mappings.symlink = 'folder-symlink';
   console.log('  ✓ Added symlink icon (folder-symlink)');
 
-  console.log(`\n✓ Built ${Object.keys(icons).length} unique icons and mappings for ${Object.keys(mappings.extensions).length} extensions, ${Object.keys(mappings.filenames).length} filenames, ${Object.keys(mappings.folders).length} folders`);
+  if (Object.keys(mappings.light).length > 0) {
+    console.log(`  ✓ Added ${Object.keys(mappings.light).length} light theme variants`);
+  }
+
+  if (allIcons) {
+    console.log(`  ✓ All icons: ${Object.keys(bundledSvgs).length} icons in the compressed payload`);
+  }
+
+  console.log(`\n✓ Built ${Object.keys(icons).length + Object.keys(bundledSvgs || {}).length} unique icons and mappings for ${Object.keys(mappings.extensions).length} extensions, ${Object.keys(mappings.filenames).length} filenames, ${mappings.patterns.length} patterns, ${Object.keys(mappings.folders).length} folders`);
+
+  return { icons, mappings, iconSizes, output, bundledSvgs, report };
+}
+
+/**
+ * Sites the userscript runs on (emitted as @match lines)
+ */
+const MATCH_PATTERNS = [
+  'https://github.com/*',
+  'https://gist.github.com/*',
+];
+
+/**
+ * Read which upstream version the cached icons came from (written by the fetch script)
+ */
+function readUpstreamInfo() {
+  const upstreamPath = path.join(CACHE_DIR, 'upstream.json');
+  if (!fs.existsSync(upstreamPath)) {
+    console.log('  ⚠ Upstream version unknown (cache predates icons.lock.json, run "npm run fetch")');
+    return { commit: null, date: null, version: null };
+  }
+  const { commit, date, version = null } = JSON.parse(fs.readFileSync(upstreamPath, 'utf8'));
+  return { commit, date, version };
+}
+
+/**
+ * Short label for the upstream version: the commit when known (git checkout,
+ * GitHub tarball), otherwise the package version (npm tarball), or null
+ */
+function describeUpstream({ commit, date, version }) {
+  const label = commit ? commit.slice(0, 7) : version ? `v${version}` : null;
+  return label && date ? `${label} (${date})` : label;
+}
+
+/**
+ * Build the stylesheet for stylesheet rendering: one class per icon, holding its data URI
+ * Returns the stylesheet and the icon table for the runtime (icon name -> class)
+ */
+function buildIconStylesheet(icons) {
+  const classes = {};
+  const rules = [
+    '.material-icon-replacement{display:inline-block;width:16px;height:16px;vertical-align:text-bottom;background:no-repeat center/16px 16px}',
+  ];
+
+  Object.entries(icons).forEach(([iconName, dataUri]) => {
+    // "--" keeps icon classes apart from the base class (an icon could be named "replacement")
+    classes[iconName] = `material-icon--${iconName.replace(/[^\w-]/g, '_')}`;
+    rules.push(`.${classes[iconName]}{background-image:url("${dataUri}")}`);
+  });
+
+  return { classes, stylesheet: rules.join('\n') };
+}
+
+/**
+ * Compress the bundled icons of an allIcons build: deflated JSON (icon name -> SVG), as base64
+ * The runtime decodes it with the browser's DecompressionStream('deflate')
+ */
+function compressIcons(bundledSvgs) {
+  return zlib.deflateSync(JSON.stringify(bundledSvgs), { level: 9 }).toString('base64');
+}
+
+/**
+ * Bundle the browser runtime (src/runtime/) with the built icons and mappings
+ * The data is emitted as constants at the top of the bundle, and src/runtime/data.js
+ * is replaced by a module that exports them
+ *
+ * options.rendering: 'img' or 'stylesheet'
+ * options.iconBundle: the compressed icons of an allIcons build (see compressIcons)
+ */
+function generateRuntime(icons, mappings, upstream, { rendering = 'img', iconBundle = '' } = {}) {
+  let iconTable = icons;
+  let stylesheet = '';
+  if (rendering === 'stylesheet') {
+    ({ classes: iconTable, stylesheet } = buildIconStylesheet(icons));
+  } else if (rendering !== 'img') {
+    throw new Error(`Unknown rendering "${rendering}" (use "img" or "stylesheet")`);
+  }
+
+  const preamble = `    // Upstream version the icons were built from (see icons.lock.json)
+    const UPSTREAM = ${JSON.stringify(upstream)};
+
+    // Icon data (deduplicated - each unique icon stored once)
+    const ICONS = ${JSON.stringify(iconTable, null, 2)};
 
-  return { icons, mappings };
+    // How icons are rendered (see src/runtime/data.js)
+    const RENDERING = ${JSON.stringify({ mode: rendering, stylesheet })};
+
+    // Compressed icons, decoded on startup (all icons builds)
+    const ICON_BUNDLE = ${JSON.stringify({ data: iconBundle })};
+
+    // Icon mappings (reference icon names, not full data URIs)
+    const ICON_MAPPINGS = ${JSON.stringify(mappings, null, 2)};
+`;
+
+  return bundle(path.join(RUNTIME_DIR, 'index.js'), {
+    overrides: { [path.join(RUNTIME_DIR, 'data.js')]: 'module.exports = { UPSTREAM, ICONS, RENDERING, ICON_BUNDLE, ICON_MAPPINGS };' },
+    preamble,
+  });
+}
+
+/**
+ * File name and @name of the userscript for a --preset selection
+ * Preset builds get their own file and name, so they don't replace the default build
+ */
+function describeBuild(presets) {
+  if (!presets || presets.length === 0) {
+    return { filename: `${OUTPUT_NAME}.user.js`, name: 'GitHub Material Icons' };
+  }
+  return {
+    filename: `${OUTPUT_NAME}-${presets.join('-')}.user.js`,
+    name: `GitHub Material Icons (${presets.join(' + ')})`,
+  };
 }
 
 /**
  * Generate the final userscript
+ * options.presets (the --preset selection) names the script; the rest goes to generateRuntime
  */
-function generateUserscript(icons, mappings) {
+function generateUserscript(icons, mappings, upstream = { commit: null, date: null, version: null }, { presets, ...runtimeOptions } = {}) {
+  const { filename, name } = describeBuild(presets);
   const pkg = JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'package.json'), 'utf8'));
+  const matchLines = MATCH_PATTERNS.map(pattern => `// @match        ${pattern}`).join('\n');
+  const upstreamLabel = describeUpstream(upstream);
+  const upstreamUrl = upstream.commit ? `/tree/${upstream.commit}` : upstream.version ? `/releases/tag/v${upstream.version}` : '';
 
   const userscript = `// ==UserScript==
-// @name         GitHub Material Icons
+// @name         ${name}
 // @namespace    http://brianalexander.com/
 // @version      ${pkg.version}
 // @description  ${pkg.description}
 // @author       ${pkg.author}
-// @match        https://github.com/*
-// @grant        none
+${matchLines}
+// @grant        GM_getValue
+// @grant        GM_setValue
+// @grant        GM_registerMenuCommand
+// @grant        GM.getValue
+// @grant        GM.setValue
+// @grant        GM.registerMenuCommand
 // @run-at       document-end
 // @inject-into  content
-// @updateURL    https://raw.githubusercontent.com/ironprogrammer/github-material-icons-userscript/main/dist/github-material-icons.user.js
-// @downloadURL  https://raw.githubusercontent.com/ironprogrammer/github-material-icons-userscript/main/dist/github-material-icons.user.js
+// @updateURL    https://raw.githubusercontent.com/ironprogrammer/github-material-icons-userscript/main/dist/${filename}
+// @downloadURL  https://raw.githubusercontent.com/ironprogrammer/github-material-icons-userscript/main/dist/${filename}
 // ==/UserScript==
 
-(function() {
-    'use strict';
+// Icons: vscode-material-icon-theme ${upstreamLabel || 'unknown version'}
+// https://github.com/material-extensions/vscode-material-icon-theme${upstreamUrl}
 
-    // Icon data (deduplicated - each unique icon stored once)
-    const ICONS = ${JSON.stringify(icons, null, 2)};
-
-    // Icon mappings (reference icon names, not full data URIs)
-    const ICON_MAPPINGS = ${JSON.stringify(mappings, null, 2)};
+${generateRuntime(icons, mappings, { ...upstream, label: upstreamLabel }, runtimeOptions)}`;
+  
+  return userscript;
+}
 
-    /**
-     * Get icon data URI for an icon name
-     */
-    function getIconDataUri(iconName) {
-        return iconName ? ICONS[iconName] : null;
-    }
+/**
+ * Format a byte count in KB
+ */
+function formatKB(bytes) {
+  return `${(bytes / 1024).toFixed(2)} KB`;
+}
 
-    /**
-     * Get icon name for a file based on filename and extension
-     */
-    function getFileIconName(filename) {
-        // Check for exact filename match first
-        if (ICON_MAPPINGS.filenames[filename]) {
-            return ICON_MAPPINGS.filenames[filename];
-        }
+/**
+ * Print the size of every embedded icon, largest data URI first
+ */
+function printSizeReport(iconSizes) {
+  const rows = Object.entries(iconSizes).sort(([, a], [, b]) => b.dataUri - a.dataUri);
+  const nameWidth = Math.max(4, ...rows.map(([iconName]) => iconName.length));
+
+  console.log('\nIcon sizes (bytes):');
+  console.log(`  ${'Icon'.padEnd(nameWidth)}  ${'SVG'.padStart(7)}  ${'Minified'.padStart(8)}  ${'Data URI'.padStart(8)}`);
+  rows.forEach(([iconName, { raw, minified, dataUri }]) => {
+    console.log(`  ${iconName.padEnd(nameWidth)}  ${String(raw).padStart(7)}  ${String(minified).padStart(8)}  ${String(dataUri).padStart(8)}`);
+  });
+}
 
-        // Handle compound extensions (e.g., "phpcs.xml.dist" -> try "phpcs.xml" then ".xml")
-        const parts = filename.split('.');
-        if (parts.length > 2) {
-            // Try removing the last extension (e.g., "phpcs.xml.dist" -> "phpcs.xml")
-            const withoutLastExt = parts.slice(0, -1).join('.');
-            if (ICON_MAPPINGS.filenames[withoutLastExt]) {
-                return ICON_MAPPINGS.filenames[withoutLastExt];
-            }
-
-            // Try the second-to-last extension (e.g., ".xml" from "phpcs.xml.dist")
-            const secondExt = parts[parts.length - 2].toLowerCase();
-            if (ICON_MAPPINGS.extensions[secondExt]) {
-                return ICON_MAPPINGS.extensions[secondExt];
-            }
-        }
+/**
+ * Check the userscript and icon sizes against the priority list's `output.budget`
+ * Returns the violations (empty when within budget)
+ */
+function checkSizeBudget(userscriptBytes, iconSizes, budget) {
+  const violations = [];
 
-        // Check for simple extension match
-        if (parts.length > 1) {
-            const ext = parts[parts.length - 1].toLowerCase();
-            if (ICON_MAPPINGS.extensions[ext]) {
-                return ICON_MAPPINGS.extensions[ext];
-            }
-        }
+  if (budget.userscriptKB > 0 && userscriptBytes > budget.userscriptKB * 1024) {
+    violations.push(`userscript is ${formatKB(userscriptBytes)} (budget: ${budget.userscriptKB} KB)`);
+  }
+  if (budget.iconKB > 0) {
+    Object.entries(iconSizes)
+      .filter(([, { dataUri }]) => dataUri > budget.iconKB * 1024)
+      .forEach(([iconName, { dataUri }]) => {
+        violations.push(`icon "${iconName}" is ${formatKB(dataUri)} (budget: ${budget.iconKB} KB)`);
+      });
+  }
 
-        // Return default file icon name (or null to keep GitHub's default)
-        return ICON_MAPPINGS.defaultFile || null;
-    }
+  return violations;
+}
 
-    /**
-     * Get icon name for a folder
-     */
-    function getFolderIconName(foldername) {
-        // Try exact match first
-        if (ICON_MAPPINGS.folders[foldername]) {
-            return ICON_MAPPINGS.folders[foldername];
-        }
+/**
+ * Main build function
+ * Returns the built mappings, or null if the build failed in watch mode
+ */
+function build(options = {}) {
+  console.log('Building GitHub Material Icons userscript...\n');
 
-        // Try without leading dot (e.g., .github -> github)
-        if (foldername.startsWith('.')) {
-            const withoutDot = foldername.substring(1);
-            if (ICON_MAPPINGS.folders[withoutDot]) {
-                return ICON_MAPPINGS.folders[withoutDot];
-            }
-        }
+  try {
+    // Build icon mappings (returns both icons and mappings)
+    const { icons, mappings, iconSizes, output, bundledSvgs, report } = buildIconMappings(options);
 
-        return ICON_MAPPINGS.defaultFolder || null;
+    // Entries that don't get the icon they were listed for (as JSON on stdout with --json)
+    printBuildReport(report);
+    if (options.json) {
+      process.stdout.write(`${JSON.stringify(report, null, 2)}\n`);
     }
-
-    /**
-     * Create a Material icon img element
-     */
-    function createIconImg(iconDataUri, marginRight = '') {
-        const img = document.createElement('img');
-        img.src = iconDataUri;
-        img.style.width = '16px';
-        img.style.height = '16px';
-        img.style.display = 'inline-block';
-        img.style.verticalAlign = 'text-bottom';
-        if (marginRight) {
-            img.style.marginRight = marginRight;
-        }
-        img.setAttribute('aria-hidden', 'true');
-        img.classList.add('material-icon-replacement');
-        return img;
+    const issues = countReportIssues(report);
+    if (options.strict && issues > 0) {
+      // The report above already says what is wrong, so no stack trace
+      console.error(`\n✗ Build report has ${issues} ${issues === 1 ? 'issue' : 'issues'} (--strict)`);
+      if (!options.watch) {
+        process.exit(1);
+      }
+      return null;
     }
 
-    /**
-     * Determine the icon name based on element type and name
-     * Shared logic for both main file browser and tree view
-     */
-    function determineIconName(name, isSymlink, isFolder) {
-        if (isSymlink) {
-            return ICON_MAPPINGS.symlink;
-        } else if (isFolder) {
-            return getFolderIconName(name);
-        } else {
-            return getFileIconName(name);
-        }
+    // Generate userscript
+    console.log('\nGenerating userscript...');
+    const upstream = readUpstreamInfo();
+    let rendering = options.rendering || output.rendering;
+    let iconBundle = '';
+    if (bundledSvgs) {
+      if (rendering === 'stylesheet') {
+        console.log('  ⚠ Stylesheet rendering is not available with allIcons (icons are decoded in the browser), using img');
+        rendering = 'img';
+      }
+      iconBundle = compressIcons(bundledSvgs);
+      const svgBytes = Object.values(bundledSvgs).reduce((sum, svg) => sum + Buffer.byteLength(svg), 0);
+      console.log(`  ✓ Icon payload: ${Object.keys(bundledSvgs).length} SVGs, ${formatKB(svgBytes)} → ${formatKB(iconBundle.length)} deflated (base64)`);
     }
+    const userscript = generateUserscript(icons, mappings, upstream, { presets: options.presets, rendering, iconBundle });
+    const userscriptBytes = Buffer.byteLength(userscript);
 
-    /**
-     * Hide an SVG icon and insert a replacement image
-     * Returns true if replacement was successful
-     */
-    function replaceIcon(svg, iconDataUri, insertionParent, insertionReference, applyColorFilter = false) {
-        // Hide the original SVG (use visibility so extensions like Refined GitHub can still find it)
-        svg.style.visibility = 'hidden';
-        svg.style.position = 'absolute';
-
-        // Create our icon with the same margin as the original SVG
-        const img = createIconImg(iconDataUri, svg.style.marginRight || '');
-
-        // Copy color filter if needed (for muted items)
-        if (applyColorFilter && svg.style.color) {
-            img.style.filter = 'opacity(0.5)';
-        }
-
-        // Insert the icon at the specified location
-        insertionParent.insertBefore(img, insertionReference);
-        return true;
+    if (options.sizeReport) {
+      printSizeReport(iconSizes);
     }
 
-    /**
-     * Replace icon for a single file/folder item
-     */
-    function replaceIconForItem(item, stats) {
-        // Check for parent directory (..) link first (different structure)
-        let parentDirLink = item.querySelector('a[data-testid="up-tree"]');
-        if (parentDirLink) {
-            // This is the "back up one level" row
-            const svg = parentDirLink.querySelector('svg.octicon');
-            if (svg && !svg.nextElementSibling?.classList.contains('material-icon-replacement')) {
-                const iconName = ICON_MAPPINGS.defaultFolder;
-                const iconDataUri = getIconDataUri(iconName);
-                if (iconDataUri) {
-                    replaceIcon(svg, iconDataUri, svg.parentNode, svg.nextSibling);
-                    if (stats) stats.replaced++;
-                }
-            }
-            return;
-        }
+    const sizes = Object.values(iconSizes);
+    const total = key => sizes.reduce((sum, size) => sum + size[key], 0);
+    console.log(`  ✓ Icons: ${formatKB(total('raw'))} SVG → ${formatKB(total('minified'))} ${output.minifySvg ? 'minified' : '(not minified)'} → ${formatKB(total('dataUri'))} as ${output.dataUri} data URIs`);
 
-        // GitHub has separate cells for small/large screens
-        // We need to target the large-screen cell which is visible
-        const largeScreenCell = item.querySelector('td.react-directory-row-name-cell-large-screen');
-        const targetCell = largeScreenCell || item.querySelector('td');
-
-            if (!targetCell) return;
-
-            // Find the link with the file/folder name
-            // Look in the visible (non-edit) link
-            // Note: symlinks don't have the Link--primary class, so we don't require it
-            let link = targetCell.querySelector('a[href*="/blob/"], a[href*="/tree/"]');
-
-            if (!link) return;
-
-            let name = link.textContent.trim();
-            if (!name) return;
-
-            // Handle collapsed paths (e.g., ".cursor/rules" -> ".cursor")
-            // GitHub shows nested empty folders as "folder/subfolder"
-            // We only want to match the first folder name
-            if (name.includes('/')) {
-                name = name.split('/')[0];
-            }
-
-            // Find the SVG in the SAME container as the link (not in edit buttons)
-            // The file icon SVG should be a sibling or near the link
-            const container = targetCell.querySelector('.react-directory-filename-column');
-            if (!container) return;
-
-            // Look for the SVG
-            // GitHub uses octicon-file, octicon-file-directory, and their -fill variants
-            let svg = container.querySelector('svg[class*="octicon-file"]');
-            if (!svg) return;
-
-            // Check if it's a symlink first
-            const isSymlink = svg.classList.contains('octicon-file-symlink-file') ||
-                            svg.classList.contains('octicon-file-symlink-directory');
-
-            // Check if it's a folder
-            const isFolder = link.getAttribute('href')?.includes('/tree/') ||
-                           svg.getAttribute('aria-label')?.toLowerCase().includes('directory') ||
-                           svg.getAttribute('aria-label')?.toLowerCase().includes('folder');
-
-            // Get the appropriate icon name and data URI
-            const iconName = determineIconName(name, isSymlink, isFolder);
-            if (!iconName) return;
-
-            const iconDataUri = getIconDataUri(iconName);
-            if (!iconDataUri) return;
-
-            // Check if Refined GitHub has wrapped this in an edit link
-            const editLink = svg.closest('a.rgh-quick-file-edit');
-
-            if (editLink) {
-                // Refined GitHub is active - replace the icon but keep the edit link
-
-                // Check if we already added our icon to the edit link
-                const existingIcon = editLink.querySelector('img.material-icon-replacement');
-                if (existingIcon) {
-                    // Remove any duplicate icons that are siblings of the edit link
-                    let sibling = editLink.nextElementSibling;
-                    while (sibling && sibling.classList?.contains('material-icon-replacement')) {
-                        const toRemove = sibling;
-                        sibling = sibling.nextElementSibling;
-                        toRemove.remove();
-                    }
-                    return; // Already replaced
-                }
-
-                // Check if we previously added an icon as a sibling of the edit link (before RGH wrapped it)
-                let siblingIcon = editLink.nextElementSibling;
-                if (siblingIcon?.classList?.contains('material-icon-replacement')) {
-                    siblingIcon.remove();
-                }
-
-                // Find the file icon SVG (not the pencil)
-                const fileIconSvg = editLink.querySelector('svg[class*="octicon-file"]:not(.octicon-pencil)');
-                if (fileIconSvg) {
-                    replaceIcon(fileIconSvg, iconDataUri, editLink, editLink.firstChild);
-                    if (stats) stats.replaced++;
-                }
-            } else {
-                // No Refined GitHub - normal replacement
-
-                // Check if we already added our icon
-                if (svg.nextElementSibling?.classList.contains('material-icon-replacement')) {
-                    return; // Already replaced
-                }
-
-                // Replace the icon (with color filter for muted items)
-                const applyColorFilter = !!svg.style.color;
-                replaceIcon(svg, iconDataUri, svg.parentNode, svg.nextSibling, applyColorFilter);
-                if (stats) stats.replaced++;
-            }
+    // Fail before writing, so an over-budget script never replaces the last good one
+    const violations = checkSizeBudget(userscriptBytes, iconSizes, output.budget);
+    if (violations.length > 0) {
+      violations.forEach(violation => console.log(`  ✗ Over budget: ${violation}`));
+      throw new Error('Size budget exceeded (see output.budget in src/priority-list.js)');
     }
 
-    /**
-     * Replace icon for a tree view item (left sidebar file tree)
-     */
-    function replaceIconForTreeItem(item, stats) {
-        // Find the filename span
-        const filenameSpan = item.querySelector('.PRIVATE_TreeView-item-content-text span');
-        if (!filenameSpan) return;
-
-        let name = filenameSpan.textContent.trim();
-        if (!name) return;
-
-        // Find the SVG container
-        const visualContainer = item.querySelector('.PRIVATE_TreeView-item-visual');
-        if (!visualContainer) return;
-
-        // Look for the SVG (may be directly in visualContainer or wrapped in directory-icon div)
-        let svg = visualContainer.querySelector('svg.octicon');
-        if (!svg) return;
-
-        // For open folders, the SVG is wrapped in .PRIVATE_TreeView-directory-icon
-        const svgParent = svg.parentNode;
-
-        // Check if we already have a replacement icon in the parent
-        const existingIcon = svgParent.querySelector('img.material-icon-replacement');
-
-        if (existingIcon) {
-            // Icon already exists, just make sure the SVG is hidden
-            // (This handles folder toggle where GitHub adds a new SVG)
-            svg.style.visibility = 'hidden';
-            svg.style.position = 'absolute';
-            return; // Don't add another icon
-        }
-
-        // Check if it's a symlink first
-        const isSymlink = svg.classList.contains('octicon-file-symlink-file') ||
-                        svg.classList.contains('octicon-file-symlink-directory');
-
-        // Check if it's a folder by looking at the SVG class
-        // Treat both closed and open folder icons the same
-        const isFolder = svg.classList.contains('octicon-file-directory') ||
-                       svg.classList.contains('octicon-file-directory-fill') ||
-                       svg.classList.contains('octicon-file-directory-open-fill');
-
-        // Get the appropriate icon name and data URI
-        const iconName = determineIconName(name, isSymlink, isFolder);
-        if (!iconName) return;
-
-        const iconDataUri = getIconDataUri(iconName);
-        if (!iconDataUri) return;
+    // Write to dist
+    const outputFile = path.join(DIST_DIR, describeBuild(options.presets).filename);
+    fs.writeFileSync(outputFile, userscript);
 
-        // Replace the icon
-        replaceIcon(svg, iconDataUri, svgParent, svg.nextSibling);
-        if (stats) stats.replaced++;
+    console.log(`\n✓ Userscript built successfully!`);
+    console.log(`  File: ${outputFile}`);
+    console.log(`  Size: ${formatKB(userscriptBytes)}`);
+    console.log(`  Rendering: ${rendering === 'stylesheet' ? 'stylesheet (one CSS class per icon)' : 'img (data URI per icon element)'}`);
+    if (bundledSvgs) {
+      console.log('  Icons: all upstream icons (compressed payload, decoded at startup)');
+    }
+    if (describeUpstream(upstream)) {
+      console.log(`  Upstream: ${describeUpstream(upstream)}`);
     }
 
-    /**
-     * Replace icons in the file browser
-     */
-    function replaceIcons() {
-        const stats = { replaced: 0 };
-
-        // Main file browser (right panel)
-        // GitHub uses div[role="row"] for file list items
-        let items = document.querySelectorAll('div[role="row"]');
+    if (options.deploy) {
+      if (options.presets) {
+        console.log('\n  ⚠ Not deploying: the deploy script installs the default build (without --preset)');
+      } else {
+        deploy();
+      }
+    }
 
-        // Alternative: table-based layout
-        if (items.length === 0) {
-            items = document.querySelectorAll('tbody tr.react-directory-row, tbody tr[id^="folder-row-"]');
-        }
+    return mappings;
 
-        items.forEach(item => {
-            replaceIconForItem(item, stats);
-        });
+  } catch (error) {
+    console.error('Error building userscript:', error);
+    if (!options.watch) {
+      process.exit(1);
+    }
+    return null;
+  }
+}
 
-        // Tree view (left sidebar file tree)
-        const treeItems = document.querySelectorAll('.PRIVATE_TreeView-item-content');
-        treeItems.forEach(item => {
-            replaceIconForTreeItem(item, stats);
-        });
+/**
+ * Copy the built userscript to the userscript manager (the "deploy" npm script)
+ */
+function deploy() {
+  console.log('\nDeploying userscript...');
+  try {
+    execSync('npm run --silent deploy', { cwd: path.join(__dirname, '..'), stdio: 'inherit' });
+    console.log('  ✓ Deployed');
+  } catch (error) {
+    console.log('  ⚠ Deploy failed (see output above)');
+  }
+}
 
-        if (stats.replaced > 0) {
-            console.log('[Material Icons] Replaced', stats.replaced, 'icons');
-        }
+/**
+ * Print the mappings added, removed or changed since the previous build
+ */
+function printMappingDiff(previous, current) {
+  const sections = [
+    ['extensions', key => `.${key}`],
+    ['filenames', key => key],
+    ['patterns', key => `/${key}/`],
+    ['folders', key => `${key}/`],
+  ];
+  const lines = [];
+
+  // Patterns are stored as [regex source, icon name] pairs
+  const toObject = value => (Array.isArray(value) ? Object.fromEntries(value) : value || {});
+
+  sections.forEach(([section, label]) => {
+    const before = toObject(previous[section]);
+    const after = toObject(current[section]);
+
+    for (const key of Object.keys(after)) {
+      if (!(key in before)) {
+        lines.push(`  + ${label(key)} → ${after[key]}`);
+      } else if (before[key] !== after[key]) {
+        lines.push(`  ~ ${label(key)}: ${before[key]} → ${after[key]}`);
+      }
+    }
+    for (const key of Object.keys(before)) {
+      if (!(key in after)) {
+        lines.push(`  - ${label(key)} (was ${before[key]})`);
+      }
     }
+  });
 
+  console.log('\nMapping changes since last build:');
+  console.log(lines.length > 0 ? lines.join('\n') : '  (none)');
+}
 
-    /**
-     * Initialize the script
-     */
-    function init() {
-        console.log('[Material Icons] Loaded:',
-                    Object.keys(ICON_MAPPINGS.extensions).length, 'extensions,',
-                    Object.keys(ICON_MAPPINGS.filenames).length, 'filenames,',
-                    Object.keys(ICON_MAPPINGS.folders).length, 'folders');
-
-        // Check for conflicting browser extension
-        if (document.querySelector('[data-material-icons-extension]')) {
-            console.warn('[Material Icons] Detected Material Icons browser extension - userscript disabled to avoid conflicts.');
-            console.info('[Material Icons] To use this userscript, disable the Material Icons browser extension.');
-            return;
+/**
+ * Rebuild whenever the priority list, presets, runtime modules, cached icons or cached mappings change
+ */
+function watch(options = {}) {
+  let previousMappings = build({ ...options, watch: true });
+  let rebuildTimer = null;
+
+  function rebuild(reason) {
+    // Editors and the fetch script touch several files at once, so debounce
+    clearTimeout(rebuildTimer);
+    rebuildTimer = setTimeout(() => {
+      console.log(`\n--- ${reason} changed, rebuilding ---\n`);
+      const mappings = build({ ...options, watch: true });
+      if (mappings) {
+        if (previousMappings) {
+          printMappingDiff(previousMappings, mappings);
         }
+        previousMappings = mappings;
+      }
+    }, 100);
+  }
 
-        // Replace icons on initial load
-        replaceIcons();
-
-        // Watch for DOM changes (GitHub is an SPA and Refined GitHub adds edit links)
-        // Watch for URL changes (GitHub SPA navigation)
-        let lastUrl = location.href;
-        const urlObserver = new MutationObserver(() => {
-            if (location.href !== lastUrl) {
-                lastUrl = location.href;
-                // Observer will catch when GitHub adds the new rows
-            }
-        });
-        urlObserver.observe(document.querySelector('title'), {
-            childList: true,
-            subtree: true
-        });
-
-        // Also listen for browser back/forward
-        window.addEventListener('popstate', () => {
-            // Observer will catch when GitHub adds the new rows
-        });
-
-        setTimeout(() => {
-            const observer = new MutationObserver((mutations) => {
-                let rowsToProcess = new Set();
-
-                for (const mutation of mutations) {
-                    // Check if our icon was removed
-                    for (const node of mutation.removedNodes) {
-                        if (node.nodeType === 1 && node.classList?.contains('material-icon-replacement')) {
-                            // Our icon was removed - find the row and re-process it
-                            const row = mutation.target.closest('div[role="row"], tr.react-directory-row');
-                            if (row) {
-                                rowsToProcess.add(row);
-                            }
-                        }
-                    }
-
-                    // Check if SVG visibility was changed (GitHub might be un-hiding it)
-                    if (mutation.type === 'attributes' && mutation.target.tagName === 'svg') {
-                        const svg = mutation.target;
-                        if (svg.getAttribute('class')?.includes('octicon-file')) {
-                            // Check if the SVG was made visible again
-                            if (svg.style.visibility !== 'hidden') {
-                                const row = svg.closest('div[role="row"], tr.react-directory-row');
-                                if (row) {
-                                    rowsToProcess.add(row);
-                                }
-                            }
-                        }
-                    }
-
-                    // Ignore mutations from our own icon additions
-                    for (const node of mutation.addedNodes) {
-                        if (node.nodeType === 1) {
-                            // Skip our own icon replacements
-                            if (node.classList?.contains('material-icon-replacement')) {
-                                continue;
-                            }
-
-                            // Check if this is a new SVG in tree view (folder open/close toggle)
-                            if (node.matches && node.matches('svg.octicon')) {
-                                const treeItem = node.closest('.PRIVATE_TreeView-item-content');
-                                if (treeItem) {
-                                    rowsToProcess.add(treeItem);
-                                }
-                            }
-
-                            // Check if this is a file row or parent directory row
-                            if (node.matches && (node.matches('div[role="row"]') || node.matches('tr.react-directory-row') || node.matches('tr[id^="folder-row-"]'))) {
-                                rowsToProcess.add(node);
-                            }
-                            // Check if file rows were added as children
-                            else if (node.querySelector) {
-                                const rows = node.querySelectorAll('div[role="row"], tr.react-directory-row, tr[id^="folder-row-"]');
-                                if (rows.length > 0) {
-                                    // Add all found rows to be processed individually
-                                    // This catches when GitHub replaces the entire row container
-                                    rows.forEach(row => rowsToProcess.add(row));
-                                }
-                            }
-
-                            // Check if Refined GitHub added an edit link
-                            if (node.matches && node.matches('a.rgh-quick-file-edit')) {
-                                const row = node.closest('div[role="row"], tr.react-directory-row');
-                                if (row) {
-                                    rowsToProcess.add(row);
-                                }
-                            }
-                            // Check if edit links were added as children
-                            else if (node.querySelector) {
-                                const editLinks = node.querySelectorAll('a.rgh-quick-file-edit');
-                                if (editLinks.length > 0) {
-                                    // Add rows with edit links to be processed individually
-                                    editLinks.forEach(link => {
-                                        const row = link.closest('div[role="row"], tr.react-directory-row');
-                                        if (row) rowsToProcess.add(row);
-                                    });
-                                }
-                            }
-
-                            // Check if this is a tree view item (left sidebar)
-                            if (node.matches && node.matches('.PRIVATE_TreeView-item-content')) {
-                                rowsToProcess.add(node);
-                            }
-                            // Check if tree view items were added as children
-                            else if (node.querySelector) {
-                                const treeItems = node.querySelectorAll('.PRIVATE_TreeView-item-content');
-                                if (treeItems.length > 0) {
-                                    treeItems.forEach(item => rowsToProcess.add(item));
-                                }
-                            }
-                        }
-                    }
-                }
-
-                // Process individual items that were added
-                if (rowsToProcess.size > 0) {
-                    rowsToProcess.forEach(item => {
-                        // Determine if this is a tree view item or a file browser row
-                        if (item.classList.contains('PRIVATE_TreeView-item-content')) {
-                            replaceIconForTreeItem(item);
-                        } else {
-                            replaceIconForItem(item);
-                        }
-                    });
-                }
-            });
-
-            // Start observing
-            observer.observe(document.body, {
-                childList: true,
-                subtree: true,
-                attributes: true,
-                attributeFilter: ['style', 'class']
-            });
-        }, 100);
+  const watchTargets = [
+    [SRC_DIR, filename => filename === 'priority-list.js'],
+    [PRESETS_DIR, filename => !filename || filename.endsWith('.js')],
+    [RUNTIME_DIR, filename => !filename || filename.endsWith('.js')],
+    [CACHE_DIR, filename => ['fileIcons.json', 'folderIcons.json', 'upstream.json'].includes(filename)],
+    [ICONS_DIR, filename => !filename || filename.endsWith('.svg')],
+  ];
+
+  watchTargets.forEach(([dir, isRelevant]) => {
+    if (!fs.existsSync(dir)) {
+      console.log(`  ⚠ Not watching ${dir} (does not exist yet)`);
+      return;
     }
+    fs.watch(dir, (eventType, filename) => {
+      if (isRelevant(filename)) {
+        rebuild(filename ? path.join(path.relative(path.join(__dirname, '..'), dir), filename) : dir);
+      }
+    });
+  });
 
-    // Run when DOM is ready
-    if (document.readyState === 'loading') {
-        document.addEventListener('DOMContentLoaded', () => {
-            setTimeout(init, 100);
-        });
-    } else {
-        setTimeout(init, 100);
-    }
-})();
-`;
-  
-  return userscript;
+  console.log('\nWatching for changes (Ctrl+C to stop)...');
 }
 
 /**
- * Main build function
+ * Read a "--name value" or "--name=value" option, or undefined when it is not given
  */
-function build() {
-  console.log('Building GitHub Material Icons userscript...\n');
+function readOptionArg(args, name) {
+  const index = args.indexOf(name);
+  if (index !== -1) return args[index + 1];
+  const inline = args.find(arg => arg.startsWith(`${name}=`));
+  return inline ? inline.slice(name.length + 1) : undefined;
+}
 
+// Run if called directly
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  let presets;
+  let iconPacks;
   try {
-    // Build icon mappings (returns both icons and mappings)
-    const { icons, mappings } = buildIconMappings();
-
-    // Generate userscript
-    console.log('\nGenerating userscript...');
-    const userscript = generateUserscript(icons, mappings);
-
-    // Write to dist
-    fs.writeFileSync(OUTPUT_FILE, userscript);
-
-    const sizeKB = (Buffer.byteLength(userscript) / 1024).toFixed(2);
-    console.log(`\n✓ Userscript built successfully!`);
-    console.log(`  File: ${OUTPUT_FILE}`);
-    console.log(`  Size: ${sizeKB} KB`);
-
+    presets = parseListArgs(args, '--preset');
+    // "--pack none" builds without the priority list's packs
+    iconPacks = parseListArgs(args, '--pack');
   } catch (error) {
-    console.error('Error building userscript:', error);
+    console.error(`✗ ${error.message}`);
     process.exit(1);
   }
-}
+  const options = {
+    deploy: args.includes('--deploy'),
+    presets,
+    iconPacks: iconPacks && iconPacks.filter(pack => pack !== 'none'),
+    sizeReport: args.includes('--size-report'),
+    rendering: readOptionArg(args, '--rendering'),
+    allIcons: args.includes('--all-icons') ? true : undefined,
+    strict: args.includes('--strict'),
+    json: args.includes('--json'),
+  };
 
-// Run if called directly
-if (require.main === module) {
-  build();
+  // With --json, stdout only gets the build report; the progress output goes to stderr
+  if (options.json) {
+    console.log = console.error;
+  }
+
+  if (args.includes('--watch')) {
+    watch(options);
+  } else {
+    build(options);
+  }
 }
 
-module.exports = { build };
\ No newline at end of file
+module.exports = { build, watch, loadIconTables, buildIconMappings, buildIconStylesheet, generateRuntime };
\ No newline at end of file
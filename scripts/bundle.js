@@ -0,0 +1,110 @@
+/**
+ * Tiny CommonJS bundler for the userscript runtime
+ *
+ * Follows the relative require() calls from an entry module (src/runtime/index.js),
+ * wraps each module in a function and emits them with a minimal module loader
+ * inside one IIFE. This lets the runtime live in ordinary modules that Node can
+ * load (and test) while the userscript stays a single dependency-free file.
+ *
+ * Only relative requires of .js files are supported; the runtime has no dependencies.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const REQUIRE_PATTERN = /\brequire\(\s*'(\.{1,2}\/[^']+)'\s*\)/g;
+const INDENT = '    ';
+
+/**
+ * Resolve a relative require() specifier to a file path
+ */
+function resolveRequire(fromFile, specifier) {
+  const resolved = path.resolve(path.dirname(fromFile), specifier);
+  return resolved.endsWith('.js') ? resolved : `${resolved}.js`;
+}
+
+/**
+ * Indent every non-empty line of a source
+ */
+function indent(source, depth) {
+  const prefix = INDENT.repeat(depth);
+  return source.split('\n').map(line => (line ? prefix + line : line)).join('\n');
+}
+
+/**
+ * Collect the modules reachable from the entry, dependencies first
+ * `overrides` maps module paths to replacement sources (e.g. generated data)
+ * Returns [{ id, source }], where requires are rewritten to module ids
+ */
+function collectModules(entryPath, overrides = {}) {
+  const rootDir = path.dirname(entryPath);
+  const toId = file => path.relative(rootDir, file).split(path.sep).join('/').replace(/\.js$/, '');
+  const modules = [];
+  const visited = new Set();
+
+  function visit(file, requiredBy) {
+    if (visited.has(file)) return;
+    visited.add(file);
+
+    let source = overrides[file];
+    if (source === undefined) {
+      if (!fs.existsSync(file)) {
+        throw new Error(`Cannot find module ${file}${requiredBy ? ` (required by ${requiredBy})` : ''}`);
+      }
+      source = fs.readFileSync(file, 'utf8');
+    }
+
+    const rewritten = source.replace(REQUIRE_PATTERN, (match, specifier) => {
+      const dependency = resolveRequire(file, specifier);
+      visit(dependency, toId(file));
+      return `require('${toId(dependency)}')`;
+    });
+    modules.push({ id: toId(file), source: rewritten.trimEnd() });
+  }
+
+  visit(path.resolve(entryPath), null);
+
+  const unused = Object.keys(overrides).filter(file => !visited.has(path.resolve(file)));
+  if (unused.length > 0) {
+    throw new Error(`Overridden modules are not used by ${entryPath}: ${unused.join(', ')}`);
+  }
+  return modules;
+}
+
+/**
+ * Bundle the entry module and its dependencies into an IIFE
+ * `preamble` is emitted as-is at the top of the IIFE (e.g. data constants that
+ * an overridden module re-exports), so large data is not re-indented
+ */
+function bundle(entryPath, { overrides = {}, preamble = '' } = {}) {
+  const modules = collectModules(entryPath, overrides);
+  const entryId = modules[modules.length - 1].id;
+
+  const definitions = modules.map(({ id, source }) =>
+    `${INDENT.repeat(2)}'${id}': function(module, exports, require) {\n${indent(source, 3)}\n${INDENT.repeat(2)}}`
+  );
+
+  return `(function() {
+    'use strict';
+${preamble ? `\n${preamble.trimEnd()}\n` : ''}
+    // Runtime modules (src/runtime/), bundled by scripts/bundle.js
+    const modules = {
+${definitions.join(',\n\n')}
+    };
+
+    const cache = {};
+    function require(id) {
+        if (!cache[id]) {
+            const module = { exports: {} };
+            cache[id] = module;
+            modules[id](module, module.exports, require);
+        }
+        return cache[id].exports;
+    }
+
+    require('${entryId}');
+})();
+`;
+}
+
+module.exports = { bundle, collectModules };
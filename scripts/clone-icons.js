@@ -0,0 +1,143 @@
+/**
+ * Upstream "clone" icons
+ *
+ * Upstream defines many icons as a recolored copy of another icon instead of
+ * shipping an SVG, e.g. `clone: { base: 'go', color: 'pink-400', lightColor: 'pink-600' }`.
+ * The fetch script generates those SVGs from the base icon with the colors
+ * below and caches them in cache/icons/ next to the copied icons.
+ *
+ * Like upstream, the most used color of the base icon becomes the clone color
+ * and the other colors keep their lightness relative to it, so shading survives.
+ * Elements marked `data-mit-no-recolor="true"` keep their original colors.
+ */
+
+const { resolveMaterialColor } = require('./material-palette');
+
+// Color attributes and style declarations (fill="#abc", style="stop-color:#aabbcc")
+const COLOR_PATTERN = /((?:fill|stroke|stop-color|color)\s*(?:=\s*["']|:\s*))(#[0-9a-f]{6}|#[0-9a-f]{3})(?![0-9a-f])/gi;
+const TAG_PATTERN = /<[a-z][^>]*>/gi;
+
+/**
+ * Convert "#rgb"/"#rrggbb" to HSL ({ h: 0-360, s: 0-1, l: 0-1 })
+ */
+function hexToHsl(hex) {
+  let value = hex.slice(1);
+  if (value.length === 3) {
+    value = value.split('').map(c => c + c).join('');
+  }
+  const [r, g, b] = [0, 2, 4].map(i => parseInt(value.slice(i, i + 2), 16) / 255);
+  const max = Math.max(r, g, b);
+  const min = Math.min(r, g, b);
+  const l = (max + min) / 2;
+
+  if (max === min) {
+    return { h: 0, s: 0, l };
+  }
+
+  const d = max - min;
+  const s = l > 0.5 ? d / (2 - max - min) : d / (max + min);
+  let h;
+  if (max === r) {
+    h = (g - b) / d + (g < b ? 6 : 0);
+  } else if (max === g) {
+    h = (b - r) / d + 2;
+  } else {
+    h = (r - g) / d + 4;
+  }
+  return { h: h * 60, s, l };
+}
+
+/**
+ * Convert HSL back to "#rrggbb"
+ */
+function hslToHex({ h, s, l }) {
+  const k = n => (n + h / 30) % 12;
+  const a = s * Math.min(l, 1 - l);
+  const channel = n => l - a * Math.max(-1, Math.min(k(n) - 3, Math.min(9 - k(n), 1)));
+  return '#' + [0, 8, 4].map(n => Math.round(channel(n) * 255).toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Apply a callback to the recolorable tags of an SVG
+ */
+function mapRecolorableTags(svg, callback) {
+  return svg.replace(TAG_PATTERN, tag => (/data-mit-no-recolor\s*=\s*["']true["']/.test(tag) ? tag : callback(tag)));
+}
+
+/**
+ * Recolor an SVG to the given hex color
+ */
+function recolorSvg(svg, color) {
+  // Count how often each color is used
+  const counts = new Map();
+  mapRecolorableTags(svg, tag => {
+    for (const match of tag.matchAll(COLOR_PATTERN)) {
+      const hex = match[2].toLowerCase();
+      counts.set(hex, (counts.get(hex) || 0) + 1);
+    }
+    return tag;
+  });
+
+  if (counts.size === 0) return svg;
+
+  // The most used color (first one on ties) becomes the target color
+  const [dominant] = [...counts.entries()].reduce((best, entry) => (entry[1] > best[1] ? entry : best));
+  const dominantLightness = hexToHsl(dominant).l;
+  const target = hexToHsl(color);
+
+  const replacements = new Map();
+  for (const hex of counts.keys()) {
+    const lightness = Math.min(1, Math.max(0, target.l + hexToHsl(hex).l - dominantLightness));
+    replacements.set(hex, hex === dominant ? color.toLowerCase() : hslToHex({ h: target.h, s: target.s, l: lightness }));
+  }
+
+  return mapRecolorableTags(svg, tag => tag.replace(COLOR_PATTERN, (match, prefix, hex) => prefix + replacements.get(hex.toLowerCase())));
+}
+
+/**
+ * Collect the SVGs to generate for every clone definition in the icon model
+ * Returns { iconName: { bases: [candidate base icon names], color } }
+ *
+ * File clones get "<name>" (and "<name>_light" with lightColor); folder clones
+ * also get the expanded "<name>-open" variants from the base's open icon.
+ */
+function collectCloneIcons(model) {
+  const clones = {};
+
+  function add(iconName, base, color) {
+    const hex = resolveMaterialColor(color);
+    if (hex) {
+      clones[iconName] = { bases: [base], color: hex };
+    }
+  }
+
+  function addLight(iconName, base, lightColor) {
+    const hex = resolveMaterialColor(lightColor);
+    if (hex) {
+      // Prefer the base's own light variant when upstream ships one
+      clones[iconName] = { bases: [`${base}_light`, base], color: hex };
+    }
+  }
+
+  model.fileIcons.icons.filter(icon => icon.clone).forEach(({ name, clone }) => {
+    add(name, clone.base, clone.color);
+    if (clone.lightColor) {
+      addLight(`${name}_light`, clone.base, clone.lightColor);
+    }
+  });
+
+  model.folderThemes.forEach(theme => {
+    theme.icons.filter(icon => icon.clone).forEach(({ name, clone }) => {
+      add(name, clone.base, clone.color);
+      add(`${name}-open`, `${clone.base}-open`, clone.color);
+      if (clone.lightColor) {
+        addLight(`${name}_light`, clone.base, clone.lightColor);
+        addLight(`${name}-open_light`, `${clone.base}-open`, clone.lightColor);
+      }
+    });
+  });
+
+  return clones;
+}
+
+module.exports = { recolorSvg, collectCloneIcons };
@@ -1,23 +1,34 @@
 /**
  * Fetch icons from material-extensions/vscode-material-icon-theme
- * Uses git clone/pull to sync the upstream repo, then copies needed icons.
+ * Uses git clone/fetch to sync the upstream repo, then copies needed icons.
  * 
  * This approach is much simpler and more reliable than HTTP API calls:
- * - Clone once, pull to update
+ * - Clone once, fetch the pinned version (icons.lock.json) to update
  * - Direct file access (no network per-file)
  * - Works offline after initial clone
  * - Easy to see what version you have
+ *
+ * Without network, use a local copy instead (--source <path> or MATERIAL_ICONS_SOURCE):
+ * an upstream checkout, a .tgz of the upstream repo, or the material-icon-theme npm tarball.
  */
 
-const { execSync } = require('child_process');
+const { execSync, execFileSync } = require('child_process');
 const fs = require('fs');
 const path = require('path');
+const { resolvePatternIcon } = require('./patterns');
+const { buildIconModel, toFileIconTables, toFolderIconTables, toLanguageTable, applyIconPacks, fromManifest } = require('./icon-model');
+const { recolorSvg, collectCloneIcons } = require('./clone-icons');
+const { extractTarball } = require('./tarball');
+const { loadPriorityList, parseListArgs } = require('./presets');
 
 const MATERIAL_ICONS_REPO = 'https://github.com/material-extensions/vscode-material-icon-theme.git';
 const VENDOR_DIR = path.join(__dirname, '..', 'vendor');
 const MATERIAL_ICONS_DIR = path.join(VENDOR_DIR, 'material-icon-theme');
+const TARBALL_DIR = path.join(VENDOR_DIR, 'material-icon-theme-tarball');
+const NPM_PACK_MTIME = 499162500; // 1985-10-26T08:15:00Z
 const CACHE_DIR = path.join(__dirname, '..', 'cache');
 const ICONS_DIR = path.join(CACHE_DIR, 'icons');
+const LOCK_FILE = path.join(__dirname, '..', 'icons.lock.json');
 
 // Ensure directories exist
 [VENDOR_DIR, CACHE_DIR, ICONS_DIR].forEach(dir => {
@@ -42,58 +53,241 @@ function exec(command, options = {}) {
 }
 
 /**
- * Clone or update the material-icon-theme repository
+ * Run git in the upstream clone without a shell, so refs are passed as-is
  */
-function syncMaterialIconTheme() {
-  console.log('Syncing material-icon-theme repository...\n');
-  
-  if (fs.existsSync(MATERIAL_ICONS_DIR)) {
-    // Already cloned, just update it
-    console.log('  Repository exists, updating...');
+function git(args) {
+  try {
+    return execFileSync('git', args, {
+      cwd: MATERIAL_ICONS_DIR,
+      encoding: 'utf8',
+      stdio: ['pipe', 'pipe', 'pipe'],
+    });
+  } catch (error) {
+    throw new Error(`Command failed: git ${args.join(' ')}\n${error.message}`);
+  }
+}
+
+/**
+ * Read the pinned upstream version (icons.lock.json), or null if there is none yet
+ */
+function readLockFile() {
+  if (!fs.existsSync(LOCK_FILE)) return null;
+  return JSON.parse(fs.readFileSync(LOCK_FILE, 'utf8'));
+}
+
+/**
+ * Write the pinned upstream version (commit this file to share the pin)
+ */
+function writeLockFile(lock) {
+  fs.writeFileSync(LOCK_FILE, JSON.stringify(lock, null, 2) + '\n');
+}
+
+/**
+ * Resolve a tag, branch or commit to a commit hash in the clone
+ * Fetches it from upstream first; falls back to what the clone already has (offline)
+ */
+function resolveUpstreamRef(ref) {
+  // A pinned commit the clone already has needs no network
+  if (/^[0-9a-f]{40}$/.test(ref)) {
     try {
-      exec('git pull', { cwd: MATERIAL_ICONS_DIR });
-      console.log('  ✓ Updated to latest version\n');
+      git(['cat-file', '-e', `${ref}^{commit}`]);
+      return ref;
     } catch (error) {
-      console.log('  ⚠ Could not update (using existing version)\n');
+      // Not fetched yet
     }
-  } else {
+  }
+
+  try {
+    git(['fetch', '--depth', '1', '--tags', 'origin', ref]);
+    return git(['rev-parse', 'FETCH_HEAD']).trim();
+  } catch (error) {
+    try {
+      const commit = git(['rev-parse', '--verify', `${ref}^{commit}`]).trim();
+      console.log(`  ⚠ Could not fetch ${ref} (using the local copy)`);
+      return commit;
+    } catch (localError) {
+      throw new Error(`Could not find upstream version "${ref}"`);
+    }
+  }
+}
+
+/**
+ * Clone the material-icon-theme repository and check out the pinned version
+ *
+ * - No options: use the commit pinned in icons.lock.json (the latest upstream
+ *   commit on first run, which creates the lock file)
+ * - options.ref: check out a tag, branch or commit and pin it
+ * - options.update: move the pin to the latest upstream commit
+ *
+ * Returns the provenance of the checked out version ({ repository, ref, commit, date })
+ */
+function syncMaterialIconTheme(options = {}) {
+  console.log('Syncing material-icon-theme repository...\n');
+  
+  if (!fs.existsSync(MATERIAL_ICONS_DIR)) {
     // Clone the repository
     console.log('  Cloning repository (this may take a minute)...');
     exec(`git clone --depth 1 ${MATERIAL_ICONS_REPO} "${MATERIAL_ICONS_DIR}"`);
     console.log('  ✓ Repository cloned\n');
   }
-  
-  // Show current commit info
-  try {
-    const commitHash = exec('git rev-parse --short HEAD', { cwd: MATERIAL_ICONS_DIR }).trim();
-    const commitDate = exec('git log -1 --format=%cd --date=short', { cwd: MATERIAL_ICONS_DIR }).trim();
-    console.log(`  Using version: ${commitHash} (${commitDate})\n`);
-  } catch (error) {
-    // Ignore if we can't get git info
+
+  // The ref recorded in the lock file, and what to fetch for it
+  const lock = readLockFile();
+  let ref;
+  let fetchRef;
+  if (options.ref) {
+    // git would read a leading "-" as an option
+    if (!/^[\w./-]+$/.test(options.ref) || options.ref.startsWith('-')) {
+      throw new Error(`Invalid --ref "${options.ref}" (expected a tag, branch or commit)`);
+    }
+    ref = fetchRef = options.ref;
+    console.log(`  Pinning to ${ref}...`);
+  } else if (options.update || !lock) {
+    ref = 'latest';
+    fetchRef = 'HEAD';
+    console.log(lock ? '  Updating pin to the latest version...' : '  No icons.lock.json yet, pinning the latest version...');
+  } else {
+    ref = lock.ref;
+    fetchRef = lock.commit;
+    console.log(`  Using pinned version from icons.lock.json (${ref})...`);
+  }
+
+  const commit = resolveUpstreamRef(fetchRef);
+  git(['-c', 'advice.detachedHead=false', 'checkout', '--detach', commit]);
+  const date = git(['log', '-1', '--format=%cd', '--date=short']).trim();
+
+  const upstream = { repository: MATERIAL_ICONS_REPO, ref, commit, date };
+
+  if (!lock || lock.commit !== commit || lock.ref !== ref) {
+    writeLockFile(upstream);
+    console.log(`  ✓ Pinned ${commit.slice(0, 7)} in icons.lock.json`);
+  }
+
+  console.log(`  Using version: ${commit.slice(0, 7)} (${date})\n`);
+  return upstream;
+}
+
+/**
+ * Describe a local upstream copy: its git commit if it is a checkout, and its
+ * package.json version if it has one
+ */
+function describeLocalSource(dir, source) {
+  const upstream = { source, ref: null, commit: null, date: null, version: null };
+
+  const packagePath = path.join(dir, 'package.json');
+  if (fs.existsSync(packagePath)) {
+    upstream.version = JSON.parse(fs.readFileSync(packagePath, 'utf8')).version || null;
+    upstream.ref = upstream.version ? `v${upstream.version}` : null;
+  }
+
+  if (fs.existsSync(path.join(dir, '.git'))) {
+    try {
+      upstream.commit = exec('git rev-parse HEAD', { cwd: dir }).trim();
+      upstream.date = exec('git log -1 --format=%cd --date=short', { cwd: dir }).trim();
+    } catch (error) {
+      // Not a usable git checkout
+    }
+  }
+
+  return upstream;
+}
+
+/**
+ * Extract only what the fetch step reads from an upstream tarball into vendor/
+ * Works for GitHub source archives (icons/, src/core/icons/) and the npm
+ * package (icons/, dist/material-icons.json), whatever their top-level folder
+ */
+function extractUpstreamTarball(tarballPath) {
+  console.log(`  Extracting ${path.basename(tarballPath)} (icons/ and src/core/icons/ only)...`);
+  fs.rmSync(TARBALL_DIR, { recursive: true, force: true });
+  fs.mkdirSync(TARBALL_DIR, { recursive: true });
+
+  const { files, comment, mtime } = extractTarball(tarballPath, TARBALL_DIR, entryPath => {
+    // Drop the archive's top-level folder ("package/", "vscode-material-icon-theme-<sha>/")
+    const relativePath = entryPath.split('/').slice(1).join('/');
+    const wanted = relativePath.startsWith('icons/') ||
+                   relativePath.startsWith('src/core/icons/') ||
+                   relativePath === 'dist/material-icons.json' ||
+                   relativePath === 'package.json';
+    return wanted ? relativePath : null;
+  });
+  console.log(`  ✓ Extracted ${files} files\n`);
+
+  const upstream = describeLocalSource(TARBALL_DIR, tarballPath);
+  // GitHub archives record the commit as the pax comment
+  if (comment && /^[0-9a-f]{40}$/.test(comment)) {
+    upstream.commit = comment;
+  }
+  // npm pack stamps every entry with the same fixed 1985 date, which says nothing
+  if (mtime && mtime !== NPM_PACK_MTIME) {
+    upstream.date = new Date(mtime * 1000).toISOString().slice(0, 10);
+  }
+  return upstream;
+}
+
+/**
+ * Locate the upstream files to read
+ * Uses a local directory or tarball when one is given (--source or
+ * MATERIAL_ICONS_SOURCE), otherwise the pinned git checkout
+ * Returns { dir, upstream }
+ */
+function prepareSource(options = {}) {
+  const source = options.source || process.env.MATERIAL_ICONS_SOURCE;
+  if (!source) {
+    return { dir: MATERIAL_ICONS_DIR, upstream: syncMaterialIconTheme(options) };
+  }
+
+  console.log(`Using local source: ${source}\n`);
+  if (options.ref || options.update) {
+    console.log('  ⚠ --ref and --update only apply to the git source (ignored)\n');
+  }
+
+  const sourcePath = path.resolve(source);
+  if (!fs.existsSync(sourcePath)) {
+    throw new Error(`Source not found: ${sourcePath}`);
+  }
+
+  if (fs.statSync(sourcePath).isDirectory()) {
+    return { dir: sourcePath, upstream: describeLocalSource(sourcePath, source) };
+  }
+
+  if (/\.(tgz|tar\.gz)$/.test(sourcePath)) {
+    return { dir: TARBALL_DIR, upstream: extractUpstreamTarball(sourcePath) };
   }
+
+  throw new Error(`Unsupported source (expected a directory or .tgz): ${sourcePath}`);
 }
 
 /**
  * Copy icon configuration files
+ * Reads the TypeScript sources when present, otherwise the npm package's
+ * generated manifest, or the JSON files of older upstream versions
  */
-function copyIconConfigs() {
+function copyIconConfigs(sourceDir) {
   console.log('Copying icon configuration files...');
   
   // Try both .ts and .json extensions (repo structure has changed over time)
-  const fileIconsTs = path.join(MATERIAL_ICONS_DIR, 'src/core/icons/fileIcons.ts');
-  const folderIconsTs = path.join(MATERIAL_ICONS_DIR, 'src/core/icons/folderIcons.ts');
-  const fileIconsJson = path.join(MATERIAL_ICONS_DIR, 'src/icons/fileIcons.json');
-  const folderIconsJson = path.join(MATERIAL_ICONS_DIR, 'src/icons/folderIcons.json');
+  const fileIconsTs = path.join(sourceDir, 'src/core/icons/fileIcons.ts');
+  const folderIconsTs = path.join(sourceDir, 'src/core/icons/folderIcons.ts');
+  const fileIconsJson = path.join(sourceDir, 'src/icons/fileIcons.json');
+  const folderIconsJson = path.join(sourceDir, 'src/icons/folderIcons.json');
+  const manifestJson = path.join(sourceDir, 'dist/material-icons.json');
   
   // Determine which files exist
   const fileIconsSource = fs.existsSync(fileIconsTs) ? fileIconsTs : fileIconsJson;
   const folderIconsSource = fs.existsSync(folderIconsTs) ? folderIconsTs : folderIconsJson;
   
+  if (!fs.existsSync(fileIconsSource) && fs.existsSync(manifestJson)) {
+    console.log('  Found generated manifest (npm package), reading...');
+    return readManifest(manifestJson);
+  }
+
   if (!fs.existsSync(fileIconsSource)) {
     throw new Error(
       'Icon config files not found. Checked:\n' +
       `  - ${fileIconsTs}\n` +
       `  - ${fileIconsJson}\n` +
+      `  - ${manifestJson}\n` +
       'The repository structure may have changed.'
     );
   }
@@ -117,7 +311,9 @@ function copyIconConfigs() {
     
     return {
       fileIcons: JSON.parse(fs.readFileSync(fileIconsDest, 'utf8')),
-      folderIcons: JSON.parse(fs.readFileSync(folderIconsDest, 'utf8'))
+      folderIcons: JSON.parse(fs.readFileSync(folderIconsDest, 'utf8')),
+      cloneIcons: {},
+      iconFiles: {}
     };
   }
 }
@@ -173,264 +369,121 @@ const LANGUAGE_TO_EXTENSIONS = {
 };
 
 /**
- * Parse languageIcons.ts to extract language-based icon mappings
+ * Map language IDs to file extensions (see LANGUAGE_TO_EXTENSIONS)
+ * Only fills extensions that fileExtensions does not define
  */
-function parseLanguageIcons(languageIconsPath) {
-  console.log('  Parsing language icons...');
-
-  try {
-    const content = fs.readFileSync(languageIconsPath, 'utf8');
-    const languageMappings = {};
-
-    // Parse language icons - look for patterns like:
-    // { name: 'php', ids: ['php'] }
-    const iconPattern = /{[^}]*name:\s*['"]([^'"]+)['"][^}]*ids:\s*\[([^\]]+)\]/g;
+function addLanguageExtensions(fileIcons, languageMappings) {
+  const languageCount = Object.keys(languageMappings).length;
+  if (languageCount > 0) {
+    console.log(`  ✓ Parsed ${languageCount} language mappings`);
+  }
 
-    const matches = [...content.matchAll(iconPattern)];
-    if (matches.length === 0) {
-      console.log('  ⚠ Warning: No language icon patterns found - upstream format may have changed');
-      return {};
+  let languageExtensionsAdded = 0;
+  for (const [langId, iconName] of Object.entries(languageMappings)) {
+    const extensions = LANGUAGE_TO_EXTENSIONS[langId];
+    if (extensions) {
+      extensions.forEach(ext => {
+        // Only add if not already defined by fileExtensions
+        if (!fileIcons.fileExtensions[ext]) {
+          fileIcons.fileExtensions[ext] = iconName;
+          languageExtensionsAdded++;
+        }
+      });
     }
+  }
 
-    matches.forEach(match => {
-      const iconName = match[1];
-      const idsStr = match[2];
-      const ids = idsStr.match(/['"]([^'"]+)['"]/g);
-
-      if (ids) {
-        ids.forEach(id => {
-          const cleanId = id.replace(/['"]/g, '');
-          // Map language ID to icon name
-          languageMappings[cleanId] = iconName;
-        });
-      }
-    });
-
-    const count = Object.keys(languageMappings).length;
-    if (count < 50) {
-      console.log(`  ⚠ Warning: Only parsed ${count} language mappings (expected 100+) - check upstream format`);
-    } else {
-      console.log(`  ✓ Parsed ${count} language mappings`);
-    }
+  if (languageExtensionsAdded > 0) {
+    console.log(`  ✓ Added ${languageExtensionsAdded} extensions from language icons`);
+  }
+}
 
-    return languageMappings;
-  } catch (error) {
-    console.log(`  ⚠ Error parsing language icons: ${error.message}`);
-    console.log('  Continuing without language icon mappings...');
-    return {};
+/**
+ * Validate the lookup tables and save them to cache
+ */
+function saveLookupTables(fileIcons, folderIcons) {
+  const extCount = Object.keys(fileIcons.fileExtensions).length;
+  const fileNameCount = Object.keys(fileIcons.fileNames).length;
+  const folderCount = Object.keys(folderIcons.folderNames).length;
+
+  // Check for suspiciously low counts (upstream usually has 1000+ extensions, 1000+ filenames, 500+ folders)
+  if (extCount < 100) {
+    console.log(`  ⚠ Warning: Only parsed ${extCount} file extensions (expected 1000+) - upstream format may have changed`);
+  }
+  if (fileNameCount < 100) {
+    console.log(`  ⚠ Warning: Only parsed ${fileNameCount} file names (expected 1000+) - upstream format may have changed`);
+  }
+  if (folderCount < 50) {
+    console.log(`  ⚠ Warning: Only parsed ${folderCount} folder names (expected 500+) - upstream format may have changed`);
   }
+
+  fs.writeFileSync(
+    path.join(CACHE_DIR, 'fileIcons.json'),
+    JSON.stringify(fileIcons, null, 2)
+  );
+  fs.writeFileSync(
+    path.join(CACHE_DIR, 'folderIcons.json'),
+    JSON.stringify(folderIcons, null, 2)
+  );
+
+  console.log(`  ✓ Parsed ${extCount} file extensions`);
+  console.log(`  ✓ Parsed ${fileNameCount} file names`);
+  console.log(`  ✓ Parsed ${folderCount} folder names\n`);
 }
 
 /**
- * Expand FileNamePattern patterns to actual file names
+ * Read the npm package's generated manifest (dist/material-icons.json)
+ * The manifest is already resolved (default icon pack, clones generated as
+ * icons/*.clone.svg), so it has no icon pack overlays or clone definitions
  */
-const FILE_NAME_PATTERNS = {
-  ecmascript: ['js', 'mjs', 'cjs', 'ts', 'mts', 'cts'],
-  configuration: ['json', 'jsonc', 'json5', 'yaml', 'yml', 'toml'],
-  nodeEcosystem: ['js', 'mjs', 'cjs', 'ts', 'mts', 'cts', 'json', 'jsonc', 'json5', 'yaml', 'yml', 'toml'],
-  yaml: ['yaml', 'yml'],
-};
+function readManifest(manifestPath) {
+  try {
+    const { fileIcons, folderIcons, languages, iconFiles } = fromManifest(JSON.parse(fs.readFileSync(manifestPath, 'utf8')));
+    addLanguageExtensions(fileIcons, languages);
+    fs.rmSync(path.join(CACHE_DIR, 'icons-model.json'), { force: true });
+    saveLookupTables(fileIcons, folderIcons);
+    return { fileIcons, folderIcons, cloneIcons: {}, iconFiles };
+  } catch (error) {
+    console.error('\n✗ Error reading the icon manifest:', error.message);
+    throw error;
+  }
+}
 
 /**
- * Parse TypeScript config files to extract icon mappings
+ * Parse the TypeScript config files into the icon model and lookup tables
  */
 function parseTypeScriptConfigs(fileIconsPath, folderIconsPath) {
   console.log('  Parsing TypeScript configuration files...');
 
   try {
-    const fileIconsContent = fs.readFileSync(fileIconsPath, 'utf8');
-    const folderIconsContent = fs.readFileSync(folderIconsPath, 'utf8');
-
-    // Extract icon mappings from TypeScript files
-    // The format is: { name: 'iconName', fileExtensions: ['ext1', 'ext2'], fileNames: ['file1'] }
-    const fileIcons = {
-      fileExtensions: {},
-      fileNames: {}
-    };
-
-    const folderIcons = {
-      folderNames: {}
-    };
+    const languageIconsPath = path.join(path.dirname(fileIconsPath), 'languageIcons.ts');
+    const model = buildIconModel({
+      fileIconsSource: fs.readFileSync(fileIconsPath, 'utf8'),
+      folderIconsSource: fs.readFileSync(folderIconsPath, 'utf8'),
+      languageIconsSource: fs.existsSync(languageIconsPath) ? fs.readFileSync(languageIconsPath, 'utf8') : null,
+    });
 
-    // Parse file icons - look for patterns like:
-    // { name: 'javascript', fileExtensions: ['js', 'mjs'] }
-    const iconPattern = /{[^}]*name:\s*['"]([^'"]+)['"]/g;
+    model.warnings.forEach(warning => console.log(`  ⚠ ${warning}`));
 
-    // Parse file icons
-    const fileIconMatches = [...fileIconsContent.matchAll(iconPattern)];
-    if (fileIconMatches.length === 0) {
+    if (model.fileIcons.icons.length === 0) {
       throw new Error('No file icon definitions found in TypeScript config');
     }
 
-    fileIconMatches.forEach((match, index) => {
-      const iconName = match[1];
-      const blockStart = match.index;
-
-      // Find the matching closing brace for this icon block
-      // We need to count braces to find the correct end
-      let braceCount = 0;
-      let blockEnd = blockStart;
-      let inBlock = false;
-
-      for (let i = blockStart; i < fileIconsContent.length; i++) {
-        if (fileIconsContent[i] === '{') {
-          braceCount++;
-          inBlock = true;
-        } else if (fileIconsContent[i] === '}') {
-          braceCount--;
-          if (inBlock && braceCount === 0) {
-            blockEnd = i;
-            break;
-          }
-        }
-      }
-
-      // Validate we found a matching brace
-      if (blockEnd === blockStart || braceCount !== 0) {
-        console.log(`  ⚠ Warning: Could not find matching brace for icon "${iconName}" - skipping`);
-        return;
-      }
-
-      const block = fileIconsContent.substring(blockStart, blockEnd + 1);
-
-    // Extract extensions
-    const extMatch = block.match(/fileExtensions:\s*\[([^\]]+)\]/);
-    if (extMatch) {
-      const extensions = extMatch[1].match(/['"]([^'"]+)['"]/g);
-      if (extensions) {
-        extensions.forEach(ext => {
-          const cleanExt = ext.replace(/['"]/g, '');
-          fileIcons.fileExtensions[cleanExt] = iconName;
-        });
-      }
-    }
-
-    // Extract file names
-    const nameMatch = block.match(/fileNames:\s*\[([^\]]+)\]/);
-    if (nameMatch) {
-      const names = nameMatch[1].match(/['"]([^'"]+)['"]/g);
-      if (names) {
-        names.forEach(name => {
-          const cleanName = name.replace(/['"]/g, '');
-          fileIcons.fileNames[cleanName] = iconName;
-        });
-      }
-    }
-
-    // Extract patterns (e.g., 'webpack.config': FileNamePattern.Ecmascript)
-    const patternsMatch = block.match(/patterns:\s*{([\s\S]*?)}/);
-    if (patternsMatch) {
-      const patternsContent = patternsMatch[1];
-      // Match patterns like: 'webpack.config': FileNamePattern.Ecmascript
-      const patternEntries = patternsContent.match(/['"]([^'"]+)['"]:\s*FileNamePattern\.(\w+)/g);
-      if (patternEntries) {
-        patternEntries.forEach(entry => {
-          const entryMatch = entry.match(/['"]([^'"]+)['"]:\s*FileNamePattern\.(\w+)/);
-          if (entryMatch) {
-            const baseName = entryMatch[1];
-            const patternType = entryMatch[2].toLowerCase();
-            const extensions = FILE_NAME_PATTERNS[patternType];
-
-            if (extensions) {
-              extensions.forEach(ext => {
-                const fullName = `${baseName}.${ext}`;
-                fileIcons.fileNames[fullName] = iconName;
-              });
-            }
-          }
-        });
-      }
-    }
-  });
-
-  // Parse folder icons
-  const folderIconMatches = [...folderIconsContent.matchAll(iconPattern)];
-  if (folderIconMatches.length === 0) {
-    console.log('  ⚠ Warning: No folder icon definitions found - upstream format may have changed');
-  }
-
-  folderIconMatches.forEach(match => {
-    const iconName = match[1];
-    const blockStart = match.index;
-    const blockEnd = folderIconsContent.indexOf('}', blockStart);
-
-    // Validate we found a closing brace
-    if (blockEnd === -1 || blockEnd <= blockStart) {
-      console.log(`  ⚠ Warning: Could not find closing brace for folder icon "${iconName}" - skipping`);
-      return;
-    }
-
-    const block = folderIconsContent.substring(blockStart, blockEnd);
-
-    // Extract folder names
-    const nameMatch = block.match(/folderNames:\s*\[([^\]]+)\]/);
-    if (nameMatch) {
-      const names = nameMatch[1].match(/['"]([^'"]+)['"]/g);
-      if (names) {
-        names.forEach(name => {
-          const cleanName = name.replace(/['"]/g, '');
-          folderIcons.folderNames[cleanName] = iconName;
-        });
-      }
-    }
-  });
-
-  // Also parse languageIcons.ts to get language-based mappings
-  const languageIconsPath = path.join(MATERIAL_ICONS_DIR, 'src/core/icons/languageIcons.ts');
-  if (fs.existsSync(languageIconsPath)) {
-    const languageMappings = parseLanguageIcons(languageIconsPath);
+    // Keys are lowercased, as in upstream's generated manifest (matching is case-insensitive)
+    const fileIcons = toFileIconTables(model);
+    const folderIcons = toFolderIconTables(model);
 
     // Convert language IDs to file extensions
-    let languageExtensionsAdded = 0;
-    for (const [langId, iconName] of Object.entries(languageMappings)) {
-      const extensions = LANGUAGE_TO_EXTENSIONS[langId];
-      if (extensions) {
-        extensions.forEach(ext => {
-          // Only add if not already defined by fileExtensions
-          if (!fileIcons.fileExtensions[ext]) {
-            fileIcons.fileExtensions[ext] = iconName;
-            languageExtensionsAdded++;
-          }
-        });
-      }
-    }
-
-    if (languageExtensionsAdded > 0) {
-      console.log(`  ✓ Added ${languageExtensionsAdded} extensions from language icons`);
-    }
-  }
+    addLanguageExtensions(fileIcons, toLanguageTable(model));
 
-    // Validate parsing results
-    const extCount = Object.keys(fileIcons.fileExtensions).length;
-    const fileNameCount = Object.keys(fileIcons.fileNames).length;
-    const folderCount = Object.keys(folderIcons.folderNames).length;
-
-    // Check for suspiciously low counts (upstream usually has 1000+ extensions, 1000+ filenames, 500+ folders)
-    if (extCount < 100) {
-      console.log(`  ⚠ Warning: Only parsed ${extCount} file extensions (expected 1000+) - upstream format may have changed`);
-    }
-    if (fileNameCount < 100) {
-      console.log(`  ⚠ Warning: Only parsed ${fileNameCount} file names (expected 1000+) - upstream format may have changed`);
-    }
-    if (folderCount < 50) {
-      console.log(`  ⚠ Warning: Only parsed ${folderCount} folder names (expected 500+) - upstream format may have changed`);
-    }
-
-    // Save parsed configs to cache
-    fs.writeFileSync(
-      path.join(CACHE_DIR, 'fileIcons.json'),
-      JSON.stringify(fileIcons, null, 2)
-    );
+    // Save the model (every upstream field) to cache, next to the lookup tables
+    delete model.warnings;
     fs.writeFileSync(
-      path.join(CACHE_DIR, 'folderIcons.json'),
-      JSON.stringify(folderIcons, null, 2)
+      path.join(CACHE_DIR, 'icons-model.json'),
+      JSON.stringify(model, null, 2)
     );
+    saveLookupTables(fileIcons, folderIcons);
 
-    console.log(`  ✓ Parsed ${extCount} file extensions`);
-    console.log(`  ✓ Parsed ${fileNameCount} file names`);
-    console.log(`  ✓ Parsed ${folderCount} folder names\n`);
-
-    return { fileIcons, folderIcons };
+    return { fileIcons, folderIcons, cloneIcons: collectCloneIcons(model), iconFiles: {} };
 
   } catch (error) {
     console.error('\n✗ Error parsing TypeScript configs:', error.message);
@@ -445,53 +498,120 @@ function parseTypeScriptConfigs(fileIconsPath, folderIconsPath) {
 }
 
 /**
- * Copy needed SVG icons based on priority list
+ * Generate the SVG for a clone icon by recoloring its base icon
+ * Returns null when none of the candidate base icons exist upstream
+ */
+function generateCloneIcon(iconsSourceDir, clone) {
+  const base = clone.bases.find(name => fs.existsSync(path.join(iconsSourceDir, `${name}.svg`)));
+  if (!base) return null;
+  return recolorSvg(fs.readFileSync(path.join(iconsSourceDir, `${base}.svg`), 'utf8'), clone.color);
+}
+
+/**
+ * Copy needed SVG icons based on priority list (or every mapped icon with allIcons)
+ * options.presets overrides the priority list's `extends` (see --preset)
+ * Clone icons (recolored copies of another icon upstream) are generated instead
  */
-function copyNeededIcons(fileIcons, folderIcons) {
+function copyNeededIcons(sourceDir, { fileIcons, folderIcons, cloneIcons = {}, iconFiles = {} }, options = {}) {
   console.log('Copying needed SVG icons...');
   
-  const priorityList = require('../src/priority-list.js');
-  const neededIcons = new Set();
+  const priorityList = loadPriorityList(options.presets);
+  if (priorityList.presets.length > 0) {
+    console.log(`  Presets: ${priorityList.presets.join(', ')}`);
+  }
+  const allIcons = options.allIcons !== undefined ? options.allIcons : !!priorityList.allIcons;
+  const neededIcons = new Set(['file', 'folder', 'folder-open']);
+
+  // Add an icon (and its light-theme variant, if any) from a mapping table
+  function addIcon(table, lightTable, key) {
+    if (table && table[key]) {
+      neededIcons.add(table[key]);
+      if (lightTable && lightTable[key]) {
+        neededIcons.add(lightTable[key]);
+      }
+    }
+  }
+
+  // Collect the priority list's icons from one set of lookup tables
+  function addIconsFrom(fileTables, folderTables) {
+    const fileLight = fileTables.light || {};
+    const folderLight = folderTables.light || {};
 
-  // Map extensions to icon names
-  if (fileIcons.fileExtensions) {
+    // Map extensions to icon names
     priorityList.extensions.forEach(ext => {
-      if (fileIcons.fileExtensions[ext]) {
-        neededIcons.add(fileIcons.fileExtensions[ext]);
-      }
+      // Same normalization as the build (".D.TS" -> "d.ts")
+      addIcon(fileTables.fileExtensions, fileLight.fileExtensions, ext.replace(/^\./, '').toLowerCase());
     });
-  }
-  
-  // Map specific filenames to icon names
-  if (fileIcons.fileNames) {
+
+    // Map specific filenames to icon names (cached keys are lowercase)
     priorityList.filenames.forEach(filename => {
-      if (fileIcons.fileNames[filename]) {
-        neededIcons.add(fileIcons.fileNames[filename]);
+      addIcon(fileTables.fileNames, fileLight.fileNames, filename.toLowerCase());
+    });
+
+    // Map filename patterns to icon names
+    (priorityList.patterns || []).forEach(entry => {
+      const { iconName, lightIconName } = resolvePatternIcon(entry, fileTables);
+      if (iconName) {
+        neededIcons.add(iconName);
+        if (lightIconName) {
+          neededIcons.add(lightIconName);
+        }
       }
     });
-  }
-  
-  // Map folder names to icon names
-  if (folderIcons.folderNames) {
+
+    // Map folder names to icon names (closed and expanded)
     priorityList.folders.forEach(folder => {
-      if (folderIcons.folderNames[folder]) {
-        neededIcons.add(folderIcons.folderNames[folder]);
-      }
+      const key = folder.toLowerCase();
+      addIcon(folderTables.folderNames, folderLight.folderNames, key);
+      addIcon(folderTables.folderNamesExpanded, folderLight.folderNamesExpanded, key);
     });
+
+    // Every icon upstream maps anything to, for "all icons" builds
+    if (allIcons) {
+      [
+        fileTables.fileExtensions, fileTables.fileNames, fileLight.fileExtensions, fileLight.fileNames,
+        folderTables.folderNames, folderTables.folderNamesExpanded, folderLight.folderNames, folderLight.folderNamesExpanded,
+      ].forEach(table => Object.values(table || {}).forEach(iconName => neededIcons.add(iconName)));
+    }
   }
+
+  // Copy the icons of every icon pack, so the build can switch packs (--pack) without fetching again
+  addIconsFrom(applyIconPacks(fileIcons, []), applyIconPacks(folderIcons, []));
+  const iconPacks = new Set([...Object.keys(fileIcons.packs || {}), ...Object.keys(folderIcons.packs || {})]);
+  iconPacks.forEach(pack => {
+    addIconsFrom(applyIconPacks(fileIcons, [pack]), applyIconPacks(folderIcons, [pack]));
+  });
   
-  console.log(`  Found ${neededIcons.size} unique icons needed\n`);
+  console.log(`  Found ${neededIcons.size} unique icons needed${allIcons ? ' (all icons)' : ''}\n`);
   
   // Copy SVG files
-  const iconsSourceDir = path.join(MATERIAL_ICONS_DIR, 'icons');
+  const iconsSourceDir = path.join(sourceDir, 'icons');
   let copied = 0;
+  let generated = 0;
   let skipped = 0;
   let missing = 0;
   
   for (const iconName of neededIcons) {
-    const sourcePath = path.join(iconsSourceDir, `${iconName}.svg`);
+    // The npm manifest names each icon's file (e.g. clones are "<name>.clone.svg")
+    const sourcePath = iconFiles[iconName]
+      ? path.join(sourceDir, iconFiles[iconName])
+      : path.join(iconsSourceDir, `${iconName}.svg`);
     const destPath = path.join(ICONS_DIR, `${iconName}.svg`);
     
+    if (!fs.existsSync(sourcePath) && cloneIcons[iconName]) {
+      const svg = generateCloneIcon(iconsSourceDir, cloneIcons[iconName]);
+      if (!svg) {
+        console.log(`  ⚠ Missing: ${iconName}.svg (clone of ${cloneIcons[iconName].bases.join(' or ')}, not in upstream repo)`);
+        missing++;
+      } else if (fs.existsSync(destPath) && fs.readFileSync(destPath, 'utf8') === svg) {
+        skipped++;
+      } else {
+        fs.writeFileSync(destPath, svg);
+        generated++;
+      }
+      continue;
+    }
+    
     if (!fs.existsSync(sourcePath)) {
       console.log(`  ⚠ Missing: ${iconName}.svg (not in upstream repo)`);
       missing++;
@@ -514,6 +634,9 @@ function copyNeededIcons(fileIcons, folderIcons) {
   }
   
   console.log(`  ✓ Copied ${copied} new/updated icons`);
+  if (generated > 0) {
+    console.log(`  ✓ Generated ${generated} new/updated clone icons`);
+  }
   if (skipped > 0) {
     console.log(`  ✓ Skipped ${skipped} unchanged icons`);
   }
@@ -522,46 +645,68 @@ function copyNeededIcons(fileIcons, folderIcons) {
   }
   console.log();
   
-  return { copied, skipped, missing, total: neededIcons.size };
+  return { copied, generated, skipped, missing, total: neededIcons.size };
 }
 
 /**
  * Main fetch function
  */
-async function fetchIcons() {
+async function fetchIcons(options = {}) {
   console.log('=== Fetching Material Icons ===\n');
   
   try {
-    // 1. Clone/update the material-icon-theme repo
-    syncMaterialIconTheme();
+    // 1. Clone/update the material-icon-theme repo at the pinned version (or use a local copy)
+    const { dir: sourceDir, upstream } = prepareSource(options);
+
+    // Record which upstream version the cache came from (embedded by the build)
+    fs.writeFileSync(path.join(CACHE_DIR, 'upstream.json'), JSON.stringify(upstream, null, 2));
     
     // 2. Copy icon configuration files
-    const { fileIcons, folderIcons } = copyIconConfigs();
+    const configs = copyIconConfigs(sourceDir);
     
     // 3. Copy needed icon files
-    const stats = copyNeededIcons(fileIcons, folderIcons);
+    const stats = copyNeededIcons(sourceDir, configs, { presets: options.presets, allIcons: options.allIcons });
     
     // 4. Summary
     console.log('✓ Complete!');
     console.log(`  Total icons: ${stats.total}`);
     console.log(`  Copied: ${stats.copied}`);
+    if (stats.generated > 0) {
+      console.log(`  Generated: ${stats.generated}`);
+    }
     console.log(`  Unchanged: ${stats.skipped}`);
     if (stats.missing > 0) {
       console.log(`  Missing: ${stats.missing} (these may need different names in priority-list.js)`);
     }
     console.log(`\nIcons saved to: ${ICONS_DIR}`);
-    console.log(`Source repo: ${MATERIAL_ICONS_DIR}`);
+    console.log(`Source: ${sourceDir}`);
     
   } catch (error) {
     console.error('\n✗ Error fetching icons:', error.message);
-    console.error('\nMake sure you have git installed and can access GitHub.');
+    console.error('\nMake sure you have git installed and can access GitHub,');
+    console.error('or fetch from a local copy with --source <directory|.tgz> (or MATERIAL_ICONS_SOURCE).');
     process.exit(1);
   }
 }
 
 // Run if called directly
 if (require.main === module) {
-  fetchIcons();
+  const args = process.argv.slice(2);
+  const argValue = name => (args.includes(name) ? args[args.indexOf(name) + 1] : undefined);
+  let presets;
+  try {
+    presets = parseListArgs(args, '--preset');
+  } catch (error) {
+    console.error(`✗ ${error.message}`);
+    process.exit(1);
+  }
+  fetchIcons({
+    ref: argValue('--ref'),
+    update: args.includes('--update'),
+    source: argValue('--source'),
+    allIcons: args.includes('--all-icons') ? true : undefined,
+    presets,
+  });
 }
 
 module.exports = { fetchIcons };
@@ -0,0 +1,107 @@
+/**
+ * Dependency-free .gitignore matching for the scan script
+ *
+ * Supports what repositories commonly use: comments, negation (`!`), folder-only
+ * rules (trailing `/`), rules anchored to their .gitignore's folder (a `/` anywhere
+ * but at the end), `*`, `?`, `**` and `[...]` character classes. As in git, rules
+ * in deeper .gitignore files win over outer ones, and later rules over earlier ones.
+ */
+
+const path = require('path');
+
+/**
+ * Convert a gitignore glob to a regular expression source (without anchors)
+ * `*` and `?` stay within one path segment; `**` spans segments
+ */
+function gitignoreGlobSource(glob) {
+  let source = '';
+  for (let i = 0; i < glob.length; i++) {
+    const char = glob[i];
+    if (char === '*' && glob[i + 1] === '*') {
+      // "**/" matches zero or more folders, any other "**" everything
+      if (glob[i + 2] === '/') {
+        source += '(?:.*/)?';
+        i += 2;
+      } else {
+        source += '.*';
+        i += 1;
+      }
+    } else if (char === '*') {
+      source += '[^/]*';
+    } else if (char === '?') {
+      source += '[^/]';
+    } else if (char === '[' && glob.indexOf(']', i + 2) !== -1) {
+      const end = glob.indexOf(']', i + 2);
+      const members = glob.slice(i + 1, end).replace(/^!/, '^').replace(/\\/g, '\\\\');
+      source += `[${members}]`;
+      i = end;
+    } else if (char === '\\' && i + 1 < glob.length) {
+      source += glob[++i].replace(/[.+^${}()|[\]\\/*?]/g, '\\$&');
+    } else {
+      source += char.replace(/[.+^${}()|[\]\\/]/g, '\\$&');
+    }
+  }
+  return source;
+}
+
+/**
+ * Parse the contents of a .gitignore file into rules: { regex, negate, folderOnly, anchored }
+ */
+function parseGitignore(content) {
+  const rules = [];
+
+  content.split(/\r?\n/).forEach(line => {
+    // Trailing spaces are ignored unless escaped
+    let pattern = line.replace(/(?<!\\)\s+$/, '');
+    if (!pattern || pattern.startsWith('#')) return;
+
+    const negate = pattern.startsWith('!');
+    if (negate) {
+      pattern = pattern.slice(1);
+    } else if (pattern.startsWith('\\!') || pattern.startsWith('\\#')) {
+      pattern = pattern.slice(1);
+    }
+
+    const folderOnly = pattern.endsWith('/');
+    pattern = pattern.replace(/\/+$/, '');
+    if (!pattern) return;
+
+    // A slash at the start or in the middle anchors the rule to the .gitignore's folder
+    const anchored = pattern.includes('/');
+    pattern = pattern.replace(/^\//, '');
+
+    rules.push({
+      regex: new RegExp(`^${gitignoreGlobSource(pattern)}$`),
+      negate,
+      folderOnly,
+      anchored,
+    });
+  });
+
+  return rules;
+}
+
+/**
+ * Whether a path is ignored by the .gitignore rules in effect for it
+ * levels: [{ base, rules }] from the outermost folder to the innermost
+ * Returns true, or false when no rule matches or the last matching rule re-includes it
+ */
+function isIgnored(levels, filePath, isFolder) {
+  let ignored = false;
+
+  levels.forEach(({ base, rules }) => {
+    const relativePath = path.relative(base, filePath).split(path.sep).join('/');
+    const name = path.basename(filePath);
+
+    rules.forEach(rule => {
+      if (rule.folderOnly && !isFolder) return;
+      if (rule.regex.test(rule.anchored ? relativePath : name)) {
+        ignored = !rule.negate;
+      }
+    });
+  });
+
+  return ignored;
+}
+
+module.exports = { parseGitignore, isIgnored };
@@ -0,0 +1,431 @@
+/**
+ * Structured model of upstream's icon definitions
+ *
+ * Built from the object literals in src/core/icons/{fileIcons,folderIcons,languageIcons}.ts
+ * (read with ./object-literal), keeping every field upstream defines. The fetch
+ * script writes it to cache/icons-model.json and derives the fileIcons.json and
+ * folderIcons.json lookup tables from it.
+ */
+
+const path = require('path');
+const { parseModule } = require('./object-literal');
+
+/**
+ * Extensions added to a base name by each upstream FileNamePattern
+ * (mirrors src/core/models/icons/patterns/patterns.ts upstream)
+ */
+const ECMASCRIPT_EXTENSIONS = ['js', 'mjs', 'cjs', 'ts', 'mts', 'cts'];
+const CONFIGURATION_EXTENSIONS = ['json', 'jsonc', 'json5', 'yaml', 'yml', 'toml'];
+
+const FILE_NAME_PATTERNS = {
+  ecmascript: name => ECMASCRIPT_EXTENSIONS.map(ext => `${name}.${ext}`),
+  configuration: name => CONFIGURATION_EXTENSIONS.map(ext => `${name}.${ext}`),
+  nodeecosystem: name => [...ECMASCRIPT_EXTENSIONS, ...CONFIGURATION_EXTENSIONS].map(ext => `${name}.${ext}`),
+  cosmiconfig: name => {
+    const rcExtensions = ['json', 'yaml', 'yml', 'js', 'ts', 'cjs', 'mjs'];
+    return [
+      `.${name}rc`,
+      ...rcExtensions.map(ext => `.${name}rc.${ext}`),
+      `.config/${name}rc`,
+      ...rcExtensions.map(ext => `.config/${name}rc.${ext}`),
+      ...['js', 'ts', 'cjs', 'mjs'].map(ext => `${name}.config.${ext}`),
+    ];
+  },
+  yaml: name => [`${name}.yaml`, `${name}.yml`],
+  dotfile: name => [`.${name}`, name],
+};
+
+/**
+ * Icon pack ids used in settings upstream (IconPack enum values), by enum member
+ */
+const ICON_PACKS = {
+  Angular: 'angular',
+  Ngrx: 'angular_ngrx',
+  React: 'react',
+  Redux: 'react_redux',
+  Qwik: 'qwik',
+  Vue: 'vue',
+  Vuex: 'vue_vuex',
+  Nest: 'nest',
+  Roblox: 'roblox',
+  Bashly: 'bashly',
+};
+
+/**
+ * Name of an enum member, whether it was resolved to its value or kept as a reference
+ */
+function enumValue(value, knownValues = {}) {
+  if (value && typeof value === 'object' && value.ref) {
+    const member = value.ref.split('.').pop();
+    return knownValues[member] || member;
+  }
+  return value;
+}
+
+/**
+ * Unwrap a value written as an expression on a literal (e.g. `[...].map(fn)`), with a warning
+ * The literal is the best guess at the data; the rest of the expression is not evaluated
+ */
+function literalValue(value, context, warnings) {
+  if (value && typeof value === 'object' && 'expression' in value && value.literal !== undefined) {
+    const expression = value.expression.length > 40 ? `${value.expression.slice(0, 40)}...` : value.expression;
+    warnings.push(`${context}: read ${JSON.stringify(expression)} as the literal it starts with`);
+    return value.literal;
+  }
+  return value;
+}
+
+/**
+ * An upstream array (anything else is reported and read as an empty list)
+ */
+function listValue(value, context, warnings) {
+  if (value === undefined) return [];
+  const list = literalValue(value, context, warnings);
+  if (!Array.isArray(list)) {
+    warnings.push(`${context}: expected a list`);
+    return [];
+  }
+  return list;
+}
+
+/**
+ * String entries of an upstream array (other entries, like unresolved spreads, are reported)
+ */
+function stringList(value, context, warnings) {
+  return listValue(value, context, warnings).filter(item => {
+    if (typeof item === 'string') return true;
+    warnings.push(`${context}: skipped ${JSON.stringify(item)}`);
+    return false;
+  });
+}
+
+/**
+ * Fields shared by file, folder and language icon definitions
+ */
+function commonFields(definition, context, warnings) {
+  if (definition['...']) {
+    warnings.push(`${context}: skipped unresolved spread ${JSON.stringify(definition['...'])}`);
+  }
+
+  return {
+    name: definition.name,
+    light: definition.light === true,
+    highContrast: definition.highContrast === true,
+    enabledFor: (definition.enabledFor || []).map(pack => enumValue(pack, ICON_PACKS)),
+    clone: definition.clone || null,
+    disabled: definition.disabled === true,
+  };
+}
+
+/**
+ * Find the exported constant holding the definitions
+ * Entries the reader had to skip are added to the warnings
+ */
+function findExport(source, name, fileLabel, warnings) {
+  const { constants, warnings: parseWarnings } = parseModule(source);
+  parseWarnings.forEach(warning => warnings.push(`${fileLabel}: ${warning}`));
+  if (!(name in constants)) {
+    throw new Error(`"${name}" not found in ${fileLabel}`);
+  }
+  return literalValue(constants[name], fileLabel, warnings);
+}
+
+/**
+ * Build the file icon model from fileIcons.ts
+ */
+function parseFileIcons(source, warnings) {
+  const fileIcons = findExport(source, 'fileIcons', 'fileIcons.ts', warnings);
+
+  return {
+    defaultIcon: fileIcons.defaultIcon || { name: 'file' },
+    icons: listValue(fileIcons.icons, 'fileIcons.ts icons', warnings).map((definition, index) => {
+      const context = `fileIcons.ts icon ${definition.name || '#' + index}`;
+      const patterns = {};
+      Object.entries(definition.patterns || {}).forEach(([base, pattern]) => {
+        const patternName = String(enumValue(pattern)).toLowerCase();
+        if (FILE_NAME_PATTERNS[patternName]) {
+          patterns[base] = patternName;
+        } else {
+          warnings.push(`${context}: unknown file name pattern ${JSON.stringify(pattern)}`);
+        }
+      });
+
+      return {
+        ...commonFields(definition, context, warnings),
+        fileExtensions: stringList(definition.fileExtensions, context, warnings),
+        fileNames: stringList(definition.fileNames, context, warnings),
+        patterns,
+      };
+    }),
+  };
+}
+
+/**
+ * Build the folder theme models from folderIcons.ts
+ * Expanded folders use "<name>-open", as in upstream's generated manifest
+ */
+function parseFolderIcons(source, warnings) {
+  const folderThemes = listValue(findExport(source, 'folderIcons', 'folderIcons.ts', warnings), 'folderIcons.ts', warnings);
+
+  return folderThemes.map(theme => ({
+    name: theme.name,
+    defaultIcon: theme.defaultIcon || null,
+    rootFolder: theme.rootFolder || null,
+    icons: listValue(theme.icons, `folderIcons.ts theme ${theme.name} icons`, warnings).map((definition, index) => {
+      const context = `folderIcons.ts icon ${definition.name || '#' + index}`;
+      const folderNames = stringList(definition.folderNames, context, warnings);
+      const rootFolderNames = stringList(definition.rootFolderNames, context, warnings);
+
+      return {
+        ...commonFields(definition, context, warnings),
+        folderNames,
+        folderNamesExpanded: folderNames.length > 0 ? `${definition.name}-open` : null,
+        rootFolderNames,
+        rootFolderNamesExpanded: rootFolderNames.length > 0 ? `${definition.name}-open` : null,
+      };
+    }),
+  }));
+}
+
+/**
+ * Build the language icon model from languageIcons.ts
+ */
+function parseLanguageIcons(source, warnings) {
+  const languageIcons = findExport(source, 'languageIcons', 'languageIcons.ts', warnings);
+
+  return listValue(languageIcons, 'languageIcons.ts', warnings).map((definition, index) => {
+    const context = `languageIcons.ts icon ${definition.name || '#' + index}`;
+    return {
+      ...commonFields(definition, context, warnings),
+      ids: stringList(definition.ids, context, warnings),
+    };
+  });
+}
+
+/**
+ * Build the full model from the three upstream sources (languageIcons is optional)
+ * Returns { fileIcons, folderThemes, languageIcons, warnings }
+ */
+function buildIconModel({ fileIconsSource, folderIconsSource, languageIconsSource }) {
+  const warnings = [];
+  return {
+    fileIcons: parseFileIcons(fileIconsSource, warnings),
+    folderThemes: parseFolderIcons(folderIconsSource, warnings),
+    languageIcons: languageIconsSource ? parseLanguageIcons(languageIconsSource, warnings) : [],
+    warnings,
+  };
+}
+
+/**
+ * Whether an icon definition is active for the given icon pack (null for the base tables)
+ * Disabled icons are always skipped. Like upstream, icons with `enabledFor` only
+ * apply when one of their packs is selected.
+ */
+function isActiveFor(icon, pack) {
+  if (icon.disabled) return false;
+  return pack === null ? icon.enabledFor.length === 0 : icon.enabledFor.includes(pack);
+}
+
+/**
+ * Icon packs referenced by the model's icons, in upstream order
+ */
+function listIconPacks(model) {
+  const packs = new Set();
+  const icons = [
+    ...model.fileIcons.icons,
+    ...model.folderThemes.flatMap(theme => theme.icons),
+  ];
+  icons.forEach(icon => icon.enabledFor.forEach(pack => packs.add(pack)));
+  return [...packs];
+}
+
+/**
+ * Whether an icon has an "<name>_light" variant (shipped, or generated for clones with lightColor)
+ */
+function hasLightVariant(icon) {
+  return icon.light || !!(icon.clone && icon.clone.lightColor);
+}
+
+/**
+ * Build file lookup tables from the given icons (keys lowercase, later icons win)
+ */
+function fileTablesFor(icons) {
+  const tables = {
+    fileExtensions: {},
+    fileNames: {},
+    light: {
+      fileExtensions: {},
+      fileNames: {},
+    },
+  };
+
+  icons.forEach(icon => {
+    const lightIconName = hasLightVariant(icon) ? `${icon.name}_light` : null;
+
+    function add(tableName, key) {
+      tables[tableName][key.toLowerCase()] = icon.name;
+      if (lightIconName) {
+        tables.light[tableName][key.toLowerCase()] = lightIconName;
+      }
+    }
+
+    icon.fileExtensions.forEach(ext => add('fileExtensions', ext));
+    icon.fileNames.forEach(name => add('fileNames', name));
+    Object.entries(icon.patterns).forEach(([base, pattern]) => {
+      FILE_NAME_PATTERNS[pattern](base).forEach(name => add('fileNames', name));
+    });
+  });
+
+  return tables;
+}
+
+/**
+ * Build folder lookup tables from the given icons (keys lowercase, later icons win)
+ */
+function folderTablesFor(icons) {
+  const tables = {
+    folderNames: {},
+    folderNamesExpanded: {},
+    rootFolderNames: {},
+    rootFolderNamesExpanded: {},
+    light: {
+      folderNames: {},
+      folderNamesExpanded: {},
+      rootFolderNames: {},
+      rootFolderNamesExpanded: {},
+    },
+  };
+
+  icons.forEach(icon => {
+    function add(tableName, names) {
+      names.forEach(name => {
+        const key = name.toLowerCase();
+        tables[tableName][key] = icon.name;
+        tables[`${tableName}Expanded`][key] = `${icon.name}-open`;
+        if (hasLightVariant(icon)) {
+          tables.light[tableName][key] = `${icon.name}_light`;
+          tables.light[`${tableName}Expanded`][key] = `${icon.name}-open_light`;
+        }
+      });
+    }
+
+    add('folderNames', icon.folderNames);
+    add('rootFolderNames', icon.rootFolderNames);
+  });
+
+  return tables;
+}
+
+/**
+ * Derive the fileIcons.json lookup tables from the model
+ * Icon pack icons go into per-pack overlays under `packs` (see applyIconPacks)
+ */
+function toFileIconTables(model) {
+  const tables = fileTablesFor(model.fileIcons.icons.filter(icon => isActiveFor(icon, null)));
+  tables.packs = {};
+  listIconPacks(model).forEach(pack => {
+    tables.packs[pack] = fileTablesFor(model.fileIcons.icons.filter(icon => isActiveFor(icon, pack)));
+  });
+  return tables;
+}
+
+/**
+ * Derive the folderIcons.json lookup tables from the model
+ * Uses upstream's default "specific" folder theme; icon pack icons go into
+ * per-pack overlays under `packs` (see applyIconPacks)
+ */
+function toFolderIconTables(model) {
+  const theme = model.folderThemes.find(t => t.name === 'specific') || model.folderThemes[0];
+  const icons = theme ? theme.icons : [];
+
+  const tables = folderTablesFor(icons.filter(icon => isActiveFor(icon, null)));
+  tables.packs = {};
+  listIconPacks(model).forEach(pack => {
+    tables.packs[pack] = folderTablesFor(icons.filter(icon => isActiveFor(icon, pack)));
+  });
+  return tables;
+}
+
+/**
+ * Merge the overlays of the selected icon packs into cached lookup tables
+ * Pack icons override the base tables, as in the VS Code theme; when selected
+ * packs disagree, the pack listed first wins. Returns new tables without `packs`.
+ */
+function applyIconPacks(tables, iconPacks) {
+  const { packs = {}, ...merged } = tables;
+  const result = { ...merged, light: { ...(merged.light || {}) } };
+
+  [...iconPacks].reverse().forEach(pack => {
+    const overlay = packs[pack];
+    if (!overlay) return;
+
+    for (const [tableName, table] of Object.entries(overlay)) {
+      if (tableName === 'light') continue;
+      result[tableName] = { ...(result[tableName] || {}), ...table };
+
+      // The pack icon also replaces the base icon's light variant
+      const light = { ...(result.light[tableName] || {}) };
+      Object.keys(table).forEach(key => delete light[key]);
+      result.light[tableName] = { ...light, ...((overlay.light || {})[tableName] || {}) };
+    }
+  });
+
+  return result;
+}
+
+/**
+ * Map of language ids to icon names from the model
+ */
+function toLanguageTable(model) {
+  const languages = {};
+  model.languageIcons.filter(icon => isActiveFor(icon, null)).forEach(icon => {
+    icon.ids.forEach(id => {
+      languages[id] = icon.name;
+    });
+  });
+  return languages;
+}
+
+/**
+ * Lowercase the keys of a manifest table
+ */
+function lowercaseTable(table = {}) {
+  return Object.fromEntries(Object.entries(table).map(([key, value]) => [key.toLowerCase(), value]));
+}
+
+/**
+ * Lookup tables from upstream's generated manifest (dist/material-icons.json in
+ * the npm package) instead of the TypeScript sources
+ * Returns { fileIcons, folderIcons, languages, iconFiles }, where iconFiles maps
+ * icon names to their SVG path relative to the package root
+ */
+function fromManifest(manifest) {
+  const light = manifest.light || {};
+  const fileTableNames = ['fileExtensions', 'fileNames'];
+  const folderTableNames = ['folderNames', 'folderNamesExpanded', 'rootFolderNames', 'rootFolderNamesExpanded'];
+  const tablesFrom = (source, names) => Object.fromEntries(names.map(name => [name, lowercaseTable(source[name])]));
+
+  const iconFiles = {};
+  Object.entries(manifest.iconDefinitions || {}).forEach(([iconName, { iconPath }]) => {
+    // Paths are relative to dist/ (e.g. "./../icons/go.svg")
+    iconFiles[iconName] = path.posix.normalize(path.posix.join('dist', iconPath));
+  });
+
+  return {
+    fileIcons: { ...tablesFrom(manifest, fileTableNames), light: tablesFrom(light, fileTableNames) },
+    folderIcons: { ...tablesFrom(manifest, folderTableNames), light: tablesFrom(light, folderTableNames) },
+    languages: manifest.languageIds || {},
+    iconFiles,
+  };
+}
+
+module.exports = {
+  fromManifest,
+  FILE_NAME_PATTERNS,
+  ICON_PACKS,
+  buildIconModel,
+  toFileIconTables,
+  toFolderIconTables,
+  toLanguageTable,
+  applyIconPacks,
+};
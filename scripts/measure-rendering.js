@@ -0,0 +1,174 @@
+#!/usr/bin/env node
+
+/**
+ * Compare the img and stylesheet rendering modes on a large file listing
+ *
+ * Builds a repository file table with one row per entry of the given directories
+ * (walked recursively up to --rows entries, default 1000), runs the runtime over it
+ * in happy-dom once per mode and reports the markup added to the page and the time
+ * taken. Point it at a big directory, e.g. a WordPress checkout's wp-includes:
+ *
+ *   node scripts/measure-rendering.js ../wordpress/wp-includes
+ *   node scripts/measure-rendering.js node_modules --rows 5000
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { performance } = require('perf_hooks');
+const { buildIconMappings, buildIconStylesheet } = require('./build');
+
+const BROWSER_GLOBALS = ['window', 'document', 'location', 'MutationObserver', 'localStorage'];
+const RUNS = 3;
+
+/**
+ * Collect up to `limit` entries (name and whether it is a folder), breadth first
+ */
+function collectEntries(dirs, limit) {
+  const entries = [];
+  const queue = [...dirs];
+
+  while (queue.length > 0 && entries.length < limit) {
+    const dir = queue.shift();
+    let dirents;
+    try {
+      dirents = fs.readdirSync(dir, { withFileTypes: true });
+    } catch {
+      continue;
+    }
+    for (const dirent of dirents) {
+      if (entries.length >= limit) break;
+      if (dirent.name === '.git') continue;
+      entries.push({ name: dirent.name, isFolder: dirent.isDirectory() });
+      if (dirent.isDirectory()) {
+        queue.push(path.join(dir, dirent.name));
+      }
+    }
+  }
+
+  return entries;
+}
+
+/**
+ * Markup for a repository file table row, as GitHub renders it (name cell only)
+ */
+function renderRow({ name, isFolder }, index) {
+  const octicon = isFolder ? 'octicon-file-directory-fill icon-directory' : 'octicon-file color-fg-muted';
+  const href = `/octo/app/${isFolder ? 'tree' : 'blob'}/main/${encodeURIComponent(name)}`;
+  const label = name.replace(/&/g, '&amp;').replace(/</g, '&lt;');
+  return `<tr class="react-directory-row" id="folder-row-${index}"><td class="react-directory-row-name-cell-large-screen">` +
+    `<div class="react-directory-filename-column"><svg aria-hidden="true" class="octicon ${octicon}" viewBox="0 0 16 16" width="16" height="16"><path d="M2 1.75C2 .784 2.784 0 3.75 0h6.586"></path></svg>` +
+    `<div class="react-directory-filename-cell"><a class="Link--primary" href="${href}">${label}</a></div></div></td></tr>`;
+}
+
+/**
+ * Run the runtime over the listing in a fresh window with the given rendering
+ */
+async function measure(Window, tableHtml, icons, mappings, mode) {
+  const { ICONS, RENDERING, ICON_MAPPINGS } = require('../src/runtime/data');
+  const { DEFAULT_SETTINGS, state } = require('../src/runtime/state');
+  const { injectIconStylesheet } = require('../src/runtime/dom');
+  const { replaceIcons } = require('../src/runtime/replace');
+
+  const window = new Window({ url: 'https://github.com/octo/app/tree/main' });
+  window.document.body.innerHTML = `<table><tbody>${tableHtml}</tbody></table>`;
+  BROWSER_GLOBALS.forEach(key => {
+    global[key] = window[key];
+  });
+
+  Object.keys(ICONS).forEach(key => delete ICONS[key]);
+  if (mode === 'stylesheet') {
+    const { classes, stylesheet } = buildIconStylesheet(icons);
+    Object.assign(ICONS, classes);
+    Object.assign(RENDERING, { mode, stylesheet });
+  } else {
+    Object.assign(ICONS, icons);
+    Object.assign(RENDERING, { mode, stylesheet: '' });
+  }
+  Object.assign(ICON_MAPPINGS, mappings);
+  state.settings = { ...DEFAULT_SETTINGS, extensionOverrides: {} };
+  state.useLightIcons = false;
+
+  // The runtime logs how many icons it replaced
+  const log = console.log;
+  console.log = () => {};
+  const start = performance.now();
+  injectIconStylesheet();
+  replaceIcons();
+  const duration = performance.now() - start;
+  console.log = log;
+
+  const iconElements = [...window.document.querySelectorAll('.material-icon-replacement')];
+  const result = {
+    duration,
+    icons: iconElements.length,
+    distinctIcons: new Set(iconElements.map(icon => icon.dataset.materialIcon)).size,
+    markupBytes: iconElements.reduce((sum, icon) => sum + Buffer.byteLength(icon.outerHTML), 0),
+    stylesheetBytes: Buffer.byteLength(RENDERING.stylesheet),
+  };
+
+  BROWSER_GLOBALS.forEach(key => {
+    delete global[key];
+  });
+  await window.happyDOM.close();
+  return result;
+}
+
+/**
+ * Format a byte count in KB
+ */
+function formatKB(bytes) {
+  return `${(bytes / 1024).toFixed(1)} KB`;
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+  const rowsIndex = args.indexOf('--rows');
+  const limit = rowsIndex !== -1 ? parseInt(args[rowsIndex + 1], 10) : 1000;
+  const dirs = args.filter((arg, index) => !arg.startsWith('--') && index !== rowsIndex + 1);
+  if (dirs.length === 0) {
+    dirs.push(path.join(__dirname, '..', 'node_modules'));
+  }
+
+  let Window;
+  try {
+    ({ Window } = require('happy-dom'));
+  } catch {
+    console.error('happy-dom is not installed (run npm install)');
+    process.exit(1);
+  }
+
+  const entries = collectEntries(dirs, limit);
+  if (entries.length === 0) {
+    console.error(`No entries found in ${dirs.join(', ')}`);
+    process.exit(1);
+  }
+  const tableHtml = entries.map(renderRow).join('');
+
+  console.log('Building icon mappings...');
+  const { icons, mappings } = buildIconMappings();
+
+  console.log(`\nListing: ${entries.length} rows from ${dirs.join(', ')} (${RUNS} runs per mode, median time)\n`);
+  console.log(`  ${'Mode'.padEnd(10)}  ${'Icons'.padStart(6)}  ${'Distinct'.padStart(8)}  ${'Icon markup'.padStart(11)}  ${'Per row'.padStart(8)}  ${'Stylesheet'.padStart(10)}  ${'Time'.padStart(8)}`);
+
+  const results = {};
+  for (const mode of ['img', 'stylesheet']) {
+    const runs = [];
+    for (let run = 0; run < RUNS; run++) {
+      runs.push(await measure(Window, tableHtml, icons, mappings, mode));
+    }
+    const result = runs[0];
+    result.duration = runs.map(run => run.duration).sort((a, b) => a - b)[Math.floor(RUNS / 2)];
+    results[mode] = result;
+
+    console.log(`  ${mode.padEnd(10)}  ${String(result.icons).padStart(6)}  ${String(result.distinctIcons).padStart(8)}  ${formatKB(result.markupBytes).padStart(11)}  ${`${Math.round(result.markupBytes / result.icons)} B`.padStart(8)}  ${formatKB(result.stylesheetBytes).padStart(10)}  ${`${result.duration.toFixed(0)} ms`.padStart(8)}`);
+  }
+
+  const { img, stylesheet } = results;
+  const saved = img.markupBytes - stylesheet.markupBytes;
+  console.log(`\n✓ Stylesheet mode adds ${formatKB(saved)} less markup (${Math.round((saved / img.markupBytes) * 100)}%) for the cost of one ${formatKB(stylesheet.stylesheetBytes)} stylesheet`);
+  console.log('  (times are from happy-dom, so compare them with each other rather than with a browser)');
+}
+
+if (require.main === module) {
+  main();
+}
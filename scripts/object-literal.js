@@ -0,0 +1,490 @@
+/**
+ * Dependency-free reader for the object literals in upstream's TypeScript sources
+ * (src/core/icons/fileIcons.ts, folderIcons.ts and languageIcons.ts)
+ *
+ * This is not a TypeScript parser: it tokenizes the file and evaluates the
+ * top-level `const` declarations and `enum`s as plain data. It understands
+ * nested objects and arrays, comments, spreads, trailing commas, shorthand
+ * properties, type annotations and `as`/`satisfies` suffixes. References to
+ * enums or constants declared in the same file are resolved; anything else
+ * (e.g. `IconPack.Angular` from another module) is kept as `{ ref: 'IconPack.Angular' }`,
+ * and expressions it cannot evaluate are kept as `{ expression: '<source>' }`
+ * (with `literal`, the array or object an expression like `[...].map(fn)` starts with).
+ * An entry it cannot read is skipped with a warning rather than failing the whole file.
+ */
+
+const PUNCTUATORS = ['...', '=>', '{', '}', '[', ']', '(', ')', ',', ':', ';', '=', '.', '?', '<', '>', '|', '&', '!', '+', '-', '*', '/', '%', '@'];
+
+const CLOSING = { '{': '}', '[': ']', '(': ')' };
+
+/**
+ * Split source code into tokens: { type, value, start, end, line, column }
+ * Types: punct, string, template, number, identifier. Comments are skipped.
+ */
+function tokenize(source) {
+  const tokens = [];
+  let i = 0;
+  let line = 1;
+  let lineStart = 0;
+
+  function fail(message) {
+    throw new Error(`${message} at line ${line}, column ${i - lineStart + 1}`);
+  }
+
+  function push(type, value, start) {
+    tokens.push({ type, value, start, end: i, line, column: start - lineStart + 1 });
+  }
+
+  while (i < source.length) {
+    const char = source[i];
+    const start = i;
+
+    if (char === '\n') {
+      i++;
+      line++;
+      lineStart = i;
+    } else if (/\s/.test(char)) {
+      i++;
+    } else if (source.startsWith('//', i)) {
+      while (i < source.length && source[i] !== '\n') i++;
+    } else if (source.startsWith('/*', i)) {
+      const end = source.indexOf('*/', i + 2);
+      if (end === -1) fail('Unterminated comment');
+      for (; i < end + 2; i++) {
+        if (source[i] === '\n') {
+          line++;
+          lineStart = i + 1;
+        }
+      }
+    } else if (char === '\'' || char === '"') {
+      let value = '';
+      i++;
+      while (source[i] !== char) {
+        if (i >= source.length || source[i] === '\n') fail('Unterminated string');
+        if (source[i] === '\\') {
+          const escape = readEscape(source, i);
+          if (!escape) fail('Invalid escape sequence');
+          value += escape.value;
+          i += escape.length;
+        } else {
+          value += source[i++];
+        }
+      }
+      i++;
+      push('string', value, start);
+    } else if (char === '`') {
+      // Template literals are kept verbatim; plain ones (no ${...}) are strings
+      let value = '';
+      let hasSubstitutions = false;
+      i++;
+      while (source[i] !== '`') {
+        if (i >= source.length) fail('Unterminated template literal');
+        if (source[i] === '\\') {
+          const escape = readEscape(source, i);
+          if (!escape) fail('Invalid escape sequence');
+          value += escape.value;
+          i += escape.length;
+          continue;
+        }
+        if (source.startsWith('${', i)) hasSubstitutions = true;
+        if (source[i] === '\n') {
+          line++;
+          lineStart = i + 1;
+        }
+        value += source[i++];
+      }
+      i++;
+      push(hasSubstitutions ? 'template' : 'string', hasSubstitutions ? source.slice(start, i) : value, start);
+    } else if (/[0-9]/.test(char)) {
+      while (i < source.length && /[0-9a-zA-Z_.]/.test(source[i])) i++;
+      push('number', Number(source.slice(start, i).replace(/_/g, '')), start);
+    } else if (/[A-Za-z_$]/.test(char)) {
+      while (i < source.length && /[A-Za-z0-9_$]/.test(source[i])) i++;
+      push('identifier', source.slice(start, i), start);
+    } else {
+      const punct = PUNCTUATORS.find(p => source.startsWith(p, i));
+      if (!punct) fail(`Unexpected character "${char}"`);
+      i += punct.length;
+      push('punct', punct, start);
+    }
+  }
+
+  return tokens;
+}
+
+const SIMPLE_ESCAPES = { n: '\n', t: '\t', r: '\r', b: '\b', f: '\f', v: '\v', 0: '\0' };
+const CODE_POINT_ESCAPE = /x([0-9a-fA-F]{2})|u([0-9a-fA-F]{4})|u\{([0-9a-fA-F]+)\}/y;
+
+/**
+ * Resolve the string escape whose backslash is at source[i]
+ * Returns { value, length }, or null for a malformed \x or \u escape
+ */
+function readEscape(source, i) {
+  const char = source[i + 1];
+  if (char !== 'x' && char !== 'u') {
+    return { value: SIMPLE_ESCAPES[char] ?? char, length: 2 };
+  }
+
+  CODE_POINT_ESCAPE.lastIndex = i + 1;
+  const match = CODE_POINT_ESCAPE.exec(source);
+  const codePoint = match && parseInt(match[1] || match[2] || match[3], 16);
+  if (!match || codePoint > 0x10ffff) return null;
+  return { value: String.fromCodePoint(codePoint), length: 1 + match[0].length };
+}
+
+/**
+ * Parse the top-level `const`/`let`/`var` declarations and `enum`s of a module
+ * Returns { constants: { name: value }, enums: { Name: { Member: value } }, warnings: [message] }
+ */
+function parseModule(source) {
+  const tokens = tokenize(source);
+  const constants = {};
+  const enums = {};
+  const warnings = [];
+  let pos = 0;
+
+  const peek = (offset = 0) => tokens[pos + offset];
+  const isPunct = (value, offset = 0) => peek(offset)?.type === 'punct' && peek(offset).value === value;
+
+  function fail(message, token = peek()) {
+    const where = token ? ` at line ${token.line}, column ${token.column}` : ' at end of file';
+    throw new Error(`${message}${where}`);
+  }
+
+  function expect(value) {
+    if (!isPunct(value)) fail(`Expected "${value}" but found "${peek()?.value ?? 'end of file'}"`);
+    return tokens[pos++];
+  }
+
+  // Skip a bracketed group, starting at its opening bracket
+  function skipGroup() {
+    const stack = [CLOSING[tokens[pos++].value]];
+    while (stack.length > 0) {
+      const token = tokens[pos++];
+      if (!token) fail(`Expected "${stack[stack.length - 1]}"`);
+      if (token.type !== 'punct') continue;
+      if (CLOSING[token.value]) {
+        stack.push(CLOSING[token.value]);
+      } else if (token.value === stack[stack.length - 1]) {
+        stack.pop();
+      }
+    }
+  }
+
+  // Skip tokens up to (not including) one of the given punctuators at depth 0
+  function skipUntil(stops) {
+    const from = pos;
+    while (peek() && !(peek().type === 'punct' && stops.includes(peek().value))) {
+      if (peek().type === 'punct' && CLOSING[peek().value]) {
+        skipGroup();
+      } else {
+        pos++;
+      }
+    }
+    return from;
+  }
+
+  // Keep an expression we can't evaluate as its source text
+  function rawExpression(from) {
+    return { expression: source.slice(tokens[from].start, tokens[pos - 1].end) };
+  }
+
+  // Skip an entry that can't be read, up to the next "," or the closing bracket, with a warning
+  function skipEntry(from, closing, error) {
+    if (!tokens[from]) throw error;
+    warnings.push(`Skipped an entry at line ${tokens[from].line} (${error.message})`);
+    pos = from;
+    skipUntil([',', closing]);
+    if (!peek()) throw error;
+  }
+
+  // Whether the value just read continues as a larger expression
+  // (`[...].map(fn)`, `a ? b : c`, `'a' + b`, a tagged template)
+  function continuesExpression() {
+    const token = peek();
+    if (!token) return false;
+    if (token.type === 'template') return true;
+    return token.type === 'punct' && ['.', '(', '[', '?', '+', '-', '*', '/', '%', '|', '&', '<', '>'].includes(token.value);
+  }
+
+  function parseValue() {
+    const token = peek();
+    if (!token) fail('Expected a value');
+    const from = pos;
+    let value;
+
+    if (isPunct('{')) {
+      value = parseObject();
+    } else if (isPunct('[')) {
+      value = parseArray();
+    } else if (token.type === 'string' || token.type === 'number') {
+      pos++;
+      value = token.value;
+    } else if (isPunct('-') && peek(1)?.type === 'number') {
+      pos += 2;
+      value = -peek(-1).value;
+    } else if (token.type === 'identifier' && ['true', 'false', 'null', 'undefined'].includes(token.value)) {
+      pos++;
+      value = { true: true, false: false, null: null, undefined }[token.value];
+    } else if (token.type === 'identifier') {
+      // Identifier or member reference (e.g. FileNamePattern.Ecmascript)
+      let ref = tokens[pos++].value;
+      while (isPunct('.') && peek(1)?.type === 'identifier') {
+        ref += '.' + peek(1).value;
+        pos += 2;
+      }
+      if (isPunct('(') || isPunct('=>')) {
+        skipUntil([',', '}', ']', ';']);
+        return rawExpression(from);
+      }
+      value = { ref };
+    } else {
+      skipUntil([',', '}', ']', ';']);
+      if (pos === from) fail(`Unexpected "${token.value}"`);
+      return rawExpression(from);
+    }
+
+    // Drop TypeScript-only suffixes (`as const`, `satisfies Type`, non-null `!`)
+    while (isPunct('!')) pos++;
+
+    // Keep a longer expression as source text, with the literal it starts with
+    if (continuesExpression()) {
+      skipUntil([',', '}', ']', ';']);
+      return { ...rawExpression(from), literal: value };
+    }
+
+    if (peek()?.type === 'identifier' && (peek().value === 'as' || peek().value === 'satisfies')) {
+      skipUntil([',', '}', ']', ';', ')']);
+    }
+
+    return value;
+  }
+
+  function parseObject() {
+    expect('{');
+    const entries = [];
+
+    while (!isPunct('}')) {
+      const entryStart = pos;
+      try {
+        parseObjectEntry(entries);
+        if (!isPunct(',') && !isPunct('}')) fail(`Unexpected "${peek()?.value ?? 'end of file'}" after an entry`);
+      } catch (error) {
+        skipEntry(entryStart, '}', error);
+      }
+
+      if (!isPunct(',')) break;
+      pos++;
+    }
+
+    expect('}');
+    return { object: entries };
+  }
+
+  function parseObjectEntry(entries) {
+    if (isPunct('...')) {
+      pos++;
+      entries.push({ spread: parseValue() });
+      return;
+    }
+
+    const keyToken = peek();
+    let key;
+    if (isPunct('[')) {
+      // Computed key (e.g. [FileNamePattern.Yaml]: ...)
+      pos++;
+      const computed = parseValue();
+      expect(']');
+      key = typeof computed === 'object' && computed !== null ? computed.ref ?? computed.expression : String(computed);
+    } else if (keyToken.type === 'identifier' || keyToken.type === 'string' || keyToken.type === 'number') {
+      pos++;
+      key = String(keyToken.value);
+    } else {
+      fail(`Unexpected "${keyToken.value}" in object`);
+    }
+
+    // Optional property marker in inline types (`name?: ...`)
+    if (isPunct('?')) pos++;
+
+    if (isPunct(':')) {
+      pos++;
+      entries.push({ key, value: parseValue() });
+    } else {
+      // Shorthand property ({ name })
+      entries.push({ key, value: { ref: key } });
+    }
+  }
+
+  function parseArray() {
+    expect('[');
+    const items = [];
+
+    while (!isPunct(']')) {
+      if (isPunct(',')) {
+        // Hole ([a, , b])
+        pos++;
+        continue;
+      }
+      const itemStart = pos;
+      try {
+        if (isPunct('...')) {
+          pos++;
+          items.push({ spread: parseValue() });
+        } else {
+          items.push(parseValue());
+        }
+        if (!isPunct(',') && !isPunct(']')) fail(`Unexpected "${peek()?.value ?? 'end of file'}" after an item`);
+      } catch (error) {
+        skipEntry(itemStart, ']', error);
+      }
+      if (!isPunct(',')) break;
+      pos++;
+    }
+
+    expect(']');
+    return { array: items };
+  }
+
+  function parseEnum() {
+    const name = tokens[pos++].value;
+    expect('{');
+    const members = {};
+    let next = 0;
+
+    while (!isPunct('}')) {
+      const member = String(tokens[pos++].value);
+      if (isPunct('=')) {
+        pos++;
+        members[member] = parseValue();
+      } else {
+        members[member] = next;
+      }
+      if (typeof members[member] === 'number') next = members[member] + 1;
+      if (!isPunct(',')) break;
+      pos++;
+    }
+
+    expect('}');
+    enums[name] = members;
+  }
+
+  while (pos < tokens.length) {
+    const token = peek();
+
+    if (token.type === 'identifier' && ['const', 'let', 'var'].includes(token.value) && peek(1)?.type === 'identifier') {
+      if (peek(1).value === 'enum') {
+        // const enum Name { ... }
+        pos += 2;
+        parseEnum();
+        continue;
+      }
+      const name = peek(1).value;
+      pos += 2;
+      // Skip the type annotation, if any
+      skipUntil(['=', ';']);
+      if (isPunct('=')) {
+        pos++;
+        constants[name] = parseValue();
+      }
+    } else if (token.type === 'identifier' && token.value === 'enum' && peek(1)?.type === 'identifier') {
+      pos++;
+      parseEnum();
+    } else if (token.type === 'punct' && CLOSING[token.value]) {
+      // Imports, type declarations, function bodies, ...
+      skipGroup();
+    } else {
+      pos++;
+    }
+  }
+
+  return { ...resolveModule(constants, enums), warnings };
+}
+
+/**
+ * Turn the parsed syntax into plain values, expanding spreads and resolving
+ * references to constants and enum members declared in the same module
+ */
+function resolveModule(constants, enums) {
+  const resolved = {};
+  const resolving = new Set();
+
+  function resolveRef(ref) {
+    const [head, ...rest] = ref.split('.');
+
+    if (enums[head] && rest.length === 1 && rest[0] in enums[head]) {
+      return resolveValue(enums[head][rest[0]]);
+    }
+
+    if (head in constants && !resolving.has(head)) {
+      if (!(head in resolved)) {
+        resolving.add(head);
+        resolved[head] = resolveValue(constants[head]);
+        resolving.delete(head);
+      }
+      let value = resolved[head];
+      for (const key of rest) {
+        if (value === null || typeof value !== 'object' || !(key in value)) return { ref };
+        value = value[key];
+      }
+      return value;
+    }
+
+    return { ref };
+  }
+
+  function resolveValue(node) {
+    if (node === null || typeof node !== 'object') return node;
+    if ('ref' in node) return resolveRef(node.ref);
+    if ('expression' in node) {
+      return node.literal === undefined ? node : { expression: node.expression, literal: resolveValue(node.literal) };
+    }
+
+    if ('array' in node) {
+      const items = [];
+      node.array.forEach(item => {
+        if (item !== null && typeof item === 'object' && 'spread' in item) {
+          const spread = resolveValue(item.spread);
+          if (Array.isArray(spread)) {
+            items.push(...spread);
+          } else {
+            items.push({ spread });
+          }
+        } else {
+          items.push(resolveValue(item));
+        }
+      });
+      return items;
+    }
+
+    const object = {};
+    node.object.forEach(entry => {
+      if ('spread' in entry) {
+        const spread = resolveValue(entry.spread);
+        if (spread !== null && typeof spread === 'object' && !Array.isArray(spread) && !spread.ref && !spread.expression) {
+          Object.assign(object, spread);
+        } else {
+          object['...'] = [...(object['...'] || []), spread];
+        }
+      } else {
+        object[entry.key] = resolveValue(entry.value);
+      }
+    });
+    return object;
+  }
+
+  const resolvedEnums = {};
+  for (const [name, members] of Object.entries(enums)) {
+    resolvedEnums[name] = {};
+    for (const [member, value] of Object.entries(members)) {
+      resolvedEnums[name][member] = resolveValue(value);
+    }
+  }
+
+  for (const name of Object.keys(constants)) {
+    resolveRef(name);
+  }
+
+  return { constants: resolved, enums: resolvedEnums };
+}
+
+module.exports = { tokenize, parseModule };
@@ -0,0 +1,117 @@
+/**
+ * Glob pattern support for the priority list
+ * Shared by the fetch script (to know which SVGs to copy) and the build script
+ * (to compile the patterns into the userscript).
+ *
+ * Patterns are matched against the full filename, case-insensitively:
+ * - `*` matches any run of characters (e.g. `*.test.js`, `.env.*`)
+ * - `?` matches a single character
+ */
+
+/**
+ * Convert a glob pattern to an anchored regular expression source
+ */
+function globToRegExpSource(pattern) {
+  let source = '';
+  for (const char of pattern) {
+    if (char === '*') {
+      source += '.*';
+    } else if (char === '?') {
+      source += '.';
+    } else {
+      source += char.replace(/[.+^${}()|[\]\\/]/g, '\\$&');
+    }
+  }
+  return `^${source}$`;
+}
+
+/**
+ * Specificity of a pattern: the number of literal (non-wildcard) characters
+ * Longer patterns win, so "*.test.js" is tried before "*.js"
+ */
+function patternSpecificity(pattern) {
+  return pattern.replace(/[*?]/g, '').length;
+}
+
+/**
+ * Pick the icon used by most of the given upstream keys
+ */
+function mostCommonIcon(keys, table, lightTable) {
+  const counts = {};
+  keys.forEach(key => {
+    const iconName = table[key];
+    counts[iconName] = (counts[iconName] || 0) + 1;
+  });
+
+  const iconName = Object.keys(counts).sort((a, b) => counts[b] - counts[a])[0];
+  if (!iconName) return null;
+
+  // Carry over the light variant from any key that resolved to this icon
+  const lightKey = keys.find(key => table[key] === iconName && lightTable[key]);
+  return { iconName, lightIconName: lightKey ? lightTable[lightKey] : null };
+}
+
+/**
+ * Find the light variant of an icon from any upstream key that maps to it
+ */
+function lightIconOf(iconName, fileIcons) {
+  const light = fileIcons.light || {};
+  const tables = [
+    [fileIcons.fileNames || {}, light.fileNames || {}],
+    [fileIcons.fileExtensions || {}, light.fileExtensions || {}],
+  ];
+  for (const [table, lightTable] of tables) {
+    const lightKey = Object.keys(lightTable).find(key => table[key] === iconName);
+    if (lightKey) return lightTable[lightKey];
+  }
+  return null;
+}
+
+/**
+ * Resolve a priority list pattern entry to an icon
+ *
+ * Entries are either a pattern string, whose icon is looked up upstream, or
+ * `{ pattern, icon }` to choose the icon explicitly. Strings of the form
+ * `*.<suffix>` use upstream's extension for that suffix (e.g. `*.d.ts` →
+ * `d.ts`); anything else uses the icon shared by most upstream filenames and
+ * extensions matching the pattern (e.g. `tsconfig.*.json` → `tsconfig`).
+ *
+ * Returns { pattern, iconName, lightIconName } or { pattern, iconName: null }
+ */
+function resolvePatternIcon(entry, fileIcons) {
+  if (typeof entry === 'object' && entry !== null) {
+    const iconName = entry.icon || null;
+    return { pattern: entry.pattern, iconName, lightIconName: iconName && lightIconOf(iconName, fileIcons) };
+  }
+
+  const pattern = entry;
+  const fileExtensions = fileIcons.fileExtensions || {};
+  const fileNames = fileIcons.fileNames || {};
+  const light = fileIcons.light || {};
+  const lightExtensions = light.fileExtensions || {};
+  const lightFileNames = light.fileNames || {};
+
+  // "*.suffix" is exactly an upstream extension lookup
+  const suffixMatch = pattern.match(/^\*\.([^*?]+)$/);
+  if (suffixMatch && fileExtensions[suffixMatch[1].toLowerCase()]) {
+    const ext = suffixMatch[1].toLowerCase();
+    return { pattern, iconName: fileExtensions[ext], lightIconName: lightExtensions[ext] || null };
+  }
+
+  const matcher = new RegExp(globToRegExpSource(pattern), 'i');
+
+  const matchingNames = Object.keys(fileNames).filter(name => matcher.test(name));
+  if (matchingNames.length > 0) {
+    return { pattern, ...mostCommonIcon(matchingNames, fileNames, lightFileNames) };
+  }
+
+  // Test extensions against a placeholder filename (e.g. "*.stories.*" matches "_.stories.js")
+  const matchingExtensions = Object.keys(fileExtensions).filter(ext => matcher.test(`_.${ext}`));
+  if (matchingExtensions.length > 0) {
+    return { pattern, ...mostCommonIcon(matchingExtensions, fileExtensions, lightExtensions) };
+  }
+
+  return { pattern, iconName: null, lightIconName: null };
+}
+
+module.exports = { globToRegExpSource, patternSpecificity, resolvePatternIcon };
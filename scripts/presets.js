@@ -0,0 +1,160 @@
+/**
+ * Load the priority list, composed from the named presets in src/presets/
+ *
+ * A preset (and the priority list itself) has the priority list's shape, plus
+ * `extends`: the presets it builds on. Composition is depth first, in order:
+ * entry lists are concatenated without duplicates (first occurrence wins),
+ * icon packs are combined, and settings objects are merged with later values winning.
+ *
+ * Only the order of patterns matters to the build: it tries the most specific
+ * pattern first, and equally specific ones in composed order, so a preset's
+ * parents win ties against it and presets win ties against the priority list.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const SRC_DIR = path.join(__dirname, '..', 'src');
+const PRIORITY_LIST_PATH = path.join(SRC_DIR, 'priority-list.js');
+const PRESETS_DIR = path.join(SRC_DIR, 'presets');
+
+const LIST_KEYS = ['extensions', 'filenames', 'patterns', 'folders'];
+const SETTINGS_KEYS = ['folderMatching', 'output'];
+
+/**
+ * Names of the available presets (src/presets/<name>.js)
+ */
+function listPresets() {
+  if (!fs.existsSync(PRESETS_DIR)) return [];
+  return fs.readdirSync(PRESETS_DIR)
+    .filter(filename => filename.endsWith('.js'))
+    .map(filename => filename.slice(0, -'.js'.length))
+    .sort();
+}
+
+/**
+ * Require a file fresh, so watch mode picks up edits
+ */
+function requireFresh(filePath) {
+  delete require.cache[require.resolve(filePath)];
+  return require(filePath);
+}
+
+/**
+ * Identity of a list entry, for removing duplicates (patterns may be objects)
+ */
+function entryKey(entry) {
+  return typeof entry === 'string' ? entry : JSON.stringify(entry);
+}
+
+/**
+ * Add a list's `source` entries and settings to the composed `target`
+ */
+function mergeInto(target, source) {
+  LIST_KEYS.forEach(key => {
+    const seen = new Set(target[key].map(entryKey));
+    (source[key] || []).forEach(entry => {
+      if (!seen.has(entryKey(entry))) {
+        seen.add(entryKey(entry));
+        target[key].push(entry);
+      }
+    });
+  });
+
+  (source.iconPacks || []).forEach(pack => {
+    if (!target.iconPacks.includes(pack)) {
+      target.iconPacks.push(pack);
+    }
+  });
+
+  SETTINGS_KEYS.forEach(key => {
+    if (source[key]) {
+      target[key] = { ...target[key], ...source[key] };
+      // The size budget is nested one level deeper
+      if (key === 'output' && source.output.budget) {
+        target.output.budget = { ...(target.output.budget || {}), ...source.output.budget };
+      }
+    }
+  });
+
+  if (source.allIcons !== undefined) {
+    target.allIcons = source.allIcons;
+  }
+}
+
+/**
+ * Add a preset, after the presets it extends, to the composed `target`
+ * `included` tracks presets already added (a preset shared by two others is added once)
+ * and `chain` the presets being resolved, to report `extends` cycles
+ */
+function includePreset(target, name, included, chain = []) {
+  if (included.has(name)) return;
+  if (chain.includes(name)) {
+    throw new Error(`Preset "${name}" extends itself (${[...chain, name].join(' → ')})`);
+  }
+
+  const presetPath = path.join(PRESETS_DIR, `${name}.js`);
+  if (!/^[\w-]+$/.test(name) || !fs.existsSync(presetPath)) {
+    throw new Error(`Unknown preset "${name}" (available: ${listPresets().join(', ') || 'none'})`);
+  }
+
+  const preset = requireFresh(presetPath);
+  (preset.extends || []).forEach(parent => includePreset(target, parent, included, [...chain, name]));
+  mergeInto(target, preset);
+  included.add(name);
+}
+
+/**
+ * Load the composed priority list
+ * presets: preset names to use instead of the priority list's `extends` (see --preset)
+ * Returns the list, with `presets` set to the presets it was built from
+ */
+function loadPriorityList(presets) {
+  const priorityList = requireFresh(PRIORITY_LIST_PATH);
+  const selected = presets || priorityList.extends || [];
+
+  const composed = { extensions: [], filenames: [], patterns: [], folders: [], iconPacks: [] };
+  const included = new Set();
+  selected.forEach(name => includePreset(composed, name, included));
+  mergeInto(composed, priorityList);
+  composed.presets = selected;
+
+  return composed;
+}
+
+/**
+ * Read a list from repeatable, comma-separated flags ("--preset python", "--preset=python,go")
+ * Returns undefined when no flag is given, so the priority list's own list applies
+ * Throws a usage error when a flag has no value (or is followed by another flag)
+ */
+function parseListArgs(args, name) {
+  const values = [];
+  args.forEach((arg, index) => {
+    let value;
+    if (arg === name) {
+      value = args[index + 1];
+    } else if (arg.startsWith(`${name}=`)) {
+      value = arg.slice(name.length + 1);
+    } else {
+      return;
+    }
+    if (!value || value.startsWith('--')) {
+      throw new Error(`${name} needs a value (e.g. ${name} name,other)`);
+    }
+    values.push(value);
+  });
+  if (values.length === 0) return undefined;
+
+  return values
+    .flatMap(value => value.split(','))
+    .map(value => value.trim())
+    .filter(Boolean);
+}
+
+module.exports = {
+  PRESETS_DIR,
+  PRIORITY_LIST_PATH,
+  listPresets,
+  loadPriorityList,
+  parseListArgs,
+};
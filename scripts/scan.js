@@ -0,0 +1,413 @@
+#!/usr/bin/env node
+
+/**
+ * Suggest priority list entries from the files in local directories
+ *
+ * Walks the given directories (skipping .git and whatever their .gitignore files
+ * ignore), counts the extensions, filenames and folder names, and ranks the upstream
+ * entries that would give files or folders a dedicated icon they don't get with the
+ * current priority list. With --merge, the suggestions are added to src/priority-list.js:
+ *
+ *   npm run scan -- ../monorepo
+ *   npm run scan -- ../monorepo ../other-repo --min-count 5 --merge
+ *   npm run scan -- ../monorepo --preset python --json
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { loadIconTables, buildIconMappings } = require('./build');
+const { PRIORITY_LIST_PATH, loadPriorityList, parseListArgs } = require('./presets');
+const { parseGitignore, isIgnored } = require('./gitignore');
+const { tokenize } = require('./object-literal');
+const { ICON_MAPPINGS } = require('../src/runtime/data');
+const { DEFAULT_SETTINGS, state } = require('../src/runtime/state');
+const { getFileIconName, findFolderKey } = require('../src/runtime/icon-names');
+
+// Suggestion types, in the order they are listed (priority list keys)
+const ENTRY_TYPES = ['extensions', 'filenames', 'folders'];
+
+/**
+ * Walk the directories and count each file and folder name
+ * Returns { files: Map(name → count), folders: Map(name → count), totals: { files, folders } }
+ */
+function scanDirectories(dirs) {
+  const files = new Map();
+  const folders = new Map();
+  const totals = { files: 0, folders: 0 };
+
+  function count(map, name) {
+    map.set(name, (map.get(name) || 0) + 1);
+  }
+
+  function walk(dir, levels) {
+    let dirents;
+    try {
+      dirents = fs.readdirSync(dir, { withFileTypes: true });
+    } catch {
+      return;
+    }
+
+    const gitignorePath = path.join(dir, '.gitignore');
+    if (fs.existsSync(gitignorePath)) {
+      levels = [...levels, { base: dir, rules: parseGitignore(fs.readFileSync(gitignorePath, 'utf8')) }];
+    }
+
+    dirents.forEach(dirent => {
+      if (dirent.name === '.git') return;
+      const entryPath = path.join(dir, dirent.name);
+      // Symlinks are counted as files and not followed
+      const isFolder = dirent.isDirectory();
+      if (isIgnored(levels, entryPath, isFolder)) return;
+
+      if (isFolder) {
+        count(folders, dirent.name);
+        totals.folders++;
+        walk(entryPath, levels);
+      } else {
+        count(files, dirent.name);
+        totals.files++;
+      }
+    });
+  }
+
+  dirs.forEach(dir => walk(path.resolve(dir), []));
+  return { files, folders, totals };
+}
+
+/**
+ * Count the files per extension (the last one, e.g. "ts" for "index.d.ts")
+ */
+function countExtensions(files) {
+  const extensions = new Map();
+  files.forEach((count, name) => {
+    const dot = name.lastIndexOf('.');
+    const ext = dot > 0 ? name.slice(dot + 1).toLowerCase() : '';
+    if (ext) {
+      extensions.set(ext, (extensions.get(ext) || 0) + count);
+    }
+  });
+  return extensions;
+}
+
+/**
+ * Resolve names the way the userscript does, with the given mappings
+ * Returns null where the userscript would use the default icon
+ */
+function fileIconWith(mappings, name) {
+  Object.assign(ICON_MAPPINGS, mappings);
+  return getFileIconName(name);
+}
+
+function folderKeyWith(mappings, name) {
+  Object.assign(ICON_MAPPINGS, mappings);
+  return findFolderKey(name);
+}
+
+/**
+ * Rank the upstream entries that would give scanned files and folders a dedicated icon
+ *
+ * mappings: the current build's mappings (see buildIconMappings)
+ * fileIcons/folderIcons: upstream's tables (see loadIconTables)
+ * Each file is resolved as the userscript would, once as built and once with each
+ * candidate entry added (its exact filename, or its longest upstream extension);
+ * a candidate counts the files whose icon it would change.
+ *
+ * Returns [{ type, entry, icon, count, names }] sorted by count, where names
+ * are the scanned file or folder names that would gain the icon
+ */
+function suggestEntries(scan, { mappings, fileIcons, folderIcons }) {
+  const previousSettings = state.settings;
+  state.settings = { ...DEFAULT_SETTINGS, defaultFallback: false, extensionOverrides: {} };
+
+  const suggestions = new Map();
+
+  function suggest(type, entry, icon, name, count) {
+    const key = `${type}:${entry.toLowerCase()}`;
+    if (!suggestions.has(key)) {
+      suggestions.set(key, { type, entry, icon, count: 0, names: [] });
+    }
+    suggestions.get(key).count += count;
+    suggestions.get(key).names.push(name);
+  }
+
+  scan.files.forEach((count, name) => {
+    const current = fileIconWith(mappings, name);
+    const lowerName = name.toLowerCase();
+
+    // Exact filename, or the name without its last extension (e.g. "phpcs.xml.dist"),
+    // suggested with the spelling first seen (keys are matched case-insensitively)
+    const parts = name.split('.');
+    const filenames = parts.length > 2 ? [name, parts.slice(0, -1).join('.')] : [name];
+    const filename = filenames.find(candidate => fileIcons.fileNames[candidate.toLowerCase()]);
+    if (filename && !mappings.filenames[filename.toLowerCase()]) {
+      const key = filename.toLowerCase();
+      const icon = fileIcons.fileNames[key];
+      if (fileIconWith({ ...mappings, filenames: { ...mappings.filenames, [key]: icon } }, name) !== current) {
+        suggest('filenames', filename, icon, name, count);
+      }
+    }
+
+    // Longest upstream extension first, as the userscript matches them
+    let ext = null;
+    for (let i = lowerName.indexOf('.'); i !== -1 && !ext; i = lowerName.indexOf('.', i + 1)) {
+      const candidate = lowerName.substring(i + 1);
+      if (fileIcons.fileExtensions[candidate]) ext = candidate;
+    }
+    if (ext && !mappings.extensions[ext]) {
+      const icon = fileIcons.fileExtensions[ext];
+      const extensions = { ...mappings.extensions, [ext]: icon };
+      if (fileIconWith({ ...mappings, extensions }, name) !== current) {
+        suggest('extensions', ext, icon, name, count);
+      }
+    }
+  });
+
+  scan.folders.forEach((count, name) => {
+    const currentKey = folderKeyWith(mappings, name);
+    const current = currentKey ? mappings.folders[currentKey] : null;
+
+    const folder = folderKeyWith({ ...mappings, folders: folderIcons.folderNames }, name);
+    if (folder && !mappings.folders[folder] && folderIcons.folderNames[folder] !== current) {
+      suggest('folders', folder, folderIcons.folderNames[folder], name, count);
+    }
+  });
+
+  state.settings = previousSettings;
+
+  return [...suggestions.values()].sort((a, b) =>
+    b.count - a.count || ENTRY_TYPES.indexOf(a.type) - ENTRY_TYPES.indexOf(b.type) || a.entry.localeCompare(b.entry)
+  );
+}
+
+/**
+ * Count the files and folders that would gain a dedicated icon with the given suggestions
+ * (a file gained through both its filename and its extension counts once)
+ */
+function countGaining(scan, suggestions) {
+  const files = new Set();
+  const folders = new Set();
+  suggestions.forEach(({ type, names }) => {
+    names.forEach(name => (type === 'folders' ? folders : files).add(name));
+  });
+
+  const countNames = (names, counts) => [...names].reduce((sum, name) => sum + counts.get(name), 0);
+  return { files: countNames(files, scan.files), folders: countNames(folders, scan.folders) };
+}
+
+/**
+ * Quote a priority list entry as the list does ('name')
+ */
+function quoteEntry(entry) {
+  return `'${entry.replace(/[\\']/g, '\\$&')}'`;
+}
+
+/**
+ * Add entries to the arrays of a priority list's source, keeping its formatting
+ * additions: { extensions: [...], filenames: [...], folders: [...] }
+ * New entries go at the end of each array, after a comment saying where they came from
+ */
+function mergeIntoSource(source, additions) {
+  const tokens = tokenize(source);
+  const edits = [];
+
+  Object.entries(additions).forEach(([key, entries]) => {
+    if (entries.length === 0) return;
+
+    const keyIndex = tokens.findIndex((token, index) =>
+      token.type === 'identifier' && token.value === key &&
+      tokens[index + 1]?.value === ':' && tokens[index + 2]?.value === '['
+    );
+    if (keyIndex === -1) {
+      throw new Error(`No "${key}: [...]" array found in ${path.basename(PRIORITY_LIST_PATH)}`);
+    }
+
+    // Find the matching closing bracket
+    let closeIndex = keyIndex + 2;
+    for (let depth = 0; ; closeIndex++) {
+      const token = tokens[closeIndex];
+      if (!token) throw new Error(`Unterminated "${key}" array`);
+      if (token.type !== 'punct') continue;
+      if (token.value === '[' || token.value === '{') depth++;
+      if (token.value === ']' || token.value === '}') depth--;
+      if (depth === 0) break;
+    }
+
+    const keyLineStart = source.lastIndexOf('\n', tokens[keyIndex].start) + 1;
+    const indent = source.slice(keyLineStart, tokens[keyIndex].start);
+    const itemIndent = `${indent}  `;
+    const lines = [`${itemIndent}// Found by npm run scan`, ...entries.map(entry => `${itemIndent}${quoteEntry(entry)},`)];
+
+    const close = tokens[closeIndex];
+    const last = tokens[closeIndex - 1];
+    if (closeIndex === keyIndex + 3) {
+      // Empty array: "[]" becomes a multi-line list
+      edits.push({ start: last.start, end: close.end, text: `[\n${lines.join('\n')}\n${indent}]` });
+    } else {
+      const closeLineStart = source.lastIndexOf('\n', close.start) + 1;
+      if (source.slice(closeLineStart, close.start).trim() === '') {
+        if (last.value !== ',') {
+          edits.push({ start: last.end, end: last.end, text: ',' });
+        }
+        edits.push({ start: closeLineStart, end: closeLineStart, text: `${lines.join('\n')}\n` });
+      } else {
+        // Single-line array: continue it inline
+        const separator = last.value === ',' ? ' ' : ', ';
+        edits.push({ start: last.end, end: last.end, text: `${separator}${entries.map(quoteEntry).join(', ')}` });
+      }
+    }
+  });
+
+  // Apply from the end, so earlier offsets stay valid
+  return edits
+    .sort((a, b) => b.start - a.start)
+    .reduce((result, edit) => result.slice(0, edit.start) + edit.text + result.slice(edit.end), source);
+}
+
+/**
+ * Run buildIconMappings without its per-entry output
+ */
+function buildMappingsQuietly(options) {
+  const log = console.log;
+  console.log = () => {};
+  try {
+    return buildIconMappings(options).mappings;
+  } finally {
+    console.log = log;
+  }
+}
+
+/**
+ * Format a count with thousands separators
+ */
+function formatCount(count) {
+  return count.toLocaleString('en-US');
+}
+
+/**
+ * Print the suggestions of each type as a table, up to `limit` rows per type
+ */
+function printSuggestions(suggestions, limit) {
+  ENTRY_TYPES.forEach(type => {
+    const rows = suggestions.filter(suggestion => suggestion.type === type);
+    if (rows.length === 0) return;
+
+    const label = type === 'folders' ? 'Folders' : type === 'filenames' ? 'Filenames' : 'Extensions';
+    console.log(`\n${label} (${rows.length}):`);
+    console.log(`  ${'Count'.padStart(7)}  ${'Entry'.padEnd(28)}  Icon`);
+    rows.slice(0, limit).forEach(({ entry, icon, count }) => {
+      const shown = type === 'extensions' ? `.${entry}` : type === 'folders' ? `${entry}/` : entry;
+      console.log(`  ${formatCount(count).padStart(7)}  ${shown.padEnd(28)}  ${icon}`);
+    });
+    if (rows.length > limit) {
+      console.log(`  ... and ${rows.length - limit} more (see --limit)`);
+    }
+  });
+}
+
+function main() {
+  const args = process.argv.slice(2);
+  const valueFlags = ['--min-count', '--limit', '--preset'];
+  const readNumber = (name, fallback) => {
+    const index = args.indexOf(name);
+    const value = index !== -1 ? parseInt(args[index + 1], 10) : NaN;
+    return Number.isNaN(value) ? fallback : value;
+  };
+  const minCount = readNumber('--min-count', 1);
+  const limit = readNumber('--limit', 20);
+  const json = args.includes('--json');
+  const dirs = args.filter((arg, index) => !arg.startsWith('--') && !valueFlags.includes(args[index - 1]));
+
+  if (dirs.length === 0) {
+    console.error('Usage: npm run scan -- <directory...> [--min-count N] [--limit N] [--preset name] [--merge] [--json]');
+    process.exit(1);
+  }
+  let presets;
+  try {
+    presets = parseListArgs(args, '--preset');
+  } catch (error) {
+    console.error(`✗ ${error.message}`);
+    process.exit(1);
+  }
+  // Suggestions made against other presets don't fit the list they would be merged into
+  if (args.includes('--merge') && presets) {
+    console.error('✗ --merge adds to src/priority-list.js, so it compares against its extends (drop --preset)');
+    process.exit(1);
+  }
+  const missing = dirs.filter(dir => !fs.existsSync(dir) || !fs.statSync(dir).isDirectory());
+  if (missing.length > 0) {
+    console.error(`✗ Not a directory: ${missing.join(', ')}`);
+    process.exit(1);
+  }
+
+  let priorityList;
+  let tables;
+  let mappings;
+  try {
+    priorityList = loadPriorityList(presets);
+    tables = loadIconTables(priorityList.iconPacks);
+    mappings = buildMappingsQuietly({ presets });
+  } catch (error) {
+    console.error(`✗ ${error.message}`);
+    process.exit(1);
+  }
+
+  if (!json) console.log(`Scanning ${dirs.join(', ')}...`);
+  const scan = scanDirectories(dirs);
+  const suggestions = suggestEntries(scan, { mappings, ...tables });
+
+  // Entries already in the list (e.g. whose icon is missing from the cache) are not suggested again
+  const listed = {
+    extensions: new Set(priorityList.extensions.map(ext => ext.replace(/^\./, '').toLowerCase())),
+    filenames: new Set(priorityList.filenames.map(name => name.toLowerCase())),
+    folders: new Set(priorityList.folders.map(name => name.toLowerCase())),
+  };
+  const selected = suggestions.filter(({ type, entry, count }) => count >= minCount && !listed[type].has(entry.toLowerCase()));
+  const gaining = countGaining(scan, selected);
+
+  if (json) {
+    const top = map => Object.fromEntries([...map].sort((a, b) => b[1] - a[1]));
+    console.log(JSON.stringify({
+      directories: dirs,
+      presets: priorityList.presets,
+      totals: scan.totals,
+      counts: {
+        extensions: top(countExtensions(scan.files)),
+        filenames: top(scan.files),
+        folders: top(scan.folders),
+      },
+      gaining,
+      suggestions: selected.map(({ names, ...suggestion }) => suggestion),
+    }, null, 2));
+  } else {
+    console.log(`  ✓ ${formatCount(scan.totals.files)} files and ${formatCount(scan.totals.folders)} folders (.gitignore respected)`);
+    if (priorityList.presets.length > 0) {
+      console.log(`  ✓ Compared with the presets: ${priorityList.presets.join(', ')}`);
+    }
+
+    if (selected.length === 0) {
+      console.log('\n✓ No suggestions: every file and folder with an upstream icon already gets it');
+    } else {
+      printSuggestions(selected, limit);
+      console.log(`\n✓ With all ${selected.length} suggestions, ${formatCount(gaining.files)} files and ${formatCount(gaining.folders)} folders would gain a dedicated icon`);
+    }
+  }
+
+  if (args.includes('--merge') && selected.length > 0) {
+    const additions = Object.fromEntries(ENTRY_TYPES.map(type => [
+      type,
+      selected.filter(suggestion => suggestion.type === type).map(suggestion => suggestion.entry),
+    ]));
+    const source = fs.readFileSync(PRIORITY_LIST_PATH, 'utf8');
+    fs.writeFileSync(PRIORITY_LIST_PATH, mergeIntoSource(source, additions));
+    const message = `✓ Added ${selected.length} entries to src/priority-list.js (run "npm run all" to fetch their icons and build)`;
+    (json ? console.error : console.log)(message);
+  } else if (!json && selected.length > 0) {
+    console.log('  Add them to src/priority-list.js with --merge');
+  }
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = { scanDirectories, countExtensions, suggestEntries, countGaining, mergeIntoSource };
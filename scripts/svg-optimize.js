@@ -0,0 +1,217 @@
+/**
+ * Dependency-free SVG minifier and data URI encoding for the embedded icons
+ *
+ * The minifier only does what is safe for upstream's flat icon SVGs: it drops
+ * comments, metadata and editor markup, unreferenced ids, attributes that only
+ * restate the default, and excess precision in coordinates and path data.
+ */
+
+// Elements that never affect rendering
+const REMOVED_ELEMENTS = ['metadata', 'title', 'desc', 'sodipodi:namedview'];
+
+// Attributes that never affect rendering in an <img> (data-mit-no-recolor is only read at fetch time)
+const REMOVED_ATTRIBUTES = /^(?:version|baseProfile|data-name|data-mit-no-recolor|(?:inkscape|sodipodi|sketch):[\w-]+|xmlns:(?:inkscape|sodipodi|sketch|dc|cc|rdf))$/;
+
+// Attributes whose default value can be dropped wherever they appear (not inherited)
+const NON_INHERITED_DEFAULTS = { opacity: '1' };
+
+// Inherited attributes: the default can only be dropped if no other element sets another value
+const INHERITED_DEFAULTS = {
+  'fill-opacity': '1',
+  'stroke-opacity': '1',
+  'fill-rule': 'nonzero',
+  'clip-rule': 'nonzero',
+  'stroke-width': '1',
+  'stroke-miterlimit': '4',
+};
+
+// Numeric attributes that are rounded to the configured precision
+const NUMERIC_ATTRIBUTES = new Set([
+  'd', 'points', 'transform', 'x', 'y', 'x1', 'y1', 'x2', 'y2', 'cx', 'cy', 'r', 'rx', 'ry',
+  'fx', 'fy', 'width', 'height', 'stroke-width', 'offset', 'opacity', 'fill-opacity', 'stroke-opacity',
+]);
+
+const NUMBER_PATTERN = /-?(?:\d+\.?\d*|\.\d+)(?:e[-+]?\d+)?/gi;
+const TAG_PATTERN = /<([\w:-]+)((?:\s+[\w:.-]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>/g;
+const ATTRIBUTE_PATTERN = /([\w:.-]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+
+/**
+ * Format a number with at most `precision` decimals and no redundant characters
+ * (0.50 -> .5, -0.0 -> 0, 2.000 -> 2)
+ */
+function formatNumber(value, precision) {
+  const factor = 10 ** precision;
+  const rounded = Math.round(Number(value) * factor) / factor;
+  if (Object.is(rounded, -0) || rounded === 0) return '0';
+  return String(rounded).replace(/^(-?)0\./, '$1.');
+}
+
+/**
+ * Round every number in an attribute value (point lists, transforms, lengths)
+ * Numbers are often packed without spaces ("1.5.5", "1-.5"), so a separator is
+ * added where rounding drops the "." or "-" that kept two numbers apart
+ */
+function roundNumbers(value, precision) {
+  return value.replace(NUMBER_PATTERN, (match, offset, whole) => {
+    // Leave exponents alone rather than risk changing their meaning
+    if (/e/i.test(match)) return match;
+    let formatted = formatNumber(match, precision);
+
+    const previous = whole[offset - 1];
+    if (match.startsWith('-') && !formatted.startsWith('-') && /[\d.]/.test(previous || '')) {
+      formatted = ` ${formatted}`;
+    }
+    const next = whole[offset + match.length];
+    if (next === '.' && !formatted.includes('.')) {
+      formatted = `${formatted} `;
+    }
+    return formatted;
+  });
+}
+
+// A number at the start of a string, as path data writes them
+const LEADING_NUMBER_PATTERN = /^[-+]?(?:\d+\.?\d*|\.\d+)(?:e[-+]?\d+)?/i;
+
+/**
+ * Round the numbers in path data (the `d` attribute), command by command
+ * Arc commands take their large-arc and sweep flags as single characters, which are
+ * often packed together with the next number ("a2 2 0 012-2" is 0, 1 and 2), so
+ * they can't be read as ordinary numbers. Unparsable data is left unchanged.
+ */
+function roundPathData(data, precision) {
+  let result = '';
+  let command = '';
+  let parameter = 0;
+  let previous = '';
+
+  for (let i = 0; i < data.length;) {
+    const char = data[i];
+    if (/[\s,]/.test(char)) {
+      i++;
+      continue;
+    }
+    if (/[a-df-z]/i.test(char)) {
+      result += char;
+      command = char;
+      parameter = 0;
+      previous = '';
+      i++;
+      continue;
+    }
+
+    let formatted;
+    const isArcFlag = /a/i.test(command) && (parameter % 7 === 3 || parameter % 7 === 4);
+    if (isArcFlag) {
+      if (char !== '0' && char !== '1') return data;
+      formatted = char;
+      i++;
+    } else {
+      const match = data.slice(i).match(LEADING_NUMBER_PATTERN);
+      if (!match) return data;
+      // Leave exponents alone rather than risk changing their meaning
+      formatted = /e/i.test(match[0]) ? match[0] : formatNumber(match[0], precision);
+      i += match[0].length;
+    }
+
+    // A "-", or a "." after a number that already has one, starts a new number by itself
+    const packs = formatted.startsWith('-') || (formatted.startsWith('.') && /[.e]/i.test(previous));
+    result += previous && !packs ? ` ${formatted}` : formatted;
+    previous = formatted;
+    parameter++;
+  }
+
+  return result;
+}
+
+/**
+ * Parse a tag's attributes into [name, value] pairs (in source order)
+ */
+function parseAttributes(source) {
+  return [...source.matchAll(ATTRIBUTE_PATTERN)].map(([, name, doubleQuoted, singleQuoted]) =>
+    [name, doubleQuoted !== undefined ? doubleQuoted : singleQuoted]
+  );
+}
+
+/**
+ * Minify an SVG string
+ * options.precision: decimals kept in coordinates and path data (default 3)
+ */
+function minifySvg(svg, { precision = 3 } = {}) {
+  let result = svg
+    .replace(/<\?xml[\s\S]*?\?>/g, '')
+    .replace(/<!DOCTYPE[\s\S]*?>/gi, '')
+    .replace(/<!--[\s\S]*?-->/g, '');
+
+  REMOVED_ELEMENTS.forEach(element => {
+    const escaped = element.replace(':', '\\:');
+    result = result
+      .replace(new RegExp(`<${escaped}\\b[^>]*/>`, 'g'), '')
+      .replace(new RegExp(`<${escaped}\\b[\\s\\S]*?</${escaped}>`, 'g'), '');
+  });
+
+  // Ids are only needed when something references them (gradients, clip paths, <use>)
+  const referencedIds = new Set([...result.matchAll(/(?:url\(\s*['"]?#|href\s*=\s*["']#)([^'")\s]+)/g)].map(match => match[1]));
+  const usesXlink = /\sxlink:[\w-]+\s*=/.test(result);
+  const hasText = /<text\b/.test(result);
+
+  // Inherited defaults are only safe to drop when the attribute is never set to anything else
+  const droppableInherited = Object.keys(INHERITED_DEFAULTS).filter(name => {
+    const values = [...result.matchAll(new RegExp(`[\\s;"']${name}\\s*[=:]\\s*["']?([^"';\\s]+)`, 'g'))].map(match => match[1]);
+    return values.every(value => value === INHERITED_DEFAULTS[name]);
+  });
+
+  result = result.replace(TAG_PATTERN, (match, tagName, attributeSource, selfClosing) => {
+    const attributes = parseAttributes(attributeSource).filter(([name, value]) => {
+      if (REMOVED_ATTRIBUTES.test(name)) return false;
+      if (name === 'id') return referencedIds.has(value);
+      if (name === 'xmlns:xlink') return usesXlink;
+      if (name === 'xml:space') return hasText;
+      if (NON_INHERITED_DEFAULTS[name] === value.trim()) return false;
+      if (droppableInherited.includes(name) && INHERITED_DEFAULTS[name] === value.trim()) return false;
+      // x/y default to 0, except on filters and masks (-10%)
+      if ((name === 'x' || name === 'y') && value.trim() === '0' && !/^(?:filter|mask)$/.test(tagName)) return false;
+      return true;
+    }).map(([name, value]) => {
+      let minified = value.trim().replace(/\s+/g, ' ');
+      if (name === 'd') {
+        minified = roundPathData(minified, precision);
+      } else if (NUMERIC_ATTRIBUTES.has(name)) {
+        minified = roundNumbers(minified, precision);
+      }
+      // Prefer double quotes, falling back to single quotes when the value contains one
+      return minified.includes('"') ? `${name}='${minified}'` : `${name}="${minified}"`;
+    });
+
+    return `<${tagName}${attributes.map(attribute => ` ${attribute}`).join('')}${selfClosing ? '/' : ''}>`;
+  });
+
+  // Icons have no text content, so whitespace between tags is insignificant
+  return result.replace(/>\s+</g, '><').trim();
+}
+
+/**
+ * Encode an SVG as a data URI
+ * 'base64' is the most compatible; 'utf8' URL-encodes the markup, which is
+ * smaller for SVGs (escaping only what data URIs and quoting require)
+ */
+function svgToDataUri(svg, encoding = 'base64') {
+  if (encoding === 'base64') {
+    return `data:image/svg+xml;base64,${Buffer.from(svg).toString('base64')}`;
+  }
+  if (encoding !== 'utf8') {
+    throw new Error(`Unknown data URI encoding "${encoding}" (use "base64" or "utf8")`);
+  }
+
+  // Single quotes keep the URI usable inside double-quoted strings and CSS url("")
+  const quoted = svg.includes("'") ? svg : svg.replace(/"/g, "'");
+  const encoded = encodeURIComponent(quoted)
+    .replace(/%20/g, ' ')
+    .replace(/%3D/g, '=')
+    .replace(/%3A/g, ':')
+    .replace(/%2F/g, '/')
+    .replace(/%2C/g, ',')
+    .replace(/%3B/g, ';');
+  return `data:image/svg+xml,${encoded}`;
+}
+
+module.exports = { minifySvg, svgToDataUri };
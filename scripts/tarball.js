@@ -0,0 +1,117 @@
+/**
+ * Minimal, dependency-free .tgz extraction
+ *
+ * Reads gzipped ustar archives (GitHub source archives, `npm pack` output),
+ * including GNU long names and pax headers, and writes only the entries
+ * accepted by a filter. Used by the fetch script to pull icons/ and
+ * src/core/icons/ out of an upstream tarball without unpacking everything.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+
+const BLOCK_SIZE = 512;
+
+/**
+ * Read a NUL-terminated string field from a header block
+ */
+function readString(block, offset, length) {
+  const field = block.subarray(offset, offset + length);
+  const end = field.indexOf(0);
+  return field.subarray(0, end === -1 ? length : end).toString('utf8');
+}
+
+/**
+ * Read an octal number field from a header block
+ */
+function readOctal(block, offset, length) {
+  return parseInt(readString(block, offset, length).trim() || '0', 8);
+}
+
+/**
+ * Parse pax extended header records ("<length> <key>=<value>\n")
+ */
+function parsePax(buffer) {
+  const records = {};
+  let offset = 0;
+  while (offset < buffer.length) {
+    const space = buffer.indexOf(0x20, offset);
+    if (space === -1) break;
+    const length = parseInt(buffer.subarray(offset, space).toString('utf8'), 10);
+    if (!length) break;
+    const record = buffer.subarray(space + 1, offset + length - 1).toString('utf8');
+    const equals = record.indexOf('=');
+    records[record.slice(0, equals)] = record.slice(equals + 1);
+    offset += length;
+  }
+  return records;
+}
+
+/**
+ * Extract a .tgz into destDir
+ * `filter(entryPath)` returns the path to write the entry to (relative to
+ * destDir), or null to skip it. Returns { files, comment, mtime }, where
+ * comment is the archive's pax comment (GitHub stores the commit hash there)
+ * and mtime the newest entry's modification time.
+ */
+function extractTarball(tarballPath, destDir, filter) {
+  const archive = zlib.gunzipSync(fs.readFileSync(tarballPath));
+  const result = { files: 0, comment: null, mtime: null };
+  let longName = null;
+  let paxPath = null;
+  let offset = 0;
+
+  while (offset + BLOCK_SIZE <= archive.length) {
+    const header = archive.subarray(offset, offset + BLOCK_SIZE);
+    offset += BLOCK_SIZE;
+
+    // Two zero blocks end the archive
+    if (header.every(byte => byte === 0)) break;
+
+    const size = readOctal(header, 124, 12);
+    const type = String.fromCharCode(header[156] || 0x30);
+    const data = archive.subarray(offset, offset + size);
+    offset += Math.ceil(size / BLOCK_SIZE) * BLOCK_SIZE;
+
+    if (type === 'L') {
+      longName = readString(data, 0, data.length);
+      continue;
+    }
+    if (type === 'x' || type === 'g') {
+      const records = parsePax(data);
+      if (type === 'g' && records.comment) result.comment = records.comment;
+      if (type === 'x' && records.path) paxPath = records.path;
+      continue;
+    }
+
+    const prefix = readString(header, 345, 155);
+    const name = readString(header, 0, 100);
+    const entryPath = paxPath || longName || (prefix ? `${prefix}/${name}` : name);
+    longName = null;
+    paxPath = null;
+
+    // Regular files only (old archives use NUL, read as '0' above)
+    if (type !== '0') continue;
+
+    const target = filter(entryPath);
+    if (!target) continue;
+
+    const destPath = path.resolve(destDir, target);
+    if (!destPath.startsWith(path.resolve(destDir) + path.sep)) {
+      throw new Error(`Refusing to extract "${entryPath}" outside ${destDir}`);
+    }
+    fs.mkdirSync(path.dirname(destPath), { recursive: true });
+    fs.writeFileSync(destPath, data);
+    result.files++;
+
+    const mtime = readOctal(header, 136, 12);
+    if (mtime && (!result.mtime || mtime > result.mtime)) {
+      result.mtime = mtime;
+    }
+  }
+
+  return result;
+}
+
+module.exports = { extractTarball };
@@ -0,0 +1,123 @@
+/**
+ * Base preset: documentation, data and config formats, assets, git and common
+ * project folders. Most other presets extend it.
+ */
+
+module.exports = {
+  extensions: [
+    // Config & Data
+    'json',
+    'jsonc',
+    'xml',
+    'yml',
+    'yaml',
+    'toml',
+    'ini',
+    'env',
+    'csv',
+    'tsv',
+
+    // Assets
+    'svg',
+    'png',
+    'jpg',
+    'jpeg',
+    'gif',
+    'webp',
+    'woff',
+    'woff2',
+    'ttf',
+    'eot',
+
+    // Shell
+    'sh',
+    'bash',
+    'zsh',
+    'fish',
+    'command',
+
+    // Documentation
+    'md',
+    'mdx',
+    'txt',
+    'text',
+    'rst',
+    'pdf',
+
+    // Database
+    'sql',
+    'sqlite',
+
+    // Lock files
+    'lock',
+
+    // Archives
+    'zip',
+    'tar.gz',
+    'tgz',
+  ],
+
+  filenames: [
+    // Git
+    '.gitignore',
+    '.gitattributes',
+    '.gitmodules',
+    '.git-blame-ignore-revs',
+
+    // Editor/IDE
+    '.editorconfig',
+
+    // Task runners
+    'Makefile',
+
+    // Environment
+    '.env',
+    '.env.example',
+    '.env.local',
+
+    // Docs
+    'README.md',
+    'LICENSE',
+    'LICENSE.txt',
+    'CONTRIBUTING.md',
+    'CHANGELOG.md',
+    'CODE_OF_CONDUCT.md',
+  ],
+
+  patterns: [
+    // Environment variants
+    '.env.*',
+  ],
+
+  folders: [
+    // Project structure
+    'assets',
+    'build',
+    'dist',
+    'src',
+    'docs',
+    'images',
+    'lib',
+    'vendor',
+    'public',
+    'private',
+    'config',
+    'fonts',
+
+    // Development
+    'git',
+    'github',
+    '.claude',
+    '.cursor',
+    'tests',
+    'test',
+    'vscode',
+    'bin',
+    'examples',
+    'tools',
+
+    // Build artifacts
+    'coverage',
+    'artifacts',
+  ],
+};
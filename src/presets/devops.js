@@ -0,0 +1,70 @@
+/**
+ * DevOps preset: containers, CI/CD, infrastructure as code and deployment
+ */
+
+module.exports = {
+  extends: ['base'],
+
+  extensions: [
+    'tf',
+    'tfvars',
+    'hcl',
+    'dockerfile',
+    'conf',
+    'nginx',
+    'service',
+    'j2',
+  ],
+
+  filenames: [
+    // Containers
+    'Dockerfile',
+    '.dockerignore',
+    'docker-compose.yml',
+    'docker-compose.yaml',
+    'compose.yml',
+    'compose.yaml',
+
+    // CI/CD
+    '.gitlab-ci.yml',
+    '.travis.yml',
+    'Jenkinsfile',
+    'azure-pipelines.yml',
+    'bitbucket-pipelines.yml',
+    'cloudbuild.yaml',
+
+    // Deployment
+    'Procfile',
+    'Vagrantfile',
+    'Chart.yaml',
+    'values.yaml',
+    'skaffold.yaml',
+    'kustomization.yaml',
+    'netlify.toml',
+    'vercel.json',
+    'fly.toml',
+    'nginx.conf',
+  ],
+
+  patterns: [
+    'Dockerfile.*',
+    'docker-compose.*.yml',
+  ],
+
+  folders: [
+    '.github',
+    'workflows',
+    '.circleci',
+    'docker',
+    'terraform',
+    'kubernetes',
+    'k8s',
+    'helm',
+    'charts',
+    'ansible',
+    'deploy',
+    'deployment',
+    'infra',
+    'scripts',
+  ],
+};
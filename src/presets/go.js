@@ -0,0 +1,38 @@
+/**
+ * Go preset: modules, workspaces and the standard project layout
+ */
+
+module.exports = {
+  extends: ['base'],
+
+  extensions: [
+    'go',
+    'tmpl',
+    'proto',
+  ],
+
+  filenames: [
+    'go.mod',
+    'go.sum',
+    'go.work',
+    'go.work.sum',
+    '.golangci.yml',
+    '.golangci.yaml',
+    '.goreleaser.yml',
+    '.goreleaser.yaml',
+  ],
+
+  patterns: [
+    { pattern: '*_test.go', icon: 'go' },
+  ],
+
+  folders: [
+    'cmd',
+    'internal',
+    'pkg',
+    'api',
+    'proto',
+    'scripts',
+    'testdata',
+  ],
+};
@@ -0,0 +1,111 @@
+/**
+ * JavaScript preset: JS/TS, styling, Node tooling, tests and Storybook
+ */
+
+module.exports = {
+  extends: ['base'],
+
+  extensions: [
+    // JavaScript/TypeScript
+    'js',
+    'jsx',
+    'ts',
+    'tsx',
+    'd.ts',
+    'mjs',
+    'vue',
+    'svelte',
+
+    // Styling
+    'css',
+    'scss',
+    'sass',
+    'less',
+    'pcss',
+
+    // Markup
+    'html',
+    'htm',
+  ],
+
+  filenames: [
+    // JavaScript/Build
+    'package.json',
+    'package-lock.json',
+    'webpack.config.js',
+    'webpack.config.babel.js',
+    'rollup.config.js',
+    'vite.config.js',
+    'tsconfig.json',
+    'jsconfig.json',
+    '.babelrc',
+    '.eslintrc',
+    '.eslintrc.js',
+    '.eslintrc.json',
+    '.prettierrc',
+    '.prettierrc.js',
+    '.prettierignore',
+    '.stylelintrc',
+    '.stylelintignore',
+
+    // Node version
+    '.nvmrc',
+    '.node-version',
+    '.npmrc',
+
+    // Testing
+    'playwright.config.js',
+
+    // Task runners
+    'Gruntfile.js',
+    'gulpfile.js',
+  ],
+
+  patterns: [
+    // Tests
+    '*.test.js',
+    '*.spec.js',
+    '*.test.ts',
+    '*.spec.ts',
+    '*.test.tsx',
+    '*.spec.tsx',
+    '*.test.jsx',
+
+    // Storybook
+    '*.stories.js',
+    '*.stories.jsx',
+    '*.stories.ts',
+    '*.stories.tsx',
+
+    // Config variants
+    'tsconfig.*.json',
+  ],
+
+  folders: [
+    // Dependencies
+    'node_modules',
+
+    // Common web dev folders
+    'components',
+    'routes',
+    'api',
+    'helpers',
+    'utils',
+    'models',
+    'views',
+    'controllers',
+    'services',
+    'middleware',
+    'templates',
+    'layouts',
+
+    // Styles & scripts
+    'css',
+    'sass',
+    'scss',
+    'js',
+
+    // Build tools
+    'webpack',
+  ],
+};
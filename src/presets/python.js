@@ -0,0 +1,59 @@
+/**
+ * Python preset: sources, notebooks, packaging and tooling
+ */
+
+module.exports = {
+  extends: ['base'],
+
+  extensions: [
+    'py',
+    'pyi',
+    'pyc',
+    'pyx',
+    'ipynb',
+    'whl',
+    'cfg',
+  ],
+
+  filenames: [
+    // Packaging
+    'pyproject.toml',
+    'setup.py',
+    'setup.cfg',
+    'requirements.txt',
+    'requirements-dev.txt',
+    'Pipfile',
+    'Pipfile.lock',
+    'poetry.lock',
+    'uv.lock',
+    'MANIFEST.in',
+    '.python-version',
+
+    // Tooling
+    'tox.ini',
+    'noxfile.py',
+    'pytest.ini',
+    'conftest.py',
+    '.flake8',
+    '.pylintrc',
+    'ruff.toml',
+    '.ruff.toml',
+    'mypy.ini',
+    '.pre-commit-config.yaml',
+  ],
+
+  patterns: [
+    { pattern: 'requirements*.txt', icon: 'python-misc' },
+  ],
+
+  folders: [
+    '__pycache__',
+    'python',
+    'venv',
+    '.venv',
+    'env',
+    'notebooks',
+    'migrations',
+    'scripts',
+  ],
+};
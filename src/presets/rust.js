@@ -0,0 +1,32 @@
+/**
+ * Rust preset: crates, Cargo and toolchain configuration
+ */
+
+module.exports = {
+  extends: ['base'],
+
+  extensions: [
+    'rs',
+    'ron',
+  ],
+
+  filenames: [
+    'Cargo.toml',
+    'Cargo.lock',
+    'build.rs',
+    'rust-toolchain',
+    'rust-toolchain.toml',
+    'rustfmt.toml',
+    '.rustfmt.toml',
+    'clippy.toml',
+    'deny.toml',
+  ],
+
+  folders: [
+    'rust',
+    'crates',
+    'target',
+    'benches',
+    'examples',
+  ],
+};
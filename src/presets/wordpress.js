@@ -0,0 +1,74 @@
+/**
+ * WordPress preset: PHP, WordPress core/plugin/theme structure, Gutenberg and
+ * the React-based block editor tooling
+ */
+
+module.exports = {
+  extends: ['base', 'javascript'],
+
+  extensions: [
+    // PHP & WordPress
+    'php',
+    'inc',
+
+    // Markup
+    'phtml',
+    'blade.php',
+
+    // Translation
+    'pot',
+    'po',
+    'mo',
+
+    // Other languages
+    'rb',
+    'py',
+  ],
+
+  filenames: [
+    // WordPress/PHP
+    'composer.json',
+    'composer.lock',
+    'phpunit.xml',
+    'phpunit.xml.dist',
+    'phpcs.xml',
+    'phpcs.xml.dist',
+    'phpstan.neon',
+    '.phpcs.xml',
+
+    // Gutenberg
+    'block.json',
+
+    // WordPress distribution ignore (uses git icon)
+    '.distignore',
+
+    // Docker
+    'Dockerfile',
+    'docker-compose.yml',
+    '.dockerignore',
+
+    // CI/CD
+    '.travis.yml',
+
+    // Ruby
+    'Gemfile',
+  ],
+
+  folders: [
+    // WordPress structure
+    'wp-content',
+    'wp-includes',
+    'wp-admin',
+    'includes',
+    'languages',
+    'admin',
+
+    // WordPress specific
+    'plugins',
+    'themes',
+    'mu-plugins',
+  ],
+
+  // Gutenberg is built with React
+  iconPacks: ['react'],
+};
@@ -1,237 +1,65 @@
 /**
  * Priority list of file types, filenames, and folders to include icons for.
- * This list is based on WordPress/PHP/React development workflows.
+ *
+ * The entries come from the presets in src/presets/ named in `extends` (the
+ * WordPress/PHP/React workflow by default), followed by the entries below.
+ * `--preset python,go` on fetch and build uses other presets instead of `extends`;
+ * the entries and settings below still apply.
  */
 
 module.exports = {
-  // File extensions (without the dot)
-  extensions: [
-    // PHP & WordPress
-    'php',
-    'inc',
-    
-    // JavaScript/TypeScript
-    'js',
-    'jsx',
-    'ts',
-    'tsx',
-    'mjs',
-    'vue',
-    'svelte',
-    
-    // Styling
-    'css',
-    'scss',
-    'sass',
-    'less',
-    'pcss',
-    
-    // Config & Data
-    'json',
-    'jsonc',
-    'xml',
-    'yml',
-    'yaml',
-    'toml',
-    'ini',
-    'env',
-    'csv',
-    'tsv',
-    
-    // Markup
-    'html',
-    'htm',
-    'phtml',
-    
-    // Assets
-    'svg',
-    'png',
-    'jpg',
-    'jpeg',
-    'gif',
-    'webp',
-    'woff',
-    'woff2',
-    'ttf',
-    'eot',
-    
-    // Translation
-    'pot',
-    'po',
-    'mo',
-    
-    // Shell
-    'sh',
-    'bash',
-    'zsh',
-    'fish',
-    'command',
-    
-    // Documentation
-    'md',
-    'mdx',
-    'txt',
-    'text',
-    'rst',
-    'pdf',
-    
-    // Other languages
-    'rb',
-    'py',
+  // Presets to build from, combined in order (see src/presets/)
+  extends: ['wordpress'],
 
-    // Database
-    'sql',
-    'sqlite',
+  // File extensions (without the dot)
+  extensions: [],
 
-    // Lock files
-    'lock',
-  ],
-  
   // Specific filenames (with extension)
-  filenames: [
-    // WordPress/PHP
-    'composer.json',
-    'composer.lock',
-    'phpunit.xml',
-    'phpunit.xml.dist',
-    'phpcs.xml',
-    'phpcs.xml.dist',
-    'phpstan.neon',
-    '.phpcs.xml',
-    
-    // JavaScript/Build
-    'package.json',
-    'package-lock.json',
-    'webpack.config.js',
-    'webpack.config.babel.js',
-    'rollup.config.js',
-    'vite.config.js',
-    'tsconfig.json',
-    'jsconfig.json',
-    '.babelrc',
-    '.eslintrc',
-    '.eslintrc.js',
-    '.eslintrc.json',
-    '.prettierrc',
-    '.prettierrc.js',
-    '.prettierignore',
-    '.stylelintrc',
-    '.stylelintignore',
-    
-    // Gutenberg
-    'block.json',
-    
-    // Git
-    '.gitignore',
-    '.gitattributes',
-    '.gitmodules',
-    '.git-blame-ignore-revs',
-    '.distignore',  // WordPress distribution ignore (uses git icon)
-    
-    // Editor/IDE
-    '.editorconfig',
-    
-    // Node version
-    '.nvmrc',
-    '.node-version',
-    '.npmrc',
-    
-    // Docker
-    'Dockerfile',
-    'docker-compose.yml',
-    '.dockerignore',
-    
-    // CI/CD
-    '.travis.yml',
-    'playwright.config.js',
-    
-    // Task runners
-    'Gruntfile.js',
-    'gulpfile.js',
-    'Makefile',
-    
-    // Environment
-    '.env',
-    '.env.example',
-    '.env.local',
-    
-    // Ruby
-    'Gemfile',
-    
-    // Docs
-    'README.md',
-    'LICENSE',
-    'LICENSE.txt',
-    'CONTRIBUTING.md',
-    'CHANGELOG.md',
-    'CODE_OF_CONDUCT.md',
-  ],
-  
-  // Folder names
-  folders: [
-    // WordPress structure
-    'wp-content',
-    'wp-includes',
-    'wp-admin',
-    'includes',
-    'languages',
-    'assets',
-    'build',
-    'dist',
-    'src',
-    'admin',
-    'docs',
-    'images',
+  filenames: [],
 
-    // Dependencies
-    'node_modules',
-    'vendor',
-    'lib',
+  // Filename patterns, matched case-insensitively against the full filename
+  // (`*` = any characters, `?` = one character). Strings take their icon from
+  // upstream; use { pattern: '...', icon: '...' } to choose one explicitly.
+  // Precedence: exact filename > longest pattern > longest extension > default
+  patterns: [],
 
-    // WordPress specific
-    'plugins',
-    'themes',
-    'mu-plugins',
+  // Folder names
+  folders: [],
 
-    // Common web dev folders
-    'public',
-    'private',
-    'config',
-    'components',
-    'routes',
-    'api',
-    'helpers',
-    'utils',
-    'models',
-    'views',
-    'controllers',
-    'services',
-    'middleware',
-    'templates',
-    'layouts',
+  // Upstream icon packs to enable, added to the presets' packs; first listed wins when
+  // they disagree (angular, angular_ngrx, react, react_redux, qwik, vue, vue_vuex, nest,
+  // roblox, bashly). Overridden by `node scripts/build.js --pack vue` ("--pack none" for no pack)
+  iconPacks: [],
 
-    // Styles & Assets
-    'css',
-    'sass',
-    'scss',
-    'fonts',
-    'js',
+  // Embed every upstream icon and mapping instead of only the entries above, as a
+  // compressed payload decoded in the browser (also fetch with this set, or use
+  // `npm run fetch -- --all-icons` and `node scripts/build.js --all-icons`)
+  allIcons: false,
 
-    // Development
-    'git',
-    'github',
-    '.claude',
-    '.cursor',
-    'tests',
-    'test',
-    'vscode',
-    'bin',
-    'examples',
-    'tools',
-    'webpack',
+  // Folder name matching (names are always matched case-insensitively)
+  folderMatching: {
+    // Also match "_name" and "__name__" (e.g. "__tests__" uses the "tests" icon)
+    underscorePrefixes: true,
+    // Also match the singular/plural form (e.g. "helper" uses the "helpers" icon)
+    plurals: false,
+  },
 
-    // Build artifacts
-    'coverage',
-    'artifacts',
-  ],
+  // Size of the embedded icons (see `node scripts/build.js --size-report`)
+  output: {
+    // Strip comments, metadata, unused ids, default attributes and excess precision
+    minifySvg: true,
+    // Decimals kept in coordinates and path data
+    precision: 3,
+    // 'utf8' (URL-encoded SVG, smaller) or 'base64'
+    dataUri: 'utf8',
+    // 'img' (an <img> per item) or 'stylesheet' (one injected stylesheet with a CSS
+    // class per icon; lighter on big listings, see `npm run measure`)
+    rendering: 'img',
+    // Fail the build above these sizes in KB (0 = no limit); some userscript managers,
+    // e.g. on iOS Safari, struggle with large scripts
+    budget: {
+      userscriptKB: 300,
+      iconKB: 24,
+    },
+  },
 };
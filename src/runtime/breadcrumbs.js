@@ -0,0 +1,34 @@
+/**
+ * Breadcrumbs on blob, blame and history pages
+ */
+
+const { setLeadingIcon } = require('./dom');
+const { BREADCRUMB_FILENAME_SELECTOR } = require('./selectors');
+
+/**
+ * Add icons to the path segments of a breadcrumb (blob, blame and history pages)
+ * Folder segments get folder icons, and the last segment gets the file icon
+ */
+function replaceBreadcrumbIcons(container, stats) {
+    const repoName = location.pathname.split('/')[2];
+
+    container.querySelectorAll('a[href*="/tree/"], a[href*="/commits/"]').forEach((link, index) => {
+        // Skip the repository root segment
+        const name = link.textContent.trim();
+        if (!name || link.matches('[data-testid="breadcrumbs-repo-link"]') || (index === 0 && name === repoName)) {
+            return;
+        }
+        setLeadingIcon(link, name, true, stats);
+    });
+
+    container.querySelectorAll(BREADCRUMB_FILENAME_SELECTOR).forEach(leaf => {
+        const name = leaf.textContent.trim();
+        if (!name) return;
+        // On /tree/ pages the last segment is the current folder
+        setLeadingIcon(leaf, name, location.pathname.includes('/tree/'), stats);
+    });
+}
+
+module.exports = {
+    replaceBreadcrumbIcons,
+};
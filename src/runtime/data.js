@@ -0,0 +1,43 @@
+/**
+ * Icon data embedded in the userscript
+ * scripts/build.js replaces this module with the built icons and mappings when
+ * bundling; the empty tables here keep the runtime modules loadable on their own.
+ */
+
+// Upstream version the icons were built from (see icons.lock.json)
+const UPSTREAM = { commit: null, date: null, version: null, label: null };
+
+// Icon data (deduplicated - each unique icon stored once): data URIs, or in
+// stylesheet mode the CSS class that RENDERING.stylesheet defines for the icon
+const ICONS = {};
+
+// How icons are rendered: 'img' (an <img> with the data URI per item) or
+// 'stylesheet' (one injected stylesheet, items only get the icon's class)
+const RENDERING = { mode: 'img', stylesheet: '' };
+
+// All icons builds: the other icons' SVGs as deflated JSON in base64 (see ./icon-bundle)
+const ICON_BUNDLE = { data: '' };
+
+// Icon mappings (reference icon names, not full data URIs)
+const ICON_MAPPINGS = {
+    extensions: {},
+    filenames: {},
+    // [regex source, icon name] pairs, most specific pattern first
+    patterns: [],
+    folders: {},
+    foldersExpanded: {},
+    light: {},
+    folderMatching: { underscorePrefixes: true, plurals: false },
+    defaultFile: null,
+    defaultFolder: null,
+    defaultFolderExpanded: null,
+    symlink: null
+};
+
+module.exports = {
+    UPSTREAM,
+    ICONS,
+    RENDERING,
+    ICON_BUNDLE,
+    ICON_MAPPINGS,
+};
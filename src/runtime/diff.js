@@ -0,0 +1,108 @@
+/**
+ * Diff pages: pull request "Files changed", commit and compare pages
+ */
+
+const { createIconElement } = require('./dom');
+const { determineIconName, getIcon } = require('./icon-names');
+const { DIFF_HEADER_LINK_SELECTOR, DIFF_HEADER_SELECTOR, FILE_FILTER_OPTION_SELECTOR, PR_FILE_TREE_ITEM_SELECTOR } = require('./selectors');
+const { state } = require('./state');
+const { isDeletedDiffEntry, replaceTreeIcon } = require('./tree-view');
+
+/**
+ * Replace icon for a pull request file tree entry ("Files changed" tab sidebar)
+ */
+function replaceIconForFileTreeItem(item, stats) {
+    const label = item.querySelector('.ActionList-item-label');
+    if (!label) return;
+
+    let name = label.textContent.trim();
+    if (!name) return;
+
+    // Collapsed paths (e.g., "src/components") use the first folder name, as in the file browser
+    if (name.includes('/')) {
+        name = name.split('/')[0];
+    }
+
+    const svg = item.querySelector('.ActionList-item-visual svg.octicon');
+    if (!svg) return;
+
+    replaceTreeIcon(svg, name, stats, isDeletedDiffEntry(item));
+}
+
+/**
+ * Add an icon in front of the file name in a diff file header
+ * Headers have no file octicon to hide, so the icon is inserted next to the file link.
+ * Renamed files ("old → new") use the new name; deleted files get a dimmed icon.
+ */
+function addIconToDiffHeader(header, stats) {
+    // Check if we already added our icon
+    if (header.querySelector('.material-icon-replacement')) return;
+
+    const link = header.querySelector(DIFF_HEADER_LINK_SELECTOR);
+    if (!link) return;
+
+    // Prefer the full path from data attributes, falling back to the link text
+    const path = header.getAttribute('data-path') ||
+                 header.getAttribute('data-tagsearch-path') ||
+                 link.getAttribute('title') ||
+                 link.textContent;
+    const name = path.split('→').pop().trim().split('/').pop();
+    if (!name) return;
+
+    const iconName = determineIconName(name, false, false);
+    if (!iconName || !getIcon(iconName)) return;
+
+    const icon = createIconElement(iconName, '6px');
+    if (isDeletedDiffEntry(header)) {
+        icon.style.filter = 'opacity(0.5)';
+    }
+    link.parentNode.insertBefore(icon, link);
+    if (stats) stats.replaced++;
+}
+
+/**
+ * Add an icon to an extension option in the pull request file filter dropdown
+ * Takes the option's (hidden) checkbox, whose value is the extension (e.g., ".js")
+ */
+function addIconToFileFilterOption(input, stats) {
+    const option = input.closest('label');
+    if (!option || option.querySelector('.material-icon-replacement')) return;
+
+    // The "No extension" option has an empty value
+    const ext = input.value;
+    if (!ext) return;
+
+    const iconName = determineIconName('file' + ext, false, false);
+    if (!iconName || !getIcon(iconName)) return;
+
+    // Place the icon after the checkmark, before the extension text
+    const checkmark = option.querySelector('svg.SelectMenu-icon');
+    option.insertBefore(createIconElement(iconName, '6px'), checkmark ? checkmark.nextSibling : input.nextSibling);
+    if (stats) stats.replaced++;
+}
+
+/**
+ * Replace icons on diff pages (pull request "Files changed", commits and compare views)
+ */
+function replaceDiffIcons(stats) {
+    if (state.settings.treeIcons) {
+        document.querySelectorAll(PR_FILE_TREE_ITEM_SELECTOR).forEach(item => {
+            replaceIconForFileTreeItem(item, stats);
+        });
+    }
+
+    document.querySelectorAll(DIFF_HEADER_SELECTOR).forEach(header => {
+        addIconToDiffHeader(header, stats);
+    });
+
+    document.querySelectorAll(FILE_FILTER_OPTION_SELECTOR).forEach(option => {
+        addIconToFileFilterOption(option, stats);
+    });
+}
+
+module.exports = {
+    replaceIconForFileTreeItem,
+    addIconToDiffHeader,
+    addIconToFileFilterOption,
+    replaceDiffIcons,
+};
@@ -0,0 +1,126 @@
+/**
+ * Create, insert and restore icon elements
+ */
+
+const { RENDERING } = require('./data');
+const { determineIconName, getIcon } = require('./icon-names');
+
+const ICON_STYLESHEET_ID = 'material-icons-stylesheet';
+
+/**
+ * Add the icon stylesheet to the page (stylesheet mode only, once)
+ */
+function injectIconStylesheet() {
+    if (RENDERING.mode !== 'stylesheet' || document.getElementById(ICON_STYLESHEET_ID)) return;
+
+    const style = document.createElement('style');
+    style.id = ICON_STYLESHEET_ID;
+    style.textContent = RENDERING.stylesheet;
+    (document.head || document.documentElement).appendChild(style);
+}
+
+/**
+ * Point an icon element at an icon (the data URI of an img, or the class in stylesheet mode)
+ */
+function setIconElement(icon, iconName) {
+    if (RENDERING.mode === 'stylesheet') {
+        icon.className = 'material-icon-replacement ' + getIcon(iconName);
+    } else {
+        icon.src = getIcon(iconName);
+    }
+    icon.dataset.materialIcon = iconName;
+}
+
+/**
+ * Create a Material icon element
+ * In stylesheet mode a bare span, sized and drawn by the injected stylesheet, so
+ * large listings don't repeat the data URI and inline styles on every row
+ */
+function createIconElement(iconName, marginRight = '') {
+    let icon;
+    if (RENDERING.mode === 'stylesheet') {
+        icon = document.createElement('span');
+    } else {
+        icon = document.createElement('img');
+        icon.style.width = '16px';
+        icon.style.height = '16px';
+        icon.style.display = 'inline-block';
+        icon.style.verticalAlign = 'text-bottom';
+        icon.classList.add('material-icon-replacement');
+    }
+    setIconElement(icon, iconName);
+    if (marginRight) {
+        icon.style.marginRight = marginRight;
+    }
+    icon.setAttribute('aria-hidden', 'true');
+    return icon;
+}
+
+/**
+ * Hide an SVG icon and insert a replacement image
+ * Returns true if replacement was successful
+ */
+function replaceIcon(svg, iconName, insertionParent, insertionReference, applyColorFilter = false) {
+    // Hide the original SVG (use visibility so extensions like Refined GitHub can still find it)
+    svg.style.visibility = 'hidden';
+    svg.style.position = 'absolute';
+    svg.setAttribute('data-material-icon-hidden', '');
+
+    // Create our icon with the same margin as the original SVG
+    const icon = createIconElement(iconName, svg.style.marginRight || '');
+
+    // Copy color filter if needed (for muted or deleted items)
+    if (applyColorFilter) {
+        icon.style.filter = 'opacity(0.5)';
+    }
+
+    // Insert the icon at the specified location
+    insertionParent.insertBefore(icon, insertionReference);
+    return true;
+}
+
+/**
+ * Set (or update) the icon at the start of an element, such as a breadcrumb segment
+ * GitHub reuses breadcrumbs across soft navigations, so the icon follows the current name
+ */
+function setLeadingIcon(element, name, isFolder, stats) {
+    const iconName = determineIconName(name, false, isFolder);
+    const existingIcon = element.querySelector(':scope > .material-icon-replacement');
+
+    if (!iconName || !getIcon(iconName)) {
+        existingIcon?.remove();
+        return;
+    }
+
+    if (existingIcon) {
+        if (existingIcon.dataset.materialIcon !== iconName) {
+            setIconElement(existingIcon, iconName);
+        }
+        return;
+    }
+
+    element.insertBefore(createIconElement(iconName, '4px'), element.firstChild);
+    if (stats) stats.replaced++;
+}
+
+/**
+ * Remove all replacement icons and restore GitHub's octicons
+ * The settings panel's previews (data-material-icon-preview) are left in place
+ */
+function resetIcons() {
+    document.querySelectorAll('.material-icon-replacement:not([data-material-icon-preview])').forEach(icon => icon.remove());
+    document.querySelectorAll('[data-material-icon-hidden]').forEach(svg => {
+        svg.style.visibility = '';
+        svg.style.position = '';
+        svg.removeAttribute('data-material-icon-hidden');
+    });
+}
+
+module.exports = {
+    injectIconStylesheet,
+    setIconElement,
+    createIconElement,
+    replaceIcon,
+    setLeadingIcon,
+    resetIcons,
+};
@@ -0,0 +1,125 @@
+/**
+ * Repository file browser (the file table of a repository or folder)
+ */
+
+const { replaceIcon } = require('./dom');
+const { ICON_MAPPINGS } = require('./data');
+const { determineIconName, getIcon } = require('./icon-names');
+const { state } = require('./state');
+
+/**
+ * Replace icon for a single file/folder item
+ */
+function replaceIconForItem(item, stats) {
+    // Check for parent directory (..) link first (different structure)
+    let parentDirLink = item.querySelector('a[data-testid="up-tree"]');
+    if (parentDirLink) {
+        // This is the "back up one level" row
+        const svg = parentDirLink.querySelector('svg.octicon');
+        if (svg && !svg.nextElementSibling?.classList.contains('material-icon-replacement')) {
+            const iconName = state.settings.folderIcons && state.settings.defaultFallback ? ICON_MAPPINGS.defaultFolder : null;
+            if (getIcon(iconName)) {
+                replaceIcon(svg, iconName, svg.parentNode, svg.nextSibling);
+                if (stats) stats.replaced++;
+            }
+        }
+        return;
+    }
+
+    // GitHub has separate cells for small/large screens
+    // We need to target the large-screen cell which is visible
+    const largeScreenCell = item.querySelector('td.react-directory-row-name-cell-large-screen');
+    const targetCell = largeScreenCell || item.querySelector('td');
+
+        if (!targetCell) return;
+
+        // Find the link with the file/folder name
+        // Look in the visible (non-edit) link
+        // Note: symlinks don't have the Link--primary class, so we don't require it
+        let link = targetCell.querySelector('a[href*="/blob/"], a[href*="/tree/"]');
+
+        if (!link) return;
+
+        let name = link.textContent.trim();
+        if (!name) return;
+
+        // Handle collapsed paths (e.g., ".cursor/rules" -> ".cursor")
+        // GitHub shows nested empty folders as "folder/subfolder"
+        // We only want to match the first folder name
+        if (name.includes('/')) {
+            name = name.split('/')[0];
+        }
+
+        // Find the SVG in the SAME container as the link (not in edit buttons)
+        // The file icon SVG should be a sibling or near the link
+        const container = targetCell.querySelector('.react-directory-filename-column');
+        if (!container) return;
+
+        // Look for the SVG
+        // GitHub uses octicon-file, octicon-file-directory, and their -fill variants
+        let svg = container.querySelector('svg[class*="octicon-file"]');
+        if (!svg) return;
+
+        // Check if it's a symlink first
+        const isSymlink = svg.classList.contains('octicon-file-symlink-file') ||
+                        svg.classList.contains('octicon-file-symlink-directory');
+
+        // Check if it's a folder
+        const isFolder = link.getAttribute('href')?.includes('/tree/') ||
+                       svg.getAttribute('aria-label')?.toLowerCase().includes('directory') ||
+                       svg.getAttribute('aria-label')?.toLowerCase().includes('folder');
+
+        // Get the appropriate icon name and check it was embedded
+        const iconName = determineIconName(name, isSymlink, isFolder);
+        if (!iconName) return;
+        if (!getIcon(iconName)) return;
+
+        // Check if Refined GitHub has wrapped this in an edit link
+        const editLink = svg.closest('a.rgh-quick-file-edit');
+
+        if (editLink) {
+            // Refined GitHub is active - replace the icon but keep the edit link
+
+            // Check if we already added our icon to the edit link
+            const existingIcon = editLink.querySelector('.material-icon-replacement');
+            if (existingIcon) {
+                // Remove any duplicate icons that are siblings of the edit link
+                let sibling = editLink.nextElementSibling;
+                while (sibling && sibling.classList?.contains('material-icon-replacement')) {
+                    const toRemove = sibling;
+                    sibling = sibling.nextElementSibling;
+                    toRemove.remove();
+                }
+                return; // Already replaced
+            }
+
+            // Check if we previously added an icon as a sibling of the edit link (before RGH wrapped it)
+            let siblingIcon = editLink.nextElementSibling;
+            if (siblingIcon?.classList?.contains('material-icon-replacement')) {
+                siblingIcon.remove();
+            }
+
+            // Find the file icon SVG (not the pencil)
+            const fileIconSvg = editLink.querySelector('svg[class*="octicon-file"]:not(.octicon-pencil)');
+            if (fileIconSvg) {
+                replaceIcon(fileIconSvg, iconName, editLink, editLink.firstChild);
+                if (stats) stats.replaced++;
+            }
+        } else {
+            // No Refined GitHub - normal replacement
+
+            // Check if we already added our icon
+            if (svg.nextElementSibling?.classList.contains('material-icon-replacement')) {
+                return; // Already replaced
+            }
+
+            // Replace the icon (with color filter for muted items)
+            const applyColorFilter = !!svg.style.color;
+            replaceIcon(svg, iconName, svg.parentNode, svg.nextSibling, applyColorFilter);
+            if (stats) stats.replaced++;
+        }
+}
+
+module.exports = {
+    replaceIconForItem,
+};
@@ -0,0 +1,75 @@
+/**
+ * Gist pages (gist.github.com)
+ */
+
+const { createIconElement, replaceIcon, setIconElement, setLeadingIcon } = require('./dom');
+const { determineIconName, getIcon } = require('./icon-names');
+const { GIST_FILENAME_INPUT_SELECTOR, GIST_FILENAME_SELECTOR } = require('./selectors');
+
+/**
+ * Add an icon to a gist filename (file header or profile gist list)
+ * File headers replace their octicon; the gist list has none, so the icon leads the name
+ */
+function addIconToGistFilename(element, stats) {
+    const name = element.textContent.trim();
+    if (!name) return;
+
+    const fileInfo = element.closest('.file-info');
+    const svg = fileInfo?.querySelector('svg.octicon');
+    if (!svg) {
+        setLeadingIcon(element, name, false, stats);
+        return;
+    }
+
+    if (fileInfo.querySelector('.material-icon-replacement')) return;
+
+    const iconName = determineIconName(name, false, false);
+    if (!iconName || !getIcon(iconName)) return;
+
+    replaceIcon(svg, iconName, svg.parentNode, svg);
+    if (stats) stats.replaced++;
+}
+
+/**
+ * Add or update the icon in front of a gist editor filename input, following what is typed
+ */
+function addIconToGistFilenameInput(input, stats) {
+    const iconName = determineIconName(input.value.trim(), false, false);
+    const previous = input.previousElementSibling;
+    const existingIcon = previous?.classList.contains('material-icon-replacement') ? previous : null;
+
+    if (!iconName || !getIcon(iconName)) {
+        existingIcon?.remove();
+        return;
+    }
+
+    if (existingIcon) {
+        if (existingIcon.dataset.materialIcon !== iconName) {
+            setIconElement(existingIcon, iconName);
+        }
+        return;
+    }
+
+    const icon = createIconElement(iconName, '6px');
+    icon.style.alignSelf = 'center';
+    input.parentNode.insertBefore(icon, input);
+    if (stats) stats.replaced++;
+}
+
+/**
+ * Add icons to gist file headers, profile gist lists and editor filename inputs
+ */
+function replaceGistIcons(stats) {
+    document.querySelectorAll(GIST_FILENAME_SELECTOR).forEach(element => {
+        addIconToGistFilename(element, stats);
+    });
+    document.querySelectorAll(GIST_FILENAME_INPUT_SELECTOR).forEach(input => {
+        addIconToGistFilenameInput(input, stats);
+    });
+}
+
+module.exports = {
+    addIconToGistFilename,
+    addIconToGistFilenameInput,
+    replaceGistIcons,
+};
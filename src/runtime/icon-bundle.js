@@ -0,0 +1,72 @@
+/**
+ * Compressed icon payload of "all icons" builds
+ * The payload is decompressed once at startup; each icon's data URI is only
+ * created (and cached in ICONS) the first time a page needs it.
+ */
+
+const { ICONS, ICON_BUNDLE } = require('./data');
+
+// Icon name -> SVG markup for bundled icons that have not been used yet
+let bundledSvgs = {};
+
+/**
+ * Decompress the icon payload (no-op for builds without one)
+ * Without DecompressionStream, only the always-embedded default icons are available
+ */
+async function loadIconBundle() {
+    bundledSvgs = {};
+    if (!ICON_BUNDLE.data) return;
+
+    if (typeof DecompressionStream === 'undefined') {
+        console.warn('[Material Icons] This browser cannot decompress the icon payload (no DecompressionStream) - using default icons only.');
+        return;
+    }
+
+    try {
+        const bytes = Uint8Array.from(atob(ICON_BUNDLE.data), char => char.charCodeAt(0));
+        const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('deflate'));
+        bundledSvgs = JSON.parse(await new Response(stream).text());
+    } catch (error) {
+        console.error('[Material Icons] Could not decompress the icon payload:', error);
+    }
+}
+
+/**
+ * Encode an SVG as a URL-encoded data URI (like the build's 'utf8' encoding)
+ */
+function svgToDataUri(svg) {
+    const quoted = svg.includes("'") ? svg : svg.replace(/"/g, "'");
+    return 'data:image/svg+xml,' + encodeURIComponent(quoted)
+        .replace(/%20/g, ' ')
+        .replace(/%3D/g, '=')
+        .replace(/%3A/g, ':')
+        .replace(/%2F/g, '/')
+        .replace(/%2C/g, ',')
+        .replace(/%3B/g, ';');
+}
+
+/**
+ * Get a bundled icon's data URI, creating and caching it on first use
+ * Returns undefined for icons that are not in the payload
+ */
+function takeBundledIcon(iconName) {
+    const svg = bundledSvgs[iconName];
+    if (svg === undefined) return undefined;
+
+    ICONS[iconName] = svgToDataUri(svg);
+    delete bundledSvgs[iconName];
+    return ICONS[iconName];
+}
+
+/**
+ * Names of the bundled icons that have not been used yet
+ */
+function getBundledIconNames() {
+    return Object.keys(bundledSvgs);
+}
+
+module.exports = {
+    loadIconBundle,
+    takeBundledIcon,
+    getBundledIconNames,
+};
@@ -0,0 +1,168 @@
+/**
+ * Resolve file and folder names to embedded icons
+ */
+
+const { ICONS, ICON_MAPPINGS } = require('./data');
+const { takeBundledIcon } = require('./icon-bundle');
+const { state } = require('./state');
+
+/**
+ * Get the embedded icon for an icon name: its data URI, or its CSS class in stylesheet mode
+ * Uses the light variant when a light theme is active and one was embedded
+ */
+function getIcon(iconName) {
+    if (!iconName) return null;
+    const lightIconName = state.useLightIcons && ICON_MAPPINGS.light[iconName];
+    return ICONS[lightIconName || iconName] || takeBundledIcon(lightIconName || iconName);
+}
+
+// Filename patterns from the priority list, compiled at build time (most specific first)
+let patternMatchers = [];
+let patternSources = null;
+
+/**
+ * Get the RegExps for the filename patterns (created on first use, and again if the mappings change)
+ */
+function getPatternMatchers() {
+    if (patternSources !== ICON_MAPPINGS.patterns) {
+        patternSources = ICON_MAPPINGS.patterns;
+        patternMatchers = patternSources.map(([source, iconName]) => [new RegExp(source, 'i'), iconName]);
+    }
+    return patternMatchers;
+}
+
+/**
+ * Get icon name for a file based on filename and extension
+ * Precedence: exact filename > longest pattern > longest extension > default
+ */
+function getFileIconName(filename) {
+    // Filename and extension keys are lowercase (e.g., "README.md" matches "readme.md")
+    const lowerName = filename.toLowerCase();
+
+    // Check for exact filename match first
+    if (ICON_MAPPINGS.filenames[lowerName]) {
+        return ICON_MAPPINGS.filenames[lowerName];
+    }
+
+    // Handle compound extensions (e.g., "phpcs.xml.dist" -> try "phpcs.xml" then ".xml")
+    const parts = lowerName.split('.');
+    if (parts.length > 2) {
+        // Try removing the last extension (e.g., "phpcs.xml.dist" -> "phpcs.xml")
+        const withoutLastExt = parts.slice(0, -1).join('.');
+        if (ICON_MAPPINGS.filenames[withoutLastExt]) {
+            return ICON_MAPPINGS.filenames[withoutLastExt];
+        }
+    }
+
+    // Check glob patterns (e.g., "*.test.js", ".env.*")
+    for (const [matcher, iconName] of getPatternMatchers()) {
+        if (matcher.test(filename)) {
+            return iconName;
+        }
+    }
+
+    // Try extensions from longest to shortest, as upstream does
+    // (e.g., "index.d.ts" -> "d.ts" then "ts", "archive.tar.gz" -> "tar.gz" then "gz")
+    // Personal overrides from the settings panel win over the built-in mapping
+    for (let i = lowerName.indexOf('.'); i !== -1; i = lowerName.indexOf('.', i + 1)) {
+        const ext = lowerName.substring(i + 1);
+        const iconName = state.settings.extensionOverrides[ext] || ICON_MAPPINGS.extensions[ext];
+        if (iconName) {
+            return iconName;
+        }
+    }
+
+    // Fall back to the second-to-last extension (e.g., ".xml" from "phpcs.xml.dist")
+    if (parts.length > 2) {
+        const secondExt = parts[parts.length - 2];
+        if (ICON_MAPPINGS.extensions[secondExt]) {
+            return ICON_MAPPINGS.extensions[secondExt];
+        }
+    }
+
+    // Return default file icon name (or null to keep GitHub's default)
+    return (state.settings.defaultFallback && ICON_MAPPINGS.defaultFile) || null;
+}
+
+/**
+ * Find the folder mapping key for a folder name
+ * Matching is case-insensitive and also tries the name without a leading dot
+ * (.github), without underscores (_build, __tests__) and in singular/plural form,
+ * depending on the folderMatching build options
+ */
+function findFolderKey(foldername) {
+    const name = foldername.toLowerCase();
+    const candidates = [name];
+
+    // Try without leading dot (e.g., .github -> github)
+    if (name.startsWith('.')) {
+        candidates.push(name.substring(1));
+    }
+
+    // Try without underscores (e.g., __tests__ -> tests, _build -> build)
+    if (ICON_MAPPINGS.folderMatching.underscorePrefixes) {
+        const withoutUnderscores = name.replace(/^__?/, '').replace(/__$/, '');
+        if (withoutUnderscores && withoutUnderscores !== name) {
+            candidates.push(withoutUnderscores);
+        }
+    }
+
+    // Try the singular/plural form (e.g., helper <-> helpers)
+    if (ICON_MAPPINGS.folderMatching.plurals) {
+        candidates.slice().forEach(candidate => {
+            candidates.push(candidate.endsWith('s') ? candidate.slice(0, -1) : candidate + 's');
+        });
+    }
+
+    return candidates.find(candidate => ICON_MAPPINGS.folders[candidate]) || null;
+}
+
+/**
+ * Get icon name for a folder
+ * Expanded folders use the "-open" variant when one was embedded
+ */
+function getFolderIconName(foldername, isExpanded = false) {
+    const key = findFolderKey(foldername);
+
+    if (key) {
+        if (isExpanded && ICON_MAPPINGS.foldersExpanded[key]) {
+            return ICON_MAPPINGS.foldersExpanded[key];
+        }
+        return ICON_MAPPINGS.folders[key];
+    }
+
+    if (!state.settings.defaultFallback) {
+        return null;
+    }
+    if (isExpanded && ICON_MAPPINGS.defaultFolderExpanded) {
+        return ICON_MAPPINGS.defaultFolderExpanded;
+    }
+    return ICON_MAPPINGS.defaultFolder || null;
+}
+
+/**
+ * Determine the icon name based on element type and name
+ * Shared logic for both main file browser and tree view
+ */
+function determineIconName(name, isSymlink, isFolder, isExpanded = false) {
+    // Respect the file/folder toggles from the settings panel
+    if (isFolder ? !state.settings.folderIcons : !state.settings.fileIcons) {
+        return null;
+    }
+
+    if (isSymlink) {
+        return ICON_MAPPINGS.symlink;
+    } else if (isFolder) {
+        return getFolderIconName(name, isExpanded);
+    } else {
+        return getFileIconName(name);
+    }
+}
+
+module.exports = {
+    getIcon,
+    getFileIconName,
+    findFolderKey,
+    getFolderIconName,
+    determineIconName,
+};
@@ -0,0 +1,14 @@
+/**
+ * Userscript entry point (bundled by scripts/bundle.js)
+ */
+
+const { init } = require('./init');
+
+// Run when DOM is ready
+if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', () => {
+        setTimeout(init, 100);
+    });
+} else {
+    setTimeout(init, 100);
+}
@@ -0,0 +1,81 @@
+/**
+ * Start the userscript: settings, theme, first pass and DOM observers
+ */
+
+const { ICON_MAPPINGS, UPSTREAM } = require('./data');
+const { injectIconStylesheet } = require('./dom');
+const { loadIconBundle } = require('./icon-bundle');
+const { addIconToGistFilenameInput } = require('./gist');
+const { observeDomChanges } = require('./observer');
+const { replaceIcons } = require('./replace');
+const { GIST_FILENAME_INPUT_SELECTOR } = require('./selectors');
+const { loadSettings } = require('./settings');
+const { registerSettingsEntryPoints } = require('./settings-panel');
+const { state } = require('./state');
+const { isLightTheme, watchThemeChanges } = require('./theme');
+
+/**
+ * Initialize the script
+ */
+async function init() {
+    console.log('[Material Icons] Loaded:',
+                Object.keys(ICON_MAPPINGS.extensions).length, 'extensions,',
+                Object.keys(ICON_MAPPINGS.filenames).length, 'filenames,',
+                Object.keys(ICON_MAPPINGS.folders).length, 'folders',
+                UPSTREAM.label ? '(material-icon-theme ' + UPSTREAM.label + ')' : '');
+
+    // Check for conflicting browser extension
+    if (document.querySelector('[data-material-icons-extension]')) {
+        console.warn('[Material Icons] Detected Material Icons browser extension - userscript disabled to avoid conflicts.');
+        console.info('[Material Icons] To use this userscript, disable the Material Icons browser extension.');
+        return;
+    }
+
+    // Load user settings and expose the settings panel
+    state.settings = await loadSettings();
+    registerSettingsEntryPoints();
+
+    // Pick light or dark icon variants, and follow theme changes
+    state.useLightIcons = isLightTheme();
+    watchThemeChanges();
+
+    // Replace icons on initial load (stylesheet mode defines the icon classes first,
+    // all icons builds decompress their icons first)
+    injectIconStylesheet();
+    await loadIconBundle();
+    replaceIcons();
+
+    // Gist editor filename inputs follow the name as it is typed
+    if (location.hostname === 'gist.github.com') {
+        document.addEventListener('input', event => {
+            if (event.target.matches?.(GIST_FILENAME_INPUT_SELECTOR)) {
+                addIconToGistFilenameInput(event.target);
+            }
+        });
+    }
+
+    // Watch for DOM changes (GitHub is an SPA and Refined GitHub adds edit links)
+    // Watch for URL changes (GitHub SPA navigation)
+    let lastUrl = location.href;
+    const urlObserver = new MutationObserver(() => {
+        if (location.href !== lastUrl) {
+            lastUrl = location.href;
+            // Observer will catch when GitHub adds the new rows
+        }
+    });
+    urlObserver.observe(document.querySelector('title'), {
+        childList: true,
+        subtree: true
+    });
+
+    // Also listen for browser back/forward
+    window.addEventListener('popstate', () => {
+        // Observer will catch when GitHub adds the new rows
+    });
+
+    setTimeout(observeDomChanges, 100);
+}
+
+module.exports = {
+    init,
+};
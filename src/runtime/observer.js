@@ -0,0 +1,188 @@
+/**
+ * Mutation observer that keeps icons in place as GitHub re-renders the page
+ */
+
+const { processItem } = require('./replace');
+const {
+    BREADCRUMB_SELECTOR,
+    DIFF_HEADER_SELECTOR,
+    DIFF_ITEM_SELECTOR,
+    GIST_ITEM_SELECTOR,
+    PR_FILE_TREE_ITEM_SELECTOR,
+    SEARCH_RESULT_SELECTOR,
+} = require('./selectors');
+
+/**
+ * Collect the items to re-process for a batch of mutations
+ */
+function collectMutatedItems(mutations) {
+    const rowsToProcess = new Set();
+
+    for (const mutation of mutations) {
+        // Breadcrumb text changes as GitHub soft-navigates between files,
+        // and the finder's virtualized list re-renders rows for other files
+        if (mutation.type === 'childList' || mutation.type === 'characterData') {
+            const target = mutation.type === 'characterData' ? mutation.target.parentElement : mutation.target;
+            const container = target?.closest(BREADCRUMB_SELECTOR + ', ' + SEARCH_RESULT_SELECTOR);
+            if (container) {
+                rowsToProcess.add(container);
+            }
+        }
+
+        // Check if our icon was removed
+        for (const node of mutation.removedNodes) {
+            if (node.nodeType === 1 && node.classList?.contains('material-icon-replacement')) {
+                // Our icon was removed - find the row and re-process it
+                const row = mutation.target.closest('div[role="row"], tr.react-directory-row, ' +
+                                                    PR_FILE_TREE_ITEM_SELECTOR + ', ' + DIFF_HEADER_SELECTOR);
+                if (row) {
+                    rowsToProcess.add(row);
+                }
+            }
+        }
+
+        // Check if SVG visibility was changed (GitHub might be un-hiding it)
+        if (mutation.type === 'attributes' && mutation.target.tagName === 'svg') {
+            const svg = mutation.target;
+
+            // Tree view folders may toggle open/closed by swapping the octicon class in place
+            if (mutation.attributeName === 'class') {
+                const treeItem = svg.closest('.PRIVATE_TreeView-item-content, ' + PR_FILE_TREE_ITEM_SELECTOR);
+                if (treeItem) {
+                    rowsToProcess.add(treeItem);
+                }
+            }
+
+            if (svg.getAttribute('class')?.includes('octicon-file')) {
+                // Check if the SVG was made visible again
+                if (svg.style.visibility !== 'hidden') {
+                    const row = svg.closest('div[role="row"], tr.react-directory-row');
+                    if (row) {
+                        rowsToProcess.add(row);
+                    }
+                }
+            }
+        }
+
+        // Ignore mutations from our own icon additions
+        for (const node of mutation.addedNodes) {
+            if (node.nodeType === 1) {
+                // Skip our own icon replacements
+                if (node.classList?.contains('material-icon-replacement')) {
+                    continue;
+                }
+
+                // Check if this is a new SVG in tree view (folder open/close toggle)
+                if (node.matches && node.matches('svg.octicon')) {
+                    const treeItem = node.closest('.PRIVATE_TreeView-item-content, ' + PR_FILE_TREE_ITEM_SELECTOR);
+                    if (treeItem) {
+                        rowsToProcess.add(treeItem);
+                    }
+                }
+
+                // Check if this is a file row or parent directory row
+                if (node.matches && (node.matches('div[role="row"]') || node.matches('tr.react-directory-row') || node.matches('tr[id^="folder-row-"]'))) {
+                    rowsToProcess.add(node);
+                }
+                // Check if file rows were added as children
+                else if (node.querySelector) {
+                    const rows = node.querySelectorAll('div[role="row"], tr.react-directory-row, tr[id^="folder-row-"]');
+                    if (rows.length > 0) {
+                        // Add all found rows to be processed individually
+                        // This catches when GitHub replaces the entire row container
+                        rows.forEach(row => rowsToProcess.add(row));
+                    }
+                }
+
+                // Check if Refined GitHub added an edit link
+                if (node.matches && node.matches('a.rgh-quick-file-edit')) {
+                    const row = node.closest('div[role="row"], tr.react-directory-row');
+                    if (row) {
+                        rowsToProcess.add(row);
+                    }
+                }
+                // Check if edit links were added as children
+                else if (node.querySelector) {
+                    const editLinks = node.querySelectorAll('a.rgh-quick-file-edit');
+                    if (editLinks.length > 0) {
+                        // Add rows with edit links to be processed individually
+                        editLinks.forEach(link => {
+                            const row = link.closest('div[role="row"], tr.react-directory-row');
+                            if (row) rowsToProcess.add(row);
+                        });
+                    }
+                }
+
+                // Check if this is a tree view item (left sidebar)
+                if (node.matches && node.matches('.PRIVATE_TreeView-item-content')) {
+                    rowsToProcess.add(node);
+                }
+                // Check if tree view items were added as children
+                else if (node.querySelector) {
+                    const treeItems = node.querySelectorAll('.PRIVATE_TreeView-item-content');
+                    if (treeItems.length > 0) {
+                        treeItems.forEach(item => rowsToProcess.add(item));
+                    }
+                }
+
+                // Check if this is a diff page file tree entry, diff header or file filter option
+                if (node.matches && node.matches(DIFF_ITEM_SELECTOR)) {
+                    rowsToProcess.add(node);
+                }
+                // Check if diff page items were added as children (e.g., lazily loaded diffs)
+                else if (node.querySelector) {
+                    node.querySelectorAll(DIFF_ITEM_SELECTOR).forEach(item => rowsToProcess.add(item));
+                }
+
+                // Check if breadcrumbs or the sticky file header were added
+                if (node.matches && node.matches(BREADCRUMB_SELECTOR)) {
+                    rowsToProcess.add(node);
+                } else if (node.querySelector) {
+                    node.querySelectorAll(BREADCRUMB_SELECTOR).forEach(item => rowsToProcess.add(item));
+                }
+
+                // Check if finder rows or code search results were added
+                if (node.matches && node.matches(SEARCH_RESULT_SELECTOR)) {
+                    rowsToProcess.add(node);
+                } else if (node.querySelector) {
+                    node.querySelectorAll(SEARCH_RESULT_SELECTOR).forEach(item => rowsToProcess.add(item));
+                }
+
+                // Check if gist files were added (e.g., "Add file" in the gist editor)
+                if (node.matches && node.matches(GIST_ITEM_SELECTOR)) {
+                    rowsToProcess.add(node);
+                } else if (node.querySelector) {
+                    node.querySelectorAll(GIST_ITEM_SELECTOR).forEach(item => rowsToProcess.add(item));
+                }
+            }
+        }
+    }
+
+    return rowsToProcess;
+}
+
+/**
+ * Watch for DOM changes (GitHub is an SPA and Refined GitHub adds edit links)
+ * and re-process the items they touch
+ */
+function observeDomChanges() {
+    const observer = new MutationObserver((mutations) => {
+        // Process individual items that were added
+        collectMutatedItems(mutations).forEach(item => processItem(item));
+    });
+
+    // Start observing
+    observer.observe(document.body, {
+        childList: true,
+        characterData: true,
+        subtree: true,
+        attributes: true,
+        attributeFilter: ['style', 'class']
+    });
+    return observer;
+}
+
+module.exports = {
+    collectMutatedItems,
+    observeDomChanges,
+};
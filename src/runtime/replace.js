@@ -0,0 +1,106 @@
+/**
+ * Replace icons across the page, or for a single changed element
+ */
+
+const { replaceBreadcrumbIcons } = require('./breadcrumbs');
+const { addIconToDiffHeader, addIconToFileFilterOption, replaceDiffIcons, replaceIconForFileTreeItem } = require('./diff');
+const { replaceIconForItem } = require('./file-browser');
+const { addIconToGistFilename, addIconToGistFilenameInput, replaceGistIcons } = require('./gist');
+const { replaceSearchResultIcon } = require('./search');
+const {
+    BREADCRUMB_SELECTOR,
+    DIFF_HEADER_SELECTOR,
+    FILE_FILTER_OPTION_SELECTOR,
+    GIST_FILENAME_INPUT_SELECTOR,
+    GIST_FILENAME_SELECTOR,
+    PR_FILE_TREE_ITEM_SELECTOR,
+    SEARCH_RESULT_SELECTOR,
+} = require('./selectors');
+const { state } = require('./state');
+const { replaceIconForTreeItem } = require('./tree-view');
+
+/**
+ * Replace the icon for any supported item (used by the mutation observer)
+ */
+function processItem(item) {
+    if (item.matches(PR_FILE_TREE_ITEM_SELECTOR)) {
+        if (state.settings.treeIcons) {
+            replaceIconForFileTreeItem(item);
+        }
+    } else if (item.matches(DIFF_HEADER_SELECTOR)) {
+        addIconToDiffHeader(item);
+    } else if (item.matches(FILE_FILTER_OPTION_SELECTOR)) {
+        addIconToFileFilterOption(item);
+    } else if (item.matches(BREADCRUMB_SELECTOR)) {
+        replaceBreadcrumbIcons(item);
+    } else if (item.matches(SEARCH_RESULT_SELECTOR)) {
+        replaceSearchResultIcon(item);
+    } else if (item.matches(GIST_FILENAME_INPUT_SELECTOR)) {
+        addIconToGistFilenameInput(item);
+    } else if (item.matches(GIST_FILENAME_SELECTOR)) {
+        addIconToGistFilename(item);
+    } else if (item.classList.contains('PRIVATE_TreeView-item-content')) {
+        // Tree view item (left sidebar)
+        if (state.settings.treeIcons) {
+            replaceIconForTreeItem(item);
+        }
+    } else {
+        // File browser row
+        replaceIconForItem(item);
+    }
+}
+
+/**
+ * Replace icons in the file browser
+ */
+function replaceIcons() {
+    const stats = { replaced: 0 };
+
+    // Main file browser (right panel)
+    // GitHub uses div[role="row"] for file list items
+    let items = document.querySelectorAll('div[role="row"]');
+
+    // Alternative: table-based layout
+    if (items.length === 0) {
+        items = document.querySelectorAll('tbody tr.react-directory-row, tbody tr[id^="folder-row-"]');
+    }
+
+    items.forEach(item => {
+        replaceIconForItem(item, stats);
+    });
+
+    // Tree view (left sidebar file tree)
+    if (state.settings.treeIcons) {
+        const treeItems = document.querySelectorAll('.PRIVATE_TreeView-item-content');
+        treeItems.forEach(item => {
+            replaceIconForTreeItem(item, stats);
+        });
+    }
+
+    // Diff pages (pull request "Files changed", /commit/<sha>, /compare/a...b)
+    replaceDiffIcons(stats);
+
+    // Breadcrumbs and sticky file header (blob, blame and history pages)
+    document.querySelectorAll(BREADCRUMB_SELECTOR).forEach(container => {
+        replaceBreadcrumbIcons(container, stats);
+    });
+
+    // "Go to file" finder and code search results
+    document.querySelectorAll(SEARCH_RESULT_SELECTOR).forEach(item => {
+        replaceSearchResultIcon(item, stats);
+    });
+
+    // Gist file headers, profile gist lists and editor filename inputs
+    if (location.hostname === 'gist.github.com') {
+        replaceGistIcons(stats);
+    }
+
+    if (stats.replaced > 0) {
+        console.log('[Material Icons] Replaced', stats.replaced, 'icons');
+    }
+}
+
+module.exports = {
+    processItem,
+    replaceIcons,
+};
@@ -0,0 +1,71 @@
+/**
+ * "Go to file" finder and code search results
+ */
+
+const { replaceIcon, setIconElement, setLeadingIcon } = require('./dom');
+const { determineIconName, getIcon } = require('./icon-names');
+
+/**
+ * Decode a URL path, keeping it as is when it has a malformed escape (e.g. a bare "%")
+ */
+function decodePath(path) {
+    try {
+        return decodeURIComponent(path);
+    } catch (error) {
+        return path;
+    }
+}
+
+/**
+ * Get the filename shown by a finder row or code search result
+ * Prefers the link target, since the visible text is split up by match highlights
+ */
+function getResultFilename(item) {
+    const link = item.matches('a[href]') ? item : item.querySelector('a[href*="/blob/"]');
+    const path = link ? decodePath(new URL(link.href, location.origin).pathname) : item.textContent.trim();
+    return path.split('/').filter(Boolean).pop() || '';
+}
+
+/**
+ * Add or update the icon of a "Go to file" finder row or code search result
+ * The finder's virtualized list recycles rows for other files, so rows are only
+ * skipped when they already show the icon for their current file, and recycled
+ * rows have their icon swapped in place rather than removed (no flicker)
+ */
+function replaceSearchResultIcon(item, stats) {
+    const name = getResultFilename(item);
+    if (!name) return;
+
+    const existingIcon = item.querySelector('.material-icon-replacement');
+    if (existingIcon && item.dataset.materialIconFor === name) return;
+    item.dataset.materialIconFor = name;
+
+    // Code search results have no octicon, so the icon goes before the path
+    const svg = item.querySelector('svg.octicon-file, svg[data-material-icon-hidden]');
+    if (!svg) {
+        setLeadingIcon(item, name, false, stats);
+        return;
+    }
+
+    const iconName = determineIconName(name, false, false);
+    if (!iconName || !getIcon(iconName)) {
+        existingIcon?.remove();
+        svg.style.visibility = '';
+        svg.style.position = '';
+        svg.removeAttribute('data-material-icon-hidden');
+        return;
+    }
+
+    if (existingIcon) {
+        setIconElement(existingIcon, iconName);
+        return;
+    }
+
+    replaceIcon(svg, iconName, svg.parentNode, svg);
+    if (stats) stats.replaced++;
+}
+
+module.exports = {
+    getResultFilename,
+    replaceSearchResultIcon,
+};
@@ -0,0 +1,42 @@
+/**
+ * CSS selectors for the GitHub page elements the userscript decorates
+ */
+
+// Diff page elements (pull request "Files changed", commit and compare pages):
+// classic file tree entries, diff file headers (classic and React) and file filter dropdown options
+const PR_FILE_TREE_ITEM_SELECTOR = 'file-tree .ActionList-content';
+const DIFF_HEADER_SELECTOR = '.file-header[data-path], .file-header[data-tagsearch-path], ' +
+                             '[class*="DiffFileHeader-module__diff-file-header--"]';
+const DIFF_HEADER_LINK_SELECTOR = '.file-info a.Link--primary, .file-info a[title], h3 a';
+const FILE_FILTER_OPTION_SELECTOR = 'input.js-diff-file-type-option';
+const DIFF_ITEM_SELECTOR = [PR_FILE_TREE_ITEM_SELECTOR, DIFF_HEADER_SELECTOR, FILE_FILTER_OPTION_SELECTOR].join(', ');
+
+// Breadcrumbs on blob, blame and history pages (page header and sticky file header)
+const BREADCRUMB_SELECTOR = '[data-testid="breadcrumbs"], #repos-sticky-header';
+const BREADCRUMB_FILENAME_SELECTOR = '[data-testid="breadcrumbs-filename"], #file-name-id, #file-name-id-wide';
+
+// "Go to file" finder (legacy /find/ page and the React overlay) and code search results
+const FILE_FINDER_ITEM_SELECTOR = '.tree-browser-result, #file-finder [role="option"], [data-testid="file-finder"] [role="option"]';
+const CODE_SEARCH_RESULT_SELECTOR = '[data-testid="results-list"] a[href*="/blob/"]:not([href*="#L"])';
+const SEARCH_RESULT_SELECTOR = [FILE_FINDER_ITEM_SELECTOR, CODE_SEARCH_RESULT_SELECTOR].join(', ');
+
+// Gist pages (gist.github.com): file headers, the gist list on profiles and editor filename inputs
+const GIST_FILENAME_SELECTOR = '.file-header .gist-blob-name, .gist-snippet-meta strong.css-truncate-target';
+const GIST_FILENAME_INPUT_SELECTOR = 'input.js-gist-filename';
+const GIST_ITEM_SELECTOR = [GIST_FILENAME_SELECTOR, GIST_FILENAME_INPUT_SELECTOR].join(', ');
+
+module.exports = {
+    PR_FILE_TREE_ITEM_SELECTOR,
+    DIFF_HEADER_SELECTOR,
+    DIFF_HEADER_LINK_SELECTOR,
+    FILE_FILTER_OPTION_SELECTOR,
+    DIFF_ITEM_SELECTOR,
+    BREADCRUMB_SELECTOR,
+    BREADCRUMB_FILENAME_SELECTOR,
+    FILE_FINDER_ITEM_SELECTOR,
+    CODE_SEARCH_RESULT_SELECTOR,
+    SEARCH_RESULT_SELECTOR,
+    GIST_FILENAME_SELECTOR,
+    GIST_FILENAME_INPUT_SELECTOR,
+    GIST_ITEM_SELECTOR,
+};
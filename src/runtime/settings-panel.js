@@ -0,0 +1,233 @@
+/**
+ * Settings panel (userscript menu command or Alt+Shift+M)
+ */
+
+const { ICONS, ICON_MAPPINGS } = require('./data');
+const { createIconElement, resetIcons, setIconElement } = require('./dom');
+const { getBundledIconNames } = require('./icon-bundle');
+const { getIcon } = require('./icon-names');
+const { replaceIcons } = require('./replace');
+const { saveSettings } = require('./settings');
+const { state } = require('./state');
+
+/**
+ * Persist settings and re-apply icons with them
+ */
+function applySettings() {
+    saveSettings();
+    resetIcons();
+    replaceIcons();
+}
+
+/**
+ * Inject the settings panel styles (once)
+ * Uses GitHub's Primer CSS variables so the panel follows the active theme
+ */
+function injectSettingsStyles() {
+    if (document.getElementById('material-icons-settings-style')) return;
+
+    const style = document.createElement('style');
+    style.id = 'material-icons-settings-style';
+    style.textContent = [
+        '.material-icons-settings-backdrop { position: fixed; inset: 0; z-index: 1000; display: flex; align-items: flex-start; justify-content: center; padding-top: 10vh; background: rgba(0, 0, 0, 0.4); }',
+        '.material-icons-settings { width: 420px; max-height: 75vh; overflow: auto; padding: 16px; border: 1px solid var(--borderColor-default, #d0d7de); border-radius: 12px; background: var(--bgColor-default, #fff); color: var(--fgColor-default, #1f2328); font-size: 14px; box-shadow: var(--shadow-floating-large, 0 8px 24px rgba(0, 0, 0, 0.2)); }',
+        '.material-icons-settings h2 { margin: 0 0 12px; font-size: 16px; }',
+        '.material-icons-settings h3 { margin: 16px 0 8px; font-size: 14px; }',
+        '.material-icons-settings label { display: block; margin: 6px 0; font-weight: normal; }',
+        '.material-icons-settings img { width: 16px; height: 16px; vertical-align: text-bottom; }',
+        '.material-icons-settings-row { display: flex; gap: 8px; align-items: center; margin: 4px 0; }',
+        '.material-icons-settings-row code { flex: 1; }',
+        '.material-icons-settings input[type="text"], .material-icons-settings select { min-width: 0; flex: 1; padding: 3px 6px; border: 1px solid var(--borderColor-default, #d0d7de); border-radius: 6px; background: var(--bgColor-default, #fff); color: inherit; }',
+        '.material-icons-settings button { padding: 3px 10px; border: 1px solid var(--borderColor-default, #d0d7de); border-radius: 6px; background: var(--bgColor-muted, #f6f8fa); color: inherit; cursor: pointer; }',
+        '.material-icons-settings-footer { display: flex; justify-content: flex-end; margin-top: 16px; }'
+    ].join('\n');
+    document.head.appendChild(style);
+}
+
+/**
+ * Create a small icon preview for the settings panel
+ * Marked as a preview so resetIcons() keeps it when settings are applied
+ */
+function createPreviewIcon(iconName) {
+    if (!getIcon(iconName)) {
+        return document.createElement('span');
+    }
+    const icon = createIconElement(iconName);
+    icon.dataset.materialIconPreview = '';
+    return icon;
+}
+
+/**
+ * Render the list of personal extension overrides
+ */
+function renderOverrides(list) {
+    list.replaceChildren();
+
+    const overrides = Object.entries(state.settings.extensionOverrides).sort(([a], [b]) => a.localeCompare(b));
+    if (overrides.length === 0) {
+        list.textContent = 'No overrides yet.';
+        return;
+    }
+
+    overrides.forEach(([ext, iconName]) => {
+        const row = document.createElement('div');
+        row.className = 'material-icons-settings-row';
+
+        const label = document.createElement('code');
+        label.textContent = '.' + ext + ' → ' + iconName;
+
+        const removeButton = document.createElement('button');
+        removeButton.type = 'button';
+        removeButton.textContent = 'Remove';
+        removeButton.addEventListener('click', () => {
+            delete state.settings.extensionOverrides[ext];
+            renderOverrides(list);
+            applySettings();
+        });
+
+        row.append(createPreviewIcon(iconName), label, removeButton);
+        list.appendChild(row);
+    });
+}
+
+/**
+ * Open the settings panel (from the userscript menu or Alt+Shift+M)
+ */
+function openSettingsPanel() {
+    if (document.querySelector('.material-icons-settings-backdrop')) return;
+    injectSettingsStyles();
+
+    const backdrop = document.createElement('div');
+    backdrop.className = 'material-icons-settings-backdrop';
+
+    const panel = document.createElement('div');
+    panel.className = 'material-icons-settings';
+    panel.setAttribute('role', 'dialog');
+    panel.setAttribute('aria-label', 'Material Icons settings');
+
+    const title = document.createElement('h2');
+    title.textContent = 'Material Icons settings';
+    panel.appendChild(title);
+
+    // Toggles
+    const toggles = [
+        ['fileIcons', 'File icons'],
+        ['folderIcons', 'Folder icons'],
+        ['treeIcons', 'Tree view icons (left sidebar)'],
+        ['defaultFallback', 'Use the default file/folder icon when nothing matches']
+    ];
+    toggles.forEach(([key, text]) => {
+        const label = document.createElement('label');
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.checked = state.settings[key];
+        checkbox.addEventListener('change', () => {
+            state.settings[key] = checkbox.checked;
+            applySettings();
+        });
+        label.append(checkbox, ' ' + text);
+        panel.appendChild(label);
+    });
+
+    // Extension overrides
+    const overridesTitle = document.createElement('h3');
+    overridesTitle.textContent = 'Extension overrides';
+    panel.appendChild(overridesTitle);
+
+    const overridesList = document.createElement('div');
+    panel.appendChild(overridesList);
+    renderOverrides(overridesList);
+
+    const addRow = document.createElement('div');
+    addRow.className = 'material-icons-settings-row';
+
+    const extInput = document.createElement('input');
+    extInput.type = 'text';
+    extInput.placeholder = 'Extension (e.g. inc)';
+
+    // Only offer base icons (light variants are picked automatically)
+    const lightVariants = new Set(Object.values(ICON_MAPPINGS.light));
+    const iconSelect = document.createElement('select');
+    const iconNames = [...Object.keys(ICONS), ...getBundledIconNames()];
+    iconNames.filter(iconName => !lightVariants.has(iconName)).sort().forEach(iconName => {
+        const option = document.createElement('option');
+        option.value = iconName;
+        option.textContent = iconName;
+        iconSelect.appendChild(option);
+    });
+
+    const preview = createPreviewIcon(iconSelect.value);
+    iconSelect.addEventListener('change', () => {
+        setIconElement(preview, iconSelect.value);
+    });
+
+    const addButton = document.createElement('button');
+    addButton.type = 'button';
+    addButton.textContent = 'Add';
+    addButton.addEventListener('click', () => {
+        const ext = extInput.value.trim().replace(/^\./, '').toLowerCase();
+        if (!ext) return;
+        state.settings.extensionOverrides[ext] = iconSelect.value;
+        extInput.value = '';
+        renderOverrides(overridesList);
+        applySettings();
+    });
+
+    addRow.append(extInput, preview, iconSelect, addButton);
+    panel.appendChild(addRow);
+
+    // Footer
+    const footer = document.createElement('div');
+    footer.className = 'material-icons-settings-footer';
+    const closeButton = document.createElement('button');
+    closeButton.type = 'button';
+    closeButton.textContent = 'Close';
+    footer.appendChild(closeButton);
+    panel.appendChild(footer);
+
+    function close() {
+        backdrop.remove();
+        document.removeEventListener('keydown', onKeydown, true);
+    }
+    function onKeydown(event) {
+        if (event.key === 'Escape') close();
+    }
+
+    closeButton.addEventListener('click', close);
+    backdrop.addEventListener('click', event => {
+        if (event.target === backdrop) close();
+    });
+    document.addEventListener('keydown', onKeydown, true);
+
+    backdrop.appendChild(panel);
+    document.body.appendChild(backdrop);
+    extInput.focus();
+}
+
+/**
+ * Register the userscript menu command and the Alt+Shift+M shortcut
+ */
+function registerSettingsEntryPoints() {
+    if (typeof GM_registerMenuCommand === 'function') {
+        GM_registerMenuCommand('Material Icons settings', openSettingsPanel);
+    } else if (typeof GM !== 'undefined' && typeof GM.registerMenuCommand === 'function') {
+        GM.registerMenuCommand('Material Icons settings', openSettingsPanel);
+    }
+
+    document.addEventListener('keydown', event => {
+        // Use the physical key so Option+Shift+M works on macOS keyboard layouts too
+        if (!event.altKey || !event.shiftKey || event.ctrlKey || event.metaKey || event.code !== 'KeyM') return;
+        if (event.target.closest?.('input, textarea, select, [contenteditable="true"]')) return;
+        event.preventDefault();
+        openSettingsPanel();
+    });
+}
+
+module.exports = {
+    applySettings,
+    injectSettingsStyles,
+    createPreviewIcon,
+    renderOverrides,
+    openSettingsPanel,
+    registerSettingsEntryPoints,
+};
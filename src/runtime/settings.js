@@ -0,0 +1,72 @@
+/**
+ * User settings, persisted with userscript storage (or localStorage)
+ */
+
+const { DEFAULT_SETTINGS, state } = require('./state');
+
+const SETTINGS_KEY = 'material-icons-settings';
+
+/**
+ * Read a stored value, preferring userscript storage over localStorage
+ * Supports both the GM_* and the promise-based GM.* APIs
+ */
+async function readStoredValue(key) {
+    if (typeof GM_getValue === 'function') {
+        return GM_getValue(key, null);
+    }
+    if (typeof GM !== 'undefined' && typeof GM.getValue === 'function') {
+        return GM.getValue(key, null);
+    }
+    return localStorage.getItem(key);
+}
+
+/**
+ * Write a stored value, preferring userscript storage over localStorage
+ */
+async function writeStoredValue(key, value) {
+    if (typeof GM_setValue === 'function') {
+        return GM_setValue(key, value);
+    }
+    if (typeof GM !== 'undefined' && typeof GM.setValue === 'function') {
+        return GM.setValue(key, value);
+    }
+    localStorage.setItem(key, value);
+}
+
+/**
+ * Load settings, falling back to the defaults for anything missing or unreadable
+ */
+async function loadSettings() {
+    let stored = null;
+    try {
+        const value = await readStoredValue(SETTINGS_KEY);
+        stored = value ? JSON.parse(value) : null;
+    } catch (error) {
+        console.warn('[Material Icons] Could not load settings:', error);
+    }
+
+    return {
+        ...DEFAULT_SETTINGS,
+        ...stored,
+        extensionOverrides: { ...stored?.extensionOverrides }
+    };
+}
+
+/**
+ * Persist the current settings
+ */
+async function saveSettings() {
+    try {
+        await writeStoredValue(SETTINGS_KEY, JSON.stringify(state.settings));
+    } catch (error) {
+        console.warn('[Material Icons] Could not save settings:', error);
+    }
+}
+
+module.exports = {
+    SETTINGS_KEY,
+    readStoredValue,
+    writeStoredValue,
+    loadSettings,
+    saveSettings,
+};
@@ -0,0 +1,26 @@
+/**
+ * Mutable state shared by the runtime modules
+ * Modules read `state.settings` and `state.useLightIcons` at call time, so
+ * init can replace them after loading settings and detecting the theme.
+ */
+
+const DEFAULT_SETTINGS = {
+    fileIcons: true,
+    folderIcons: true,
+    treeIcons: true,
+    defaultFallback: true,
+    // Personal extension -> icon name overrides (e.g., { "inc": "php" })
+    extensionOverrides: {}
+};
+
+const state = {
+    // User settings (see ./settings)
+    settings: { ...DEFAULT_SETTINGS },
+    // Whether icons should use their light-theme variants (updated on theme changes)
+    useLightIcons: false
+};
+
+module.exports = {
+    DEFAULT_SETTINGS,
+    state,
+};
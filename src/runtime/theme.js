@@ -0,0 +1,63 @@
+/**
+ * Light and dark icon variants, following GitHub's theme
+ */
+
+const { setIconElement } = require('./dom');
+const { getIcon } = require('./icon-names');
+const { state } = require('./state');
+
+/**
+ * Check whether GitHub is currently rendering a light theme
+ * Reads data-color-mode and the matching data-light-theme/data-dark-theme,
+ * following the OS appearance when the mode is "auto"
+ */
+function isLightTheme() {
+    const root = document.documentElement;
+    const mode = root.getAttribute('data-color-mode');
+    let theme;
+
+    if (mode === 'light' || mode === 'dark') {
+        theme = root.getAttribute('data-' + mode + '-theme') || mode;
+    } else {
+        const prefersDark = !!window.matchMedia?.('(prefers-color-scheme: dark)').matches;
+        theme = root.getAttribute(prefersDark ? 'data-dark-theme' : 'data-light-theme') ||
+                (prefersDark ? 'dark' : 'light');
+    }
+
+    // GitHub theme names are "light", "light_high_contrast", "dark_dimmed", etc.
+    return theme.startsWith('light');
+}
+
+/**
+ * Re-resolve every replaced icon when GitHub's theme or the OS appearance changes
+ */
+function refreshThemedIcons() {
+    const lightTheme = isLightTheme();
+    if (lightTheme === state.useLightIcons) return;
+    state.useLightIcons = lightTheme;
+
+    document.querySelectorAll('.material-icon-replacement[data-material-icon]').forEach(icon => {
+        if (getIcon(icon.dataset.materialIcon)) {
+            setIconElement(icon, icon.dataset.materialIcon);
+        }
+    });
+}
+
+/**
+ * Watch for theme changes (GitHub settings or OS appearance when set to "auto")
+ */
+function watchThemeChanges() {
+    const themeObserver = new MutationObserver(refreshThemedIcons);
+    themeObserver.observe(document.documentElement, {
+        attributes: true,
+        attributeFilter: ['data-color-mode', 'data-light-theme', 'data-dark-theme']
+    });
+
+    window.matchMedia?.('(prefers-color-scheme: dark)').addEventListener?.('change', refreshThemedIcons);
+}
+
+module.exports = {
+    isLightTheme,
+    refreshThemedIcons,
+    watchThemeChanges,
+};
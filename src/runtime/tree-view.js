@@ -0,0 +1,90 @@
+/**
+ * Tree view (left sidebar file tree of the code browser)
+ */
+
+const { replaceIcon, setIconElement } = require('./dom');
+const { determineIconName, getIcon } = require('./icon-names');
+
+/**
+ * Replace icon for a tree view item (left sidebar file tree)
+ */
+function replaceIconForTreeItem(item, stats) {
+    // Find the filename span
+    const filenameSpan = item.querySelector('.PRIVATE_TreeView-item-content-text span');
+    if (!filenameSpan) return;
+
+    let name = filenameSpan.textContent.trim();
+    if (!name) return;
+
+    // Find the SVG container
+    const visualContainer = item.querySelector('.PRIVATE_TreeView-item-visual');
+    if (!visualContainer) return;
+
+    // Look for the SVG (may be directly in visualContainer or wrapped in directory-icon div)
+    let svg = visualContainer.querySelector('svg.octicon');
+    if (!svg) return;
+
+    // Commit pages list changed files in this tree too; dim deleted ones
+    replaceTreeIcon(svg, name, stats, isDeletedDiffEntry(item));
+}
+
+/**
+ * Check whether a diff header or file tree entry belongs to a deleted file
+ * Classic headers carry data-file-deleted; React layouts show a "removed" status octicon
+ */
+function isDeletedDiffEntry(element) {
+    return element.getAttribute('data-file-deleted') === 'true' ||
+           !!element.querySelector('svg.octicon-diff-removed, svg.octicon-file-removed');
+}
+
+/**
+ * Replace the octicon of a file tree entry (code browser sidebar or diff page file tree)
+ * Swaps between closed and open folder icons as folders toggle, and dims deleted files
+ */
+function replaceTreeIcon(svg, name, stats, isDeleted = false) {
+    // For open folders, the SVG is wrapped in .PRIVATE_TreeView-directory-icon
+    const svgParent = svg.parentNode;
+
+    // Check if it's a symlink first
+    const isSymlink = svg.classList.contains('octicon-file-symlink-file') ||
+                    svg.classList.contains('octicon-file-symlink-directory');
+
+    // Check if it's a folder by looking at the SVG class
+    const isExpanded = svg.classList.contains('octicon-file-directory-open-fill');
+    const isFolder = isExpanded ||
+                   svg.classList.contains('octicon-file-directory') ||
+                   svg.classList.contains('octicon-file-directory-fill');
+
+    // Get the appropriate icon name and check it was embedded
+    const iconName = determineIconName(name, isSymlink, isFolder, isExpanded);
+    if (!iconName) return;
+
+    if (!getIcon(iconName)) return;
+
+    // Check if we already have a replacement icon in the parent
+    const existingIcon = svgParent.querySelector('.material-icon-replacement');
+
+    if (existingIcon) {
+        // Icon already exists, just make sure the SVG is hidden
+        // (This handles folder toggle where GitHub adds a new SVG)
+        svg.style.visibility = 'hidden';
+        svg.style.position = 'absolute';
+        svg.setAttribute('data-material-icon-hidden', '');
+
+        // Swap between the closed and open variants as the folder toggles
+        if (existingIcon.dataset.materialIcon !== iconName) {
+            setIconElement(existingIcon, iconName);
+        }
+        return; // Don't add another icon
+    }
+
+    // Replace the icon
+    replaceIcon(svg, iconName, svgParent, svg.nextSibling, isDeleted);
+    if (stats) stats.replaced++;
+}
+
+module.exports = {
+    replaceIconForTreeItem,
+    isDeletedDiffEntry,
+    replaceTreeIcon,
+};
@@ -0,0 +1,70 @@
+const { test, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadFixture, closeFixture, iconsIn } = require('./helpers/dom');
+const { processItem, replaceIcons } = require('../src/runtime/replace');
+const { BREADCRUMB_SELECTOR } = require('../src/runtime/selectors');
+
+const BLOB_URL = 'https://github.com/octo/app/blob/main/src/utils/index.ts';
+
+let window;
+
+afterEach(async () => {
+  await closeFixture(window);
+});
+
+test('breadcrumb folders get folder icons and the file name its file icon', () => {
+  window = loadFixture('blob-breadcrumbs.html', { url: BLOB_URL });
+  const { document } = window;
+  replaceIcons();
+
+  // The repository link keeps its plain text
+  assert.deepEqual(iconsIn(document.querySelector('[data-testid="breadcrumbs"]')), ['folder-src', 'folder', 'typescript']);
+  assert.equal(document.querySelector('#file-name-id-wide').firstElementChild.dataset.materialIcon, 'typescript');
+});
+
+test('the sticky file header gets the same icons, skipping the repository segment', () => {
+  window = loadFixture('blob-breadcrumbs.html', { url: BLOB_URL });
+  const { document } = window;
+  replaceIcons();
+
+  assert.deepEqual(iconsIn(document.querySelector('#repos-sticky-header')), ['folder-src', 'folder', 'typescript']);
+});
+
+test('soft navigation to another file updates the icons in place', () => {
+  window = loadFixture('blob-breadcrumbs.html', { url: BLOB_URL });
+  const { document } = window;
+  replaceIcons();
+  const filename = document.querySelector('#file-name-id');
+  const icon = filename.querySelector('.material-icon-replacement');
+
+  // GitHub reuses the header and only swaps the text
+  filename.lastChild.textContent = 'README.md';
+  processItem(document.querySelector('#repos-sticky-header'));
+
+  assert.deepEqual(iconsIn(filename), ['readme']);
+  assert.equal(filename.querySelector('.material-icon-replacement'), icon);
+});
+
+test('on folder pages the last segment is a folder', () => {
+  window = loadFixture('blob-breadcrumbs.html', { url: 'https://github.com/octo/app/tree/main/src/docs' });
+  const { document } = window;
+  document.querySelectorAll('#file-name-id, #file-name-id-wide').forEach(heading => {
+    heading.textContent = 'docs';
+  });
+  replaceIcons();
+
+  assert.deepEqual(iconsIn(document.querySelector('#file-name-id')), ['folder-docs']);
+});
+
+test('reprocessing breadcrumbs does not add icons twice', () => {
+  window = loadFixture('blob-breadcrumbs.html', { url: BLOB_URL });
+  const { document } = window;
+  replaceIcons();
+  const before = iconsIn(document.body);
+
+  replaceIcons();
+  document.querySelectorAll(BREADCRUMB_SELECTOR).forEach(container => processItem(container));
+
+  assert.deepEqual(iconsIn(document.body), before);
+  assert.equal(before.length, 6);
+});
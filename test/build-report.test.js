@@ -0,0 +1,50 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createBuildReport, countReportIssues, closestMatches, findShadowedEntries, printBuildReport } = require('../scripts/build-report');
+
+test('misspelled entries get the closest upstream keys', () => {
+  const keys = ['readme.md', 'package.json', 'package-lock.json', 'composer.json', 'js', 'ts', 'json'];
+
+  assert.deepEqual(closestMatches('READMEE.md', keys), ['readme.md']);
+  assert.deepEqual(closestMatches('pakage.json', keys), ['package.json']);
+  assert.deepEqual(closestMatches('mjs', keys), ['js']);
+  assert.deepEqual(closestMatches('dockerfile', keys), []);
+});
+
+test('patterns tried first shadow the extensions and patterns they always match', () => {
+  const patterns = [
+    { pattern: '*.test.js', iconName: 'test-js' },
+    { pattern: '*.ts', iconName: 'typescript' },
+    { pattern: '?.ts', iconName: 'typescript-short' },
+  ];
+
+  assert.deepEqual(findShadowedEntries({ 'd.ts': 'typescript-def', js: 'javascript', ts: 'typescript' }, patterns), [
+    { type: 'extensions', entry: 'd.ts', icon: 'typescript-def', shadowedBy: '*.ts', shadowedByIcon: 'typescript' },
+    { type: 'extensions', entry: 'ts', icon: 'typescript', shadowedBy: '*.ts', shadowedByIcon: 'typescript' },
+    { type: 'patterns', entry: '?.ts', icon: 'typescript-short', shadowedBy: '*.ts', shadowedByIcon: 'typescript' },
+  ]);
+});
+
+test('the report prints one row per issue', () => {
+  const report = createBuildReport();
+  report.unmatched.push({ type: 'filenames', entry: 'READMEE.md', reason: 'unmapped', suggestions: ['readme.md'] });
+  report.unmatched.push({ type: 'folders', entry: 'docs', reason: 'missing-icon', icon: 'folder-docs' });
+  report.manualOverrides.push({ type: 'extensions', entry: 'yml', icon: 'yaml', upstreamIcon: 'yml' });
+
+  const lines = [];
+  const log = console.log;
+  console.log = line => lines.push(line);
+  try {
+    printBuildReport(report);
+    printBuildReport(createBuildReport());
+  } finally {
+    console.log = log;
+  }
+
+  assert.equal(countReportIssues(report), 3);
+  assert.equal(lines[0], '\nBuild report (3 issues):');
+  assert.match(lines[2], /Unmatched\s+filename\s+READMEE\.md\s+no upstream mapping, did you mean readme\.md\?/);
+  assert.match(lines[3], /Unmatched\s+folder\s+docs\s+icon "folder-docs" is missing/);
+  assert.match(lines[4], /Manual override\s+extension\s+yml\s+→ yaml instead of upstream's yml/);
+  assert.match(lines[5], /✓ Report/);
+});
@@ -0,0 +1,53 @@
+const { test, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { Window } = require('happy-dom');
+const { generateRuntime } = require('../scripts/build');
+const { TEST_MAPPINGS, iconsIn, fileTableRow } = require('./helpers/dom');
+
+const UPSTREAM = { commit: null, date: null, version: null, label: null };
+const ICONS = {
+  'folder-src': 'data:image/svg+xml;base64,Zm9sZGVyLXNyYw==',
+  readme: 'data:image/svg+xml;base64,cmVhZG1l',
+  'typescript-def': 'data:image/svg+xml;base64,dHlwZXNjcmlwdC1kZWY=',
+  file: 'data:image/svg+xml;base64,ZmlsZQ==',
+  folder: 'data:image/svg+xml;base64,Zm9sZGVy',
+};
+
+let window;
+
+afterEach(async () => {
+  await window.happyDOM.close();
+});
+
+/**
+ * Run a bundled runtime in a fresh window showing the repository file table
+ * Resolves once the runtime's startup timers and first pass have finished
+ */
+async function runBundle(runtime) {
+  window = new Window({ url: 'https://github.com/octo/app/tree/main/packages' });
+  window.document.head.innerHTML = '<title>octo/app</title>';
+  window.document.body.innerHTML = fs.readFileSync(path.join(__dirname, 'fixtures', 'repo-file-table.html'), 'utf8');
+  window.eval(runtime);
+  await window.happyDOM.waitUntilComplete();
+  return window.document;
+}
+
+test('the bundled runtime replaces fixture icons with the embedded data', async () => {
+  const document = await runBundle(generateRuntime(ICONS, TEST_MAPPINGS, UPSTREAM));
+
+  assert.deepEqual(iconsIn(fileTableRow(document, 'src')), ['folder-src']);
+  assert.deepEqual(iconsIn(fileTableRow(document, 'README.md')), ['readme']);
+  assert.deepEqual(iconsIn(fileTableRow(document, 'index.d.ts')), ['typescript-def']);
+  assert.equal(fileTableRow(document, 'README.md').querySelector('.material-icon-replacement').getAttribute('src'), ICONS.readme);
+});
+
+test('a stylesheet bundle injects its stylesheet and gives rows the icon class', async () => {
+  const document = await runBundle(generateRuntime(ICONS, TEST_MAPPINGS, UPSTREAM, { rendering: 'stylesheet' }));
+
+  const icon = fileTableRow(document, 'README.md').querySelector('.material-icon-replacement');
+  assert.equal(icon.dataset.materialIcon, 'readme');
+  assert.ok(icon.classList.contains('material-icon--readme'));
+  assert.ok(document.querySelector('style').textContent.includes(`.material-icon--readme{background-image:url("${ICONS.readme}")}`));
+});
@@ -0,0 +1,58 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { recolorSvg, collectCloneIcons } = require('../scripts/clone-icons');
+const { resolveMaterialColor } = require('../scripts/material-palette');
+
+const BASE_SVG = '<svg viewBox="0 0 16 16">' +
+  '<path fill="#00acc1" d="M0 0h8v8H0z"/>' +
+  '<path style="fill:#4dd0e1" d="M8 8h8v8H8z"/>' +
+  '<path fill="#00ACC1" d="M8 0h8v8H8z"/>' +
+  '<path data-mit-no-recolor="true" fill="#ffffff" d="M0 8h8v8H0z"/>' +
+  '</svg>';
+
+const fillsOf = svg => [...svg.matchAll(/fill(?:="|:)(#[0-9a-f]+)/gi)].map(match => match[1]);
+
+test('palette names resolve to hex colors', () => {
+  assert.equal(resolveMaterialColor('pink-400'), '#ec407a');
+  assert.equal(resolveMaterialColor('light-green-A200'), '#b2ff59');
+  assert.equal(resolveMaterialColor('#ABC'), '#abc');
+  assert.equal(resolveMaterialColor('pink-1000'), null);
+});
+
+test('the dominant color becomes the clone color and shading keeps its lightness', () => {
+  const recolored = recolorSvg(BASE_SVG, resolveMaterialColor('pink-400'));
+
+  // The lighter accent stays lighter, in the clone's hue; marked elements keep their color
+  assert.deepEqual(fillsOf(recolored), ['#ec407a', '#f6a3bf', '#ec407a', '#ffffff']);
+  assert.equal(recolorSvg('<svg><path d="M0 0"/></svg>', '#ec407a'), '<svg><path d="M0 0"/></svg>');
+});
+
+test('the lightColor variant is recolored from the same base with its own color', () => {
+  const light = recolorSvg(BASE_SVG, resolveMaterialColor('pink-600'));
+
+  assert.deepEqual(fillsOf(light).slice(0, 3), ['#d81b60', '#ed739f', '#d81b60']);
+});
+
+test('clones get light and open variants from their base', () => {
+  const model = {
+    fileIcons: {
+      icons: [
+        { name: 'go_mod', clone: { base: 'go', color: 'pink-400', lightColor: 'pink-600' } },
+        { name: 'unknown', clone: { base: 'go', color: 'not-a-color' } },
+        { name: 'go' },
+      ],
+    },
+    folderThemes: [{
+      icons: [{ name: 'folder-app', clone: { base: 'folder-src', color: 'blue-400', lightColor: 'blue-600' } }],
+    }],
+  };
+
+  assert.deepEqual(collectCloneIcons(model), {
+    'go_mod': { bases: ['go'], color: '#ec407a' },
+    'go_mod_light': { bases: ['go_light', 'go'], color: '#d81b60' },
+    'folder-app': { bases: ['folder-src'], color: '#42a5f5' },
+    'folder-app-open': { bases: ['folder-src-open'], color: '#42a5f5' },
+    'folder-app_light': { bases: ['folder-src_light', 'folder-src'], color: '#1e88e5' },
+    'folder-app-open_light': { bases: ['folder-src-open_light', 'folder-src-open'], color: '#1e88e5' },
+  });
+});
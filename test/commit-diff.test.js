@@ -0,0 +1,77 @@
+const { test, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadFixture, closeFixture, iconsIn, treeItem } = require('./helpers/dom');
+const { processItem, replaceIcons } = require('../src/runtime/replace');
+const { DIFF_HEADER_SELECTOR } = require('../src/runtime/selectors');
+
+const COMMIT_URL = 'https://github.com/octo/app/commit/0a1b2c3d';
+const COMPARE_URL = 'https://github.com/octo/app/compare/v1.0.0...v1.1.0';
+
+let window;
+
+afterEach(async () => {
+  await closeFixture(window);
+});
+
+/**
+ * Icon names of every diff header, in page order
+ */
+function headerIcons(document) {
+  return [...document.querySelectorAll(DIFF_HEADER_SELECTOR)].map(iconsIn);
+}
+
+test('the changed files tree gets icons, dimmed for deleted files', () => {
+  window = loadFixture('commit-diff.html', { url: COMMIT_URL });
+  const { document } = window;
+  replaceIcons();
+
+  assert.deepEqual(iconsIn(treeItem(document, 'lib')), ['folder-open']);
+  assert.deepEqual(iconsIn(treeItem(document, 'api.ts')), ['typescript']);
+  assert.deepEqual(iconsIn(treeItem(document, 'legacy.js')), ['javascript']);
+  assert.equal(treeItem(document, 'legacy.js').querySelector('.material-icon-replacement').style.filter, 'opacity(0.5)');
+  assert.equal(treeItem(document, 'api.ts').querySelector('.material-icon-replacement').style.filter, '');
+});
+
+test('React diff headers get icons, dimmed when the file was removed', () => {
+  window = loadFixture('commit-diff.html', { url: COMMIT_URL });
+  const { document } = window;
+  replaceIcons();
+
+  assert.deepEqual(headerIcons(document), [['typescript'], ['javascript']]);
+  const [, removed] = document.querySelectorAll(DIFF_HEADER_SELECTOR);
+  assert.equal(removed.querySelector('.material-icon-replacement').style.filter, 'opacity(0.5)');
+});
+
+test('compare view headers use the new name of renamed files', () => {
+  window = loadFixture('compare-diff.html', { url: COMPARE_URL });
+  const { document } = window;
+  replaceIcons();
+
+  assert.deepEqual(headerIcons(document), [['nodejs'], ['typescript'], ['changelog']]);
+  const deleted = document.querySelector('.file-header[data-file-deleted="true"]');
+  assert.equal(deleted.querySelector('.material-icon-replacement').style.filter, 'opacity(0.5)');
+});
+
+test('reprocessing a commit page does not add icons twice', () => {
+  window = loadFixture('commit-diff.html', { url: COMMIT_URL });
+  const { document } = window;
+  replaceIcons();
+  const before = iconsIn(document.body);
+
+  replaceIcons();
+  document.querySelectorAll(`${DIFF_HEADER_SELECTOR}, .PRIVATE_TreeView-item-content`).forEach(item => processItem(item));
+
+  assert.deepEqual(iconsIn(document.body), before);
+  assert.equal(before.length, 5);
+});
+
+test('reprocessing a compare view does not add icons twice', () => {
+  window = loadFixture('compare-diff.html', { url: COMPARE_URL });
+  const { document } = window;
+  replaceIcons();
+
+  replaceIcons();
+  document.querySelectorAll(DIFF_HEADER_SELECTOR).forEach(header => processItem(header));
+
+  assert.deepEqual(headerIcons(document), [['nodejs'], ['typescript'], ['changelog']]);
+});
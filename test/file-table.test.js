@@ -0,0 +1,79 @@
+const { test, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadFixture, closeFixture, iconsIn, fileTableRow } = require('./helpers/dom');
+const { processItem, replaceIcons } = require('../src/runtime/replace');
+
+let window;
+
+afterEach(async () => {
+  await closeFixture(window);
+});
+
+test('file table rows get the icon for their name', () => {
+  window = loadFixture('repo-file-table.html');
+  const { document } = window;
+  replaceIcons();
+
+  assert.deepEqual(iconsIn(fileTableRow(document, 'src')), ['folder-src']);
+  assert.deepEqual(iconsIn(fileTableRow(document, 'README.md')), ['readme']);
+  assert.deepEqual(iconsIn(fileTableRow(document, 'index.d.ts')), ['typescript-def']);
+  assert.deepEqual(iconsIn(fileTableRow(document, 'Makefile.unknown')), ['file']);
+});
+
+test('collapsed paths use the first folder name', () => {
+  window = loadFixture('repo-file-table.html');
+  replaceIcons();
+
+  assert.deepEqual(iconsIn(fileTableRow(window.document, 'docs/guides')), ['folder-docs']);
+});
+
+test('symlink rows get the symlink icon', () => {
+  window = loadFixture('repo-file-table.html');
+  const { document } = window;
+  replaceIcons();
+
+  assert.deepEqual(iconsIn(fileTableRow(document, 'shared')), ['folder-symlink']);
+  assert.deepEqual(iconsIn(fileTableRow(document, 'CHANGELOG.md')), ['folder-symlink']);
+});
+
+test('the up-tree row gets the default folder icon', () => {
+  window = loadFixture('repo-file-table.html');
+  const { document } = window;
+  replaceIcons();
+
+  const upTree = document.querySelector('a[data-testid="up-tree"]');
+  assert.deepEqual(iconsIn(upTree), ['folder']);
+  assert.ok(upTree.querySelector('svg.octicon').hasAttribute('data-material-icon-hidden'));
+});
+
+test('only the large-screen name cell is replaced, and its octicon is hidden', () => {
+  window = loadFixture('repo-file-table.html');
+  const row = fileTableRow(window.document, 'src');
+  replaceIcons();
+
+  assert.deepEqual(iconsIn(row.querySelector('td.react-directory-row-name-cell-small-screen')), []);
+  const svg = row.querySelector('td.react-directory-row-name-cell-large-screen svg.octicon');
+  assert.equal(svg.style.visibility, 'hidden');
+  assert.equal(svg.nextElementSibling.dataset.materialIcon, 'folder-src');
+});
+
+test('reprocessing rows does not add icons twice', () => {
+  window = loadFixture('repo-file-table.html');
+  const { document } = window;
+  replaceIcons();
+  const before = [...document.querySelectorAll('tr.react-directory-row')].map(iconsIn);
+
+  replaceIcons();
+  document.querySelectorAll('tr.react-directory-row').forEach(row => processItem(row));
+
+  assert.deepEqual([...document.querySelectorAll('tr.react-directory-row')].map(iconsIn), before);
+  before.forEach(icons => assert.equal(icons.length, 1));
+});
+
+test('turning off the default fallback keeps GitHub icons for unmatched files', () => {
+  window = loadFixture('repo-file-table.html', { settings: { defaultFallback: false } });
+  replaceIcons();
+
+  assert.deepEqual(iconsIn(fileTableRow(window.document, 'Makefile.unknown')), []);
+  assert.deepEqual(iconsIn(window.document.querySelector('a[data-testid="up-tree"]')), []);
+});
@@ -0,0 +1,79 @@
+const { test, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadFixture, closeFixture, iconsIn } = require('./helpers/dom');
+const { processItem, replaceIcons } = require('../src/runtime/replace');
+const { GIST_ITEM_SELECTOR } = require('../src/runtime/selectors');
+
+const GIST_URL = 'https://gist.github.com/octo/0a1b2c';
+
+let window;
+
+afterEach(async () => {
+  await closeFixture(window);
+});
+
+test('gist file headers replace their octicon', () => {
+  window = loadFixture('gist.html', { url: GIST_URL });
+  const { document } = window;
+  replaceIcons();
+
+  assert.deepEqual(iconsIn(document.querySelector('#file-config-json')), ['json']);
+  assert.deepEqual(iconsIn(document.querySelector('#file-readme-md')), ['readme']);
+  assert.ok(document.querySelector('#file-config-json svg.octicon').hasAttribute('data-material-icon-hidden'));
+});
+
+test('the profile gist list gets a leading icon', () => {
+  window = loadFixture('gist.html', { url: 'https://gist.github.com/octo' });
+  const { document } = window;
+  replaceIcons();
+
+  const name = document.querySelector('.gist-snippet-meta strong.css-truncate-target');
+  assert.deepEqual(iconsIn(document.querySelector('.gist-snippet')), ['markdown']);
+  assert.equal(name.firstElementChild.dataset.materialIcon, 'markdown');
+});
+
+test('the editor filename icon follows what is typed', () => {
+  window = loadFixture('gist.html', { url: `${GIST_URL}/edit` });
+  const { document } = window;
+  replaceIcons();
+  const input = document.querySelector('input.js-gist-filename');
+  assert.equal(input.previousElementSibling.dataset.materialIcon, 'javascript');
+  const icon = input.previousElementSibling;
+
+  input.value = 'package.json';
+  processItem(input);
+  assert.equal(input.previousElementSibling, icon);
+  assert.equal(icon.dataset.materialIcon, 'nodejs');
+});
+
+test('an editor filename without an icon removes it', () => {
+  window = loadFixture('gist.html', { url: `${GIST_URL}/edit`, settings: { defaultFallback: false } });
+  const { document } = window;
+  replaceIcons();
+  const input = document.querySelector('input.js-gist-filename');
+
+  input.value = 'Makefile.unknown';
+  processItem(input);
+
+  assert.deepEqual(iconsIn(input.parentNode), []);
+});
+
+test('gist markup outside gist.github.com is left alone', () => {
+  window = loadFixture('gist.html', { url: 'https://github.com/octo/app' });
+  replaceIcons();
+
+  assert.deepEqual(iconsIn(window.document.body), []);
+});
+
+test('reprocessing gist pages does not add icons twice', () => {
+  window = loadFixture('gist.html', { url: GIST_URL });
+  const { document } = window;
+  replaceIcons();
+  const before = iconsIn(document.body);
+
+  replaceIcons();
+  document.querySelectorAll(GIST_ITEM_SELECTOR).forEach(item => processItem(item));
+
+  assert.deepEqual(iconsIn(document.body), before);
+  assert.deepEqual(before, ['json', 'readme', 'markdown', 'javascript']);
+});
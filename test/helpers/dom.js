@@ -0,0 +1,122 @@
+/**
+ * Load saved GitHub markup into a happy-dom window and run the runtime against it
+ *
+ * The runtime modules use the browser globals (document, location, ...) when
+ * their functions run, so each fixture installs its window's globals and the
+ * test mappings below before calling into src/runtime/.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { Window } = require('happy-dom');
+const { ICONS, RENDERING, ICON_MAPPINGS } = require('../../src/runtime/data');
+const { DEFAULT_SETTINGS, state } = require('../../src/runtime/state');
+
+const FIXTURES_DIR = path.join(__dirname, '..', 'fixtures');
+const BROWSER_GLOBALS = ['window', 'document', 'location', 'MutationObserver', 'localStorage'];
+
+// A small slice of the built mappings, enough to tell the matching rules apart
+const TEST_MAPPINGS = {
+  extensions: { js: 'javascript', json: 'json', md: 'markdown', ts: 'typescript', 'd.ts': 'typescript-def' },
+  filenames: { 'readme.md': 'readme', 'package.json': 'nodejs', 'changelog.md': 'changelog' },
+  patterns: [],
+  folders: { src: 'folder-src', docs: 'folder-docs' },
+  foldersExpanded: { src: 'folder-src-open', docs: 'folder-docs-open' },
+  light: {},
+  folderMatching: { underscorePrefixes: true, plurals: false },
+  defaultFile: 'file',
+  defaultFolder: 'folder',
+  defaultFolderExpanded: 'folder-open',
+  symlink: 'folder-symlink',
+};
+
+/**
+ * Every icon name used by the test mappings
+ */
+function testIconNames() {
+  const { extensions, filenames, folders, foldersExpanded, defaultFile, defaultFolder, defaultFolderExpanded, symlink } = TEST_MAPPINGS;
+  return [
+    ...Object.values(extensions),
+    ...Object.values(filenames),
+    ...Object.values(folders),
+    ...Object.values(foldersExpanded),
+    defaultFile,
+    defaultFolder,
+    defaultFolderExpanded,
+    symlink,
+  ];
+}
+
+/**
+ * Load a fixture into a fresh window, install its globals and reset the runtime state
+ * `rendering` is 'img' or 'stylesheet' (icons are then CSS classes)
+ * Returns the window; call close() on it when done
+ */
+function loadFixture(name, { url = 'https://github.com/octo/app/tree/main/packages', settings = {}, rendering = 'img' } = {}) {
+  const window = new Window({ url });
+  window.document.body.innerHTML = fs.readFileSync(path.join(FIXTURES_DIR, name), 'utf8');
+
+  BROWSER_GLOBALS.forEach(key => {
+    global[key] = window[key];
+  });
+
+  Object.keys(ICONS).forEach(key => delete ICONS[key]);
+  testIconNames().forEach(iconName => {
+    ICONS[iconName] = rendering === 'stylesheet'
+      ? `material-icon--${iconName}`
+      : `data:image/svg+xml;base64,${Buffer.from(iconName).toString('base64')}`;
+  });
+  RENDERING.mode = rendering;
+  RENDERING.stylesheet = rendering === 'stylesheet' ? '.material-icon-replacement{display:inline-block}' : '';
+  Object.assign(ICON_MAPPINGS, TEST_MAPPINGS);
+
+  state.settings = { ...DEFAULT_SETTINGS, ...settings, extensionOverrides: { ...settings.extensionOverrides } };
+  state.useLightIcons = false;
+
+  return window;
+}
+
+/**
+ * Remove the globals installed by loadFixture and close the window
+ */
+async function closeFixture(window) {
+  BROWSER_GLOBALS.forEach(key => {
+    delete global[key];
+  });
+  await window.happyDOM.close();
+}
+
+/**
+ * Icon names shown in an element (in document order)
+ */
+function iconsIn(element) {
+  return [...element.querySelectorAll('.material-icon-replacement')].map(icon => icon.dataset.materialIcon);
+}
+
+/**
+ * The repository file table row whose (large-screen) name link reads `name`
+ */
+function fileTableRow(document, name) {
+  return [...document.querySelectorAll('tr.react-directory-row')].find(row => {
+    const link = row.querySelector('td.react-directory-row-name-cell-large-screen a[href*="/blob/"], td.react-directory-row-name-cell-large-screen a[href*="/tree/"]');
+    return link?.textContent.trim() === name;
+  });
+}
+
+/**
+ * The tree view item content whose label reads `name`
+ */
+function treeItem(document, name) {
+  return [...document.querySelectorAll('.PRIVATE_TreeView-item-content')].find(item =>
+    item.querySelector('.PRIVATE_TreeView-item-content-text span')?.textContent.trim() === name
+  );
+}
+
+module.exports = {
+  TEST_MAPPINGS,
+  loadFixture,
+  closeFixture,
+  iconsIn,
+  fileTableRow,
+  treeItem,
+};
@@ -0,0 +1,55 @@
+const { test, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const zlib = require('zlib');
+const { loadFixture, closeFixture, iconsIn, fileTableRow } = require('./helpers/dom');
+const { ICONS, ICON_BUNDLE } = require('../src/runtime/data');
+const { loadIconBundle, getBundledIconNames } = require('../src/runtime/icon-bundle');
+const { replaceIcons } = require('../src/runtime/replace');
+
+const README_SVG = '<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 16 16"><path d="M2 2h12v12H2z" fill="#42a5f5"/></svg>';
+
+let window;
+
+afterEach(async () => {
+  ICON_BUNDLE.data = '';
+  await loadIconBundle();
+  await closeFixture(window);
+});
+
+/**
+ * Move icons from ICONS into a compressed payload, like an all icons build
+ */
+function bundleIcons(svgs) {
+  Object.keys(svgs).forEach(iconName => delete ICONS[iconName]);
+  ICON_BUNDLE.data = zlib.deflateSync(JSON.stringify(svgs)).toString('base64');
+}
+
+test('bundled icons are decompressed and cached on first use', async () => {
+  window = loadFixture('repo-file-table.html');
+  bundleIcons({ readme: README_SVG, typescript: README_SVG });
+  await loadIconBundle();
+  assert.deepEqual(getBundledIconNames().sort(), ['readme', 'typescript']);
+
+  replaceIcons();
+
+  const icon = fileTableRow(window.document, 'README.md').querySelector('.material-icon-replacement');
+  assert.equal(icon.dataset.materialIcon, 'readme');
+  assert.equal(decodeURIComponent(icon.getAttribute('src').slice('data:image/svg+xml,'.length)), README_SVG.replace(/"/g, "'"));
+  assert.equal(ICONS.readme, icon.getAttribute('src'));
+  assert.deepEqual(getBundledIconNames(), ['typescript']);
+});
+
+test('a payload that cannot be decompressed leaves the embedded icons working', async t => {
+  window = loadFixture('repo-file-table.html');
+  bundleIcons({ readme: README_SVG });
+  ICON_BUNDLE.data = Buffer.from('not deflated').toString('base64');
+  const consoleError = t.mock.method(console, 'error', () => {});
+  await loadIconBundle();
+
+  replaceIcons();
+
+  assert.equal(consoleError.mock.callCount(), 1);
+  assert.deepEqual(iconsIn(fileTableRow(window.document, 'README.md')), []);
+  assert.deepEqual(iconsIn(fileTableRow(window.document, 'src')), ['folder-src']);
+  assert.deepEqual(iconsIn(fileTableRow(window.document, 'Makefile.unknown')), ['file']);
+});
@@ -0,0 +1,86 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { buildIconModel, toFileIconTables, toFolderIconTables, toLanguageTable, applyIconPacks } = require('../scripts/icon-model');
+
+const fileIconsSource = `
+  export const fileIcons: FileIcons = {
+    defaultIcon: { name: 'file' },
+    icons: [
+      { name: 'javascript', fileExtensions: ['js', 'CJS'] },
+      { name: 'vite', patterns: { vite: FileNamePattern.Ecmascript } },
+      { name: 'go_mod', fileNames: ['go.mod'], clone: { base: 'go', color: 'pink-400', lightColor: 'pink-600' } },
+      { name: 'readme', fileNames: ['README.md'], light: true },
+      { name: 'old', fileExtensions: ['old'], disabled: true },
+    ].map((icon) => icon),
+  };
+`;
+
+const folderIconsSource = `
+  export const folderIcons: FolderTheme[] = [
+    {
+      name: 'specific',
+      defaultIcon: { name: 'folder' },
+      icons: [
+        { name: 'folder-src', folderNames: ['src', 'source'] },
+        { name: 'folder-components', folderNames: ['components'] },
+        { name: 'folder-react-components', folderNames: ['components'], enabledFor: [IconPack.React] },
+        { name: 'folder-github', folderNames: ['.github'], rootFolderNames: ['.github'], light: true },
+      ],
+    },
+  ];
+`;
+
+const languageIconsSource = `
+  export const languageIcons: LanguageIcon[] = [
+    { icon: { name: 'go' }, name: 'go', ids: ['go', 'go.mod'] },
+  ];
+`;
+
+function buildModel() {
+  return buildIconModel({ fileIconsSource, folderIconsSource, languageIconsSource });
+}
+
+test('definitions keep enabledFor, clone, light and disabled', () => {
+  const model = buildModel();
+  const [javascript, vite, goMod, , old] = model.fileIcons.icons;
+
+  assert.deepEqual(javascript.fileExtensions, ['js', 'CJS']);
+  assert.deepEqual(vite.patterns, { vite: 'ecmascript' });
+  assert.deepEqual(goMod.clone, { base: 'go', color: 'pink-400', lightColor: 'pink-600' });
+  assert.equal(old.disabled, true);
+  assert.deepEqual(model.folderThemes[0].icons[2].enabledFor, ['react']);
+  assert.equal(model.folderThemes[0].icons[0].folderNamesExpanded, 'folder-src-open');
+  // The icons list is written as `[...].map(...)`, so it is read from the literal with a warning
+  assert.equal(model.warnings.length, 1);
+  assert.match(model.warnings[0], /fileIcons\.ts icons: read "\[.*" as the literal it starts with/);
+});
+
+test('file tables lowercase keys, expand patterns and skip disabled icons', () => {
+  const tables = toFileIconTables(buildModel());
+
+  assert.equal(tables.fileExtensions.cjs, 'javascript');
+  assert.equal(tables.fileExtensions.old, undefined);
+  assert.equal(tables.fileNames['vite.js'], 'vite');
+  assert.equal(tables.fileNames['vite.mts'], 'vite');
+  assert.equal(tables.fileNames['readme.md'], 'readme');
+  assert.equal(tables.light.fileNames['readme.md'], 'readme_light');
+  // Clones with lightColor get a generated light variant
+  assert.equal(tables.light.fileNames['go.mod'], 'go_mod_light');
+  assert.deepEqual(toLanguageTable(buildModel()), { go: 'go', 'go.mod': 'go' });
+});
+
+test('folder tables have open variants and pack overlays', () => {
+  const tables = toFolderIconTables(buildModel());
+
+  assert.equal(tables.folderNames.components, 'folder-components');
+  assert.equal(tables.folderNamesExpanded.source, 'folder-src-open');
+  assert.equal(tables.rootFolderNamesExpanded['.github'], 'folder-github-open');
+  assert.equal(tables.light.folderNamesExpanded['.github'], 'folder-github-open_light');
+  assert.deepEqual(Object.keys(tables.packs), ['react']);
+
+  const react = applyIconPacks(tables, ['react']);
+  assert.equal(react.folderNames.components, 'folder-react-components');
+  assert.equal(react.folderNamesExpanded.components, 'folder-react-components-open');
+  assert.equal(react.packs, undefined);
+  assert.equal(applyIconPacks(tables, []).folderNames.components, 'folder-components');
+});
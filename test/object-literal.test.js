@@ -0,0 +1,101 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { tokenize, parseModule } = require('../scripts/object-literal');
+
+test('the tokenizer skips comments and reads strings, templates and numbers', () => {
+  const tokens = tokenize("// note\nconst a = /* inline */ ['x\\'y', `plain`, `${b}c`, 1_000];");
+
+  assert.deepEqual(
+    tokens.map(({ type, value }) => [type, value]),
+    [
+      ['identifier', 'const'], ['identifier', 'a'], ['punct', '='], ['punct', '['],
+      ['string', "x'y"], ['punct', ','], ['string', 'plain'], ['punct', ','],
+      ['template', '`${b}c`'], ['punct', ','], ['number', 1000], ['punct', ']'], ['punct', ';'],
+    ]
+  );
+  assert.equal(tokens[4].line, 2);
+  assert.throws(() => tokenize("const a = 'open"), /Unterminated string at line 1/);
+});
+
+test('hex and unicode escapes are decoded in strings and templates', () => {
+  const tokens = tokenize("['caf\\u00e9', '\\x41\\u{1F600}', `\\u00e9\\t`, 'a\\'b']");
+
+  assert.deepEqual(
+    tokens.filter(({ type }) => type === 'string').map(({ value }) => value),
+    ['café', 'A😀', 'é\t', "a'b"]
+  );
+  assert.throws(() => tokenize("'\\u00g9'"), /Invalid escape sequence at line 1/);
+  assert.throws(() => tokenize("'\\x4'"), /Invalid escape sequence/);
+  assert.throws(() => tokenize("'\\u{110000}'"), /Invalid escape sequence/);
+});
+
+test('nested literals, spreads, enums and type suffixes resolve to plain data', () => {
+  const { constants, enums, warnings } = parseModule(`
+    import { IconPack } from '../models';
+
+    export enum FileNamePattern {
+      Ecmascript = 'ecmascript',
+      Yaml = 'yaml',
+    }
+
+    const shared = ['shared.txt'];
+
+    export const fileIcons: FileIcons = {
+      defaultIcon: { name: 'file' },
+      icons: [
+        {
+          name: 'git', // trailing comment
+          fileNames: [...shared, '.gitignore',],
+          patterns: { vite: FileNamePattern.Ecmascript },
+        },
+        { name: 'react', fileExtensions: ['jsx'], enabledFor: [IconPack.React] },
+        { name: 'go_mod', clone: { base: 'go', color: 'pink-400', lightColor: 'pink-600' } },
+      ],
+    } as const satisfies FileIcons;
+  `);
+
+  assert.deepEqual(warnings, []);
+  assert.deepEqual(enums.FileNamePattern, { Ecmascript: 'ecmascript', Yaml: 'yaml' });
+  assert.deepEqual(constants.fileIcons.icons[0], {
+    name: 'git',
+    fileNames: ['shared.txt', '.gitignore'],
+    patterns: { vite: 'ecmascript' },
+  });
+  assert.deepEqual(constants.fileIcons.icons[1].enabledFor, [{ ref: 'IconPack.React' }]);
+  assert.deepEqual(constants.fileIcons.icons[2].clone, { base: 'go', color: 'pink-400', lightColor: 'pink-600' });
+});
+
+test('values that continue as an expression are kept as source with their literal', () => {
+  const { constants, warnings } = parseModule(`
+    export const folderIcons = [{
+      name: 'specific',
+      icons: [{ name: 'folder-src', folderNames: ['src'] }].map((icon) => icon),
+      label: isDark ? 'dark' : 'light',
+      title: \`folder\`,
+      suffix: 'a' + name,
+    }];
+  `);
+
+  const theme = constants.folderIcons[0];
+  assert.deepEqual(warnings, []);
+  assert.deepEqual(theme.icons, {
+    expression: "[{ name: 'folder-src', folderNames: ['src'] }].map((icon) => icon)",
+    literal: [{ name: 'folder-src', folderNames: ['src'] }],
+  });
+  assert.equal(theme.label.expression, "isDark ? 'dark' : 'light'");
+  assert.equal(theme.title, 'folder');
+  assert.equal(theme.suffix.expression, "'a' + name");
+});
+
+test('unreadable entries are skipped with a warning instead of failing the file', () => {
+  const { constants, warnings } = parseModule(`
+    export const languageIcons = [
+      { name: 'go', ids: ['go' 'gomod'] },
+      { name: 'rust', ids: ['rust'] },
+    ];
+  `);
+
+  assert.deepEqual(constants.languageIcons, [{ name: 'go', ids: ['go'] }, { name: 'rust', ids: ['rust'] }]);
+  assert.equal(warnings.length, 1);
+  assert.match(warnings[0], /^Skipped an entry at line 3 \(Unexpected "gomod" after an item/);
+});
@@ -0,0 +1,29 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { resolvePatternIcon } = require('../scripts/patterns');
+
+const fileIcons = {
+  fileExtensions: { go: 'go', 'd.ts': 'typescript-def', toml: 'toml' },
+  fileNames: { 'tsconfig.app.json': 'tsconfig', 'tsconfig.lib.json': 'tsconfig', '.stylelintrc': 'stylelint' },
+  light: {
+    fileExtensions: { toml: 'toml_light' },
+    fileNames: { '.stylelintrc': 'stylelint_light' },
+  },
+};
+
+test('pattern strings use the upstream extension or the most common matching icon', () => {
+  assert.deepEqual(resolvePatternIcon('*.d.ts', fileIcons), { pattern: '*.d.ts', iconName: 'typescript-def', lightIconName: null });
+  assert.deepEqual(resolvePatternIcon('*.TOML', fileIcons), { pattern: '*.TOML', iconName: 'toml', lightIconName: 'toml_light' });
+  assert.deepEqual(resolvePatternIcon('tsconfig.*.json', fileIcons), { pattern: 'tsconfig.*.json', iconName: 'tsconfig', lightIconName: null });
+  assert.equal(resolvePatternIcon('*.unknown', fileIcons).iconName, null);
+});
+
+test('explicit icons get their light variant from any upstream key using them', () => {
+  assert.deepEqual(
+    resolvePatternIcon({ pattern: '*.toml.dist', icon: 'toml' }, fileIcons),
+    { pattern: '*.toml.dist', iconName: 'toml', lightIconName: 'toml_light' }
+  );
+  assert.equal(resolvePatternIcon({ pattern: '.stylelintrc.*', icon: 'stylelint' }, fileIcons).lightIconName, 'stylelint_light');
+  assert.equal(resolvePatternIcon({ pattern: '*_test.go', icon: 'go' }, fileIcons).lightIconName, null);
+  assert.deepEqual(resolvePatternIcon({ pattern: '*.x' }, fileIcons), { pattern: '*.x', iconName: null, lightIconName: null });
+});
@@ -0,0 +1,53 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { listPresets, loadPriorityList, parseListArgs } = require('../scripts/presets');
+
+test('the priority list builds from the presets it extends', () => {
+  const priorityList = loadPriorityList();
+
+  assert.deepEqual(priorityList.presets, ['wordpress']);
+  assert.ok(priorityList.extensions.includes('php'));
+  assert.ok(priorityList.extensions.includes('js'));
+  assert.deepEqual(priorityList.iconPacks, ['react']);
+  assert.equal(priorityList.output.dataUri, 'utf8');
+});
+
+test('selected presets replace the extended ones and share their base once', () => {
+  const priorityList = loadPriorityList(['python', 'go']);
+
+  assert.deepEqual(priorityList.presets, ['python', 'go']);
+  assert.ok(priorityList.extensions.includes('py'));
+  assert.ok(priorityList.extensions.includes('go'));
+  assert.ok(!priorityList.extensions.includes('php'));
+  // Base entries come first, without duplicates
+  assert.equal(priorityList.extensions[0], 'json');
+  assert.equal(new Set(priorityList.extensions).size, priorityList.extensions.length);
+  assert.equal(new Set(priorityList.folders).size, priorityList.folders.length);
+});
+
+test('unknown presets list the available ones', () => {
+  assert.ok(listPresets().includes('rust'));
+  assert.throws(() => loadPriorityList(['rsut']), /Unknown preset "rsut" \(available: .*rust/);
+  assert.throws(() => loadPriorityList(['../priority-list']), /Unknown preset/);
+});
+
+test('list flags are repeatable and split on commas', () => {
+  assert.deepEqual(parseListArgs(['--preset', 'python,go', '--preset=rust'], '--preset'), ['python', 'go', 'rust']);
+  assert.deepEqual(parseListArgs(['--preset=go', '--pack', 'react, vue'], '--pack'), ['react', 'vue']);
+  assert.equal(parseListArgs(['--watch'], '--preset'), undefined);
+});
+
+test('list flags without a value are rejected', () => {
+  assert.throws(() => parseListArgs(['--preset', '--pack', 'vue'], '--preset'), /--preset needs a value/);
+  assert.throws(() => parseListArgs(['--pack', 'vue', '--preset'], '--preset'), /--preset needs a value/);
+  assert.throws(() => parseListArgs(['--preset='], '--preset'), /--preset needs a value/);
+  assert.throws(() => parseListArgs(['--preset=--pack'], '--preset'), /--preset needs a value/);
+});
+
+test('patterns of the presets a preset extends come first, so they win ties', () => {
+  const { patterns } = loadPriorityList(['javascript']);
+  const base = loadPriorityList(['base']).patterns;
+
+  assert.deepEqual(patterns.slice(0, base.length), base);
+  assert.ok(patterns.indexOf('*.test.js') > patterns.indexOf('.env.*'));
+});
@@ -0,0 +1,100 @@
+const { test, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadFixture, closeFixture, iconsIn } = require('./helpers/dom');
+const { processItem, replaceIcons } = require('../src/runtime/replace');
+const { DIFF_ITEM_SELECTOR } = require('../src/runtime/selectors');
+
+const PULL_REQUEST_URL = 'https://github.com/octo/app/pull/12/files';
+
+let window;
+
+afterEach(async () => {
+  await closeFixture(window);
+});
+
+/**
+ * The "Files changed" file tree entry whose label reads `name`
+ */
+function fileTreeItem(document, name) {
+  return [...document.querySelectorAll('file-tree .ActionList-content')].find(item =>
+    item.querySelector('.ActionList-item-label').textContent.trim() === name
+  );
+}
+
+/**
+ * The diff file header for a path (classic headers by data-path, React headers by link text)
+ */
+function diffHeader(document, path) {
+  return document.querySelector(`.file-header[data-path="${path}"]`) ||
+    [...document.querySelectorAll('[class*="DiffFileHeader-module__diff-file-header--"]')].find(header =>
+      header.querySelector('h3 a').textContent.includes(path)
+    );
+}
+
+test('file tree entries get folder and file icons, with collapsed paths using the first folder', () => {
+  window = loadFixture('pull-request-files.html', { url: PULL_REQUEST_URL });
+  const { document } = window;
+  replaceIcons();
+
+  assert.deepEqual(iconsIn(fileTreeItem(document, 'src')), ['folder-src-open']);
+  assert.deepEqual(iconsIn(fileTreeItem(document, 'docs/guides')), ['folder-docs']);
+  assert.deepEqual(iconsIn(fileTreeItem(document, 'index.js')), ['javascript']);
+  // The icon replaces the leading octicon, not the trailing status one
+  const svgs = fileTreeItem(document, 'index.js').querySelectorAll('svg.octicon');
+  assert.ok(svgs[0].hasAttribute('data-material-icon-hidden'));
+  assert.ok(!svgs[1].hasAttribute('data-material-icon-hidden'));
+});
+
+test('deleted files get a dimmed icon in the file tree and their header', () => {
+  window = loadFixture('pull-request-files.html', { url: PULL_REQUEST_URL });
+  const { document } = window;
+  replaceIcons();
+
+  assert.equal(fileTreeItem(document, 'NOTES.md').querySelector('.material-icon-replacement').style.filter, 'opacity(0.5)');
+  assert.equal(fileTreeItem(document, 'index.js').querySelector('.material-icon-replacement').style.filter, '');
+  assert.equal(diffHeader(document, 'src/NOTES.md').querySelector('.material-icon-replacement').style.filter, 'opacity(0.5)');
+});
+
+test('diff headers get the icon in front of the file link, renamed files by their new name', () => {
+  window = loadFixture('pull-request-files.html', { url: PULL_REQUEST_URL });
+  const { document } = window;
+  replaceIcons();
+
+  const classic = diffHeader(document, 'src/index.js');
+  assert.deepEqual(iconsIn(classic), ['javascript']);
+  assert.equal(classic.querySelector('a.Link--primary').previousElementSibling.dataset.materialIcon, 'javascript');
+  assert.deepEqual(iconsIn(diffHeader(document, 'docs/README.md')), ['readme']);
+});
+
+test('file filter options get the icon of their extension', () => {
+  window = loadFixture('pull-request-files.html', { url: PULL_REQUEST_URL });
+  const { document } = window;
+  replaceIcons();
+
+  const options = [...document.querySelectorAll('label.js-file-filter-option')];
+  assert.deepEqual(options.map(iconsIn), [['javascript'], ['markdown'], []]);
+  // After the checkmark, before the extension text
+  assert.ok(options[0].querySelector('svg.SelectMenu-icon').nextSibling.classList.contains('material-icon-replacement'));
+});
+
+test('turning off tree icons leaves the file tree alone', () => {
+  window = loadFixture('pull-request-files.html', { url: PULL_REQUEST_URL, settings: { treeIcons: false } });
+  const { document } = window;
+  replaceIcons();
+
+  assert.deepEqual(iconsIn(document.querySelector('file-tree')), []);
+  assert.deepEqual(iconsIn(diffHeader(document, 'src/index.js')), ['javascript']);
+});
+
+test('reprocessing the page does not add icons twice', () => {
+  window = loadFixture('pull-request-files.html', { url: PULL_REQUEST_URL });
+  const { document } = window;
+  replaceIcons();
+  const before = iconsIn(document.body);
+
+  replaceIcons();
+  document.querySelectorAll(DIFF_ITEM_SELECTOR).forEach(item => processItem(item));
+
+  assert.deepEqual(iconsIn(document.body), before);
+  assert.equal(before.length, 9);
+});
@@ -0,0 +1,52 @@
+const { test, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadFixture, closeFixture, iconsIn, fileTableRow } = require('./helpers/dom');
+const { processItem, replaceIcons } = require('../src/runtime/replace');
+
+let window;
+
+afterEach(async () => {
+  await closeFixture(window);
+});
+
+test('the icon goes inside the quick-edit link, replacing the file octicon but not the pencil', () => {
+  window = loadFixture('refined-github-quick-edit.html');
+  const row = fileTableRow(window.document, 'package.json');
+  replaceIcons();
+
+  const editLink = row.querySelector('a.rgh-quick-file-edit');
+  assert.deepEqual(iconsIn(row), ['nodejs']);
+  assert.equal(editLink.firstElementChild.dataset.materialIcon, 'nodejs');
+  assert.ok(editLink.querySelector('svg.octicon-file').hasAttribute('data-material-icon-hidden'));
+  assert.ok(!editLink.querySelector('svg.octicon-pencil').hasAttribute('data-material-icon-hidden'));
+});
+
+test('wrapping an already replaced icon in a quick-edit link leaves one icon', () => {
+  window = loadFixture('refined-github-quick-edit.html');
+  const { document } = window;
+  const row = fileTableRow(document, 'index.js');
+  replaceIcons();
+  assert.deepEqual(iconsIn(row), ['javascript']);
+
+  // Refined GitHub wraps the octicon after our icon was added next to it
+  const svg = row.querySelector('svg.octicon-file');
+  const editLink = document.createElement('a');
+  editLink.className = 'rgh-quick-file-edit';
+  svg.parentNode.insertBefore(editLink, svg);
+  editLink.appendChild(svg);
+  processItem(row);
+
+  assert.deepEqual(iconsIn(row), ['javascript']);
+  assert.equal(editLink.firstElementChild.dataset.materialIcon, 'javascript');
+});
+
+test('reprocessing quick-edit rows does not add icons twice', () => {
+  window = loadFixture('refined-github-quick-edit.html');
+  const { document } = window;
+  replaceIcons();
+
+  replaceIcons();
+  document.querySelectorAll('tr.react-directory-row').forEach(row => processItem(row));
+
+  document.querySelectorAll('tr.react-directory-row').forEach(row => assert.equal(iconsIn(row).length, 1));
+});
@@ -0,0 +1,48 @@
+const { test, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadFixture, closeFixture, iconsIn, fileTableRow, treeItem } = require('./helpers/dom');
+const { injectIconStylesheet } = require('../src/runtime/dom');
+const { processItem, replaceIcons } = require('../src/runtime/replace');
+
+let window;
+
+afterEach(async () => {
+  await closeFixture(window);
+});
+
+test('img rendering gives each icon its data URI', () => {
+  window = loadFixture('repo-file-table.html');
+  replaceIcons();
+
+  const icon = fileTableRow(window.document, 'README.md').querySelector('.material-icon-replacement');
+  assert.equal(icon.tagName, 'IMG');
+  assert.ok(icon.getAttribute('src').startsWith('data:image/svg+xml'));
+});
+
+test('stylesheet rendering injects one stylesheet and gives rows only a class', () => {
+  window = loadFixture('repo-file-table.html', { rendering: 'stylesheet' });
+  const { document } = window;
+  injectIconStylesheet();
+  injectIconStylesheet();
+  replaceIcons();
+
+  assert.equal(document.querySelectorAll('style#material-icons-stylesheet').length, 1);
+  const icon = fileTableRow(document, 'README.md').querySelector('.material-icon-replacement');
+  assert.equal(icon.tagName, 'SPAN');
+  assert.equal(icon.className, 'material-icon-replacement material-icon--readme');
+  assert.equal(icon.getAttribute('style'), null);
+  assert.deepEqual(iconsIn(fileTableRow(document, 'src')), ['folder-src']);
+});
+
+test('stylesheet rendering swaps the class when a tree folder toggles', () => {
+  window = loadFixture('tree-view.html', { url: 'https://github.com/octo/app/blob/main/src/index.js', rendering: 'stylesheet' });
+  const item = treeItem(window.document, 'docs');
+  replaceIcons();
+
+  item.querySelector('svg.octicon').setAttribute('class', 'octicon octicon-file-directory-open-fill');
+  processItem(item);
+
+  const icon = item.querySelector('.material-icon-replacement');
+  assert.deepEqual(iconsIn(item), ['folder-docs-open']);
+  assert.equal(icon.className, 'material-icon-replacement material-icon--folder-docs-open');
+});
@@ -0,0 +1,112 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { parseGitignore, isIgnored } = require('../scripts/gitignore');
+const { scanDirectories, suggestEntries, countGaining, mergeIntoSource } = require('../scripts/scan');
+
+test('gitignore rules: anchoring, folder-only rules, ** and negation', () => {
+  const levels = [{ base: '/repo', rules: parseGitignore('# build output\n/dist\nbuild/\n**/cache/*.json\n*.log\n!keep.log\n') }];
+  const ignored = (file, isFolder = false) => isIgnored(levels, path.join('/repo', file), isFolder);
+
+  assert.ok(ignored('dist', true));
+  assert.ok(!ignored('src/dist', true));
+  assert.ok(ignored('src/build', true));
+  assert.ok(!ignored('build'));
+  assert.ok(ignored('a/b/cache/icons.json'));
+  assert.ok(!ignored('a/b/cache/icons.svg'));
+  assert.ok(ignored('logs/debug.log'));
+  assert.ok(!ignored('logs/keep.log'));
+});
+
+test('scanning counts names and honors nested .gitignore files', () => {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), 'scan-'));
+  const files = ['src/a.ts', 'src/b.ts', 'src/__tests__/a.test.ts', 'tests/b.test.ts', 'vendor/lib.js', 'notes/todo.txt', 'notes/keep.txt', 'Dockerfile'];
+  files.forEach(file => {
+    fs.mkdirSync(path.join(root, path.dirname(file)), { recursive: true });
+    fs.writeFileSync(path.join(root, file), '');
+  });
+  fs.mkdirSync(path.join(root, '.git'));
+  fs.writeFileSync(path.join(root, '.git', 'HEAD'), '');
+  fs.writeFileSync(path.join(root, '.gitignore'), 'vendor/\n*.txt\n');
+  fs.writeFileSync(path.join(root, 'notes', '.gitignore'), '!keep.txt\n');
+
+  try {
+    const scan = scanDirectories([root]);
+
+    assert.equal(scan.files.get('a.ts'), 1);
+    assert.equal(scan.files.get('keep.txt'), 1);
+    assert.ok(!scan.files.has('todo.txt'));
+    assert.ok(!scan.files.has('lib.js'));
+    assert.ok(!scan.files.has('HEAD'));
+    assert.deepEqual([...scan.folders.keys()].sort(), ['__tests__', 'notes', 'src', 'tests']);
+  } finally {
+    fs.rmSync(root, { recursive: true, force: true });
+  }
+});
+
+test('suggestions rank the entries that would change an icon', () => {
+  const scan = {
+    files: new Map([['a.ts', 3], ['index.d.ts', 2], ['Dockerfile', 1], ['app.js', 4], ['main.go', 1]]),
+    folders: new Map([['__tests__', 2], ['src', 5], ['misc', 1]]),
+  };
+  const mappings = {
+    extensions: { js: 'javascript' },
+    filenames: {},
+    patterns: [],
+    folders: { src: 'folder-src' },
+    folderMatching: { underscorePrefixes: true, plurals: false },
+  };
+  const fileIcons = {
+    fileExtensions: { js: 'javascript', ts: 'typescript', 'd.ts': 'typescript-def', go: 'go' },
+    fileNames: { dockerfile: 'docker' },
+  };
+  const folderIcons = { folderNames: { src: 'folder-src', tests: 'folder-test' } };
+
+  const suggestions = suggestEntries(scan, { mappings, fileIcons, folderIcons });
+
+  assert.deepEqual(suggestions, [
+    { type: 'extensions', entry: 'ts', icon: 'typescript', count: 3, names: ['a.ts'] },
+    { type: 'extensions', entry: 'd.ts', icon: 'typescript-def', count: 2, names: ['index.d.ts'] },
+    { type: 'folders', entry: 'tests', icon: 'folder-test', count: 2, names: ['__tests__'] },
+    { type: 'extensions', entry: 'go', icon: 'go', count: 1, names: ['main.go'] },
+    { type: 'filenames', entry: 'Dockerfile', icon: 'docker', count: 1, names: ['Dockerfile'] },
+  ]);
+  assert.deepEqual(countGaining(scan, suggestions), { files: 7, folders: 2 });
+  // Only the selected suggestions count (e.g. after --min-count 2)
+  assert.deepEqual(countGaining(scan, suggestions.filter(({ count }) => count >= 2)), { files: 5, folders: 2 });
+});
+
+test('merged entries keep the priority list formatting', () => {
+  const source = [
+    'module.exports = {',
+    '  extensions: [],',
+    '  filenames: [',
+    "    'README.md'",
+    '  ],',
+    "  folders: ['src'],",
+    '};',
+    '',
+  ].join('\n');
+
+  const merged = mergeIntoSource(source, { extensions: ['ts', 'd.ts'], filenames: ['Dockerfile'], folders: ["it's"] });
+
+  assert.equal(merged, [
+    'module.exports = {',
+    '  extensions: [',
+    '    // Found by npm run scan',
+    "    'ts',",
+    "    'd.ts',",
+    '  ],',
+    '  filenames: [',
+    "    'README.md',",
+    '    // Found by npm run scan',
+    "    'Dockerfile',",
+    '  ],',
+    "  folders: ['src', 'it\\'s'],",
+    '};',
+    '',
+  ].join('\n'));
+  assert.throws(() => mergeIntoSource('module.exports = {};', { folders: ['src'] }), /No "folders: \[\.\.\.\]" array/);
+});
@@ -0,0 +1,95 @@
+const { test, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadFixture, closeFixture, iconsIn } = require('./helpers/dom');
+const { processItem, replaceIcons } = require('../src/runtime/replace');
+const { SEARCH_RESULT_SELECTOR } = require('../src/runtime/selectors');
+
+const REPO_URL = 'https://github.com/octo/app';
+const SEARCH_URL = 'https://github.com/search?q=json&type=code';
+
+let window;
+
+afterEach(async () => {
+  await closeFixture(window);
+});
+
+test('finder rows get the icon of the file they link to', () => {
+  window = loadFixture('file-finder.html', { url: REPO_URL });
+  const { document } = window;
+  replaceIcons();
+
+  assert.deepEqual([...document.querySelectorAll('[role="option"]')].map(iconsIn), [['javascript'], ['typescript-def'], ['markdown']]);
+  assert.ok(document.querySelector('[role="option"] svg.octicon-file').hasAttribute('data-material-icon-hidden'));
+});
+
+test('recycled finder rows swap their icon in place', () => {
+  window = loadFixture('file-finder.html', { url: REPO_URL });
+  const { document } = window;
+  replaceIcons();
+  const row = document.querySelector('#file-finder-item-0');
+  const icon = row.querySelector('.material-icon-replacement');
+
+  // The virtualized list reuses the row for another result
+  row.querySelector('a').setAttribute('href', '/octo/app/blob/main/README.md');
+  processItem(row);
+
+  assert.deepEqual(iconsIn(row), ['readme']);
+  assert.equal(row.querySelector('.material-icon-replacement'), icon);
+});
+
+test('rows recycled for a file without an icon get their octicon back', () => {
+  window = loadFixture('file-finder.html', { url: REPO_URL, settings: { defaultFallback: false } });
+  const { document } = window;
+  replaceIcons();
+  const row = document.querySelector('#file-finder-item-0');
+
+  row.querySelector('a').setAttribute('href', '/octo/app/blob/main/Makefile.unknown');
+  processItem(row);
+
+  assert.deepEqual(iconsIn(row), []);
+  assert.ok(!row.querySelector('svg.octicon-file').hasAttribute('data-material-icon-hidden'));
+});
+
+test('a malformed escape in a result link does not stop the other results', () => {
+  window = loadFixture('file-finder.html', { url: REPO_URL });
+  const { document } = window;
+  document.querySelector('#file-finder-item-0 a').setAttribute('href', '/octo/app/blob/main/100%.js');
+  replaceIcons();
+
+  assert.deepEqual([...document.querySelectorAll('[role="option"]')].map(iconsIn), [['javascript'], ['typescript-def'], ['markdown']]);
+});
+
+test('code search results get a leading icon, and line links are left alone', () => {
+  window = loadFixture('code-search.html', { url: SEARCH_URL });
+  const { document } = window;
+  replaceIcons();
+
+  const links = [...document.querySelectorAll('[data-testid="link-to-search-result"]')];
+  assert.deepEqual(links.map(iconsIn), [['nodejs'], ['typescript']]);
+  assert.equal(links[0].firstElementChild.dataset.materialIcon, 'nodejs');
+  assert.deepEqual(iconsIn(document.querySelector('.code-list')), []);
+});
+
+test('reprocessing finder rows does not add icons twice', () => {
+  window = loadFixture('file-finder.html', { url: REPO_URL });
+  const { document } = window;
+  replaceIcons();
+  const before = iconsIn(document.body);
+
+  replaceIcons();
+  document.querySelectorAll(SEARCH_RESULT_SELECTOR).forEach(item => processItem(item));
+
+  assert.deepEqual(iconsIn(document.body), before);
+  assert.equal(before.length, 3);
+});
+
+test('reprocessing code search results does not add icons twice', () => {
+  window = loadFixture('code-search.html', { url: SEARCH_URL });
+  const { document } = window;
+  replaceIcons();
+
+  replaceIcons();
+  document.querySelectorAll(SEARCH_RESULT_SELECTOR).forEach(item => processItem(item));
+
+  assert.deepEqual(iconsIn(document.body), ['nodejs', 'typescript']);
+});
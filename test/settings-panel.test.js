@@ -0,0 +1,54 @@
+const { test, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadFixture, closeFixture, iconsIn, fileTableRow } = require('./helpers/dom');
+const { replaceIcons } = require('../src/runtime/replace');
+const { openSettingsPanel } = require('../src/runtime/settings-panel');
+const { state } = require('../src/runtime/state');
+
+let window;
+
+afterEach(async () => {
+  await closeFixture(window);
+});
+
+/**
+ * The settings panel's Add row: extension input, preview, icon select and Add button
+ */
+function addRow(document) {
+  const [extInput, preview, iconSelect, addButton] = document.querySelector('.material-icons-settings input[type="text"]').parentNode.children;
+  return { extInput, preview, iconSelect, addButton };
+}
+
+test('adding an override keeps the panel previews and re-applies page icons', () => {
+  window = loadFixture('repo-file-table.html');
+  const { document } = window;
+  replaceIcons();
+  openSettingsPanel();
+  const { extInput, preview, iconSelect, addButton } = addRow(document);
+
+  extInput.value = '.ts';
+  iconSelect.value = 'javascript';
+  iconSelect.dispatchEvent(new window.Event('change'));
+  addButton.click();
+
+  assert.deepEqual(state.settings.extensionOverrides, { ts: 'javascript' });
+  assert.ok(preview.isConnected);
+  assert.deepEqual(iconsIn(document.querySelector('.material-icons-settings')), ['javascript', 'javascript']);
+  assert.deepEqual(iconsIn(fileTableRow(document, 'README.md')), ['readme']);
+});
+
+test('toggling a setting keeps the panel previews', () => {
+  window = loadFixture('repo-file-table.html', { settings: { extensionOverrides: { md: 'json' } } });
+  const { document } = window;
+  replaceIcons();
+  openSettingsPanel();
+  const panel = document.querySelector('.material-icons-settings');
+  const before = iconsIn(panel);
+
+  const folderToggle = [...panel.querySelectorAll('label')].find(label => label.textContent.includes('Folder icons')).querySelector('input');
+  folderToggle.click();
+
+  assert.equal(state.settings.folderIcons, false);
+  assert.deepEqual(iconsIn(panel), before);
+  assert.deepEqual(iconsIn(fileTableRow(document, 'src')), []);
+});
@@ -0,0 +1,60 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { minifySvg, svgToDataUri } = require('../scripts/svg-optimize');
+
+test('comments, metadata and editor markup are removed', () => {
+  const svg = `<?xml version="1.0" encoding="UTF-8"?>
+<!-- Generator: Sketch -->
+<svg xmlns="http://www.w3.org/2000/svg" xmlns:sodipodi="http://sodipodi.sourceforge.net" version="1.1" viewBox="0 0 16 16">
+  <title>icon</title>
+  <metadata><rdf:RDF/></metadata>
+  <sodipodi:namedview pagecolor="#fff"/>
+  <path sodipodi:nodetypes="cc" data-name="Layer 1" d="M0 0h16v16H0z" fill="#42a5f5"/>
+</svg>`;
+
+  assert.equal(
+    minifySvg(svg),
+    '<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 16 16"><path d="M0 0h16v16H0z" fill="#42a5f5"/></svg>'
+  );
+});
+
+test('ids are kept only when referenced', () => {
+  const svg = '<svg xmlns="http://www.w3.org/2000/svg"><defs><linearGradient id="a"/></defs><g id="layer"><path id="p" fill="url(#a)" d="M0 0"/></g></svg>';
+  const minified = minifySvg(svg);
+
+  assert.match(minified, /<linearGradient id="a"\/>/);
+  assert.doesNotMatch(minified, /id="layer"|id="p"/);
+});
+
+test('rounding keeps packed numbers apart', () => {
+  const minified = minifySvg('<svg><path d="M1-.0004 2.4999-0.0001L1.00001.5"/></svg>');
+
+  assert.equal(minified, '<svg><path d="M1 0 2.5 0L1 .5"/></svg>');
+});
+
+test('inherited defaults are only dropped when never overridden', () => {
+  const plain = minifySvg('<svg><path fill-rule="nonzero" opacity="1" d="M0 0"/></svg>');
+  assert.equal(plain, '<svg><path d="M0 0"/></svg>');
+
+  const overridden = minifySvg('<svg><g fill-rule="evenodd"><path fill-rule="nonzero" d="M0 0"/></g></svg>');
+  assert.match(overridden, /<path fill-rule="nonzero"/);
+});
+
+test('UTF-8 data URIs decode back to the SVG with single quotes', () => {
+  const svg = '<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 16 16"><path d="M1 1h14#%" fill="#fff"/></svg>';
+  const dataUri = svgToDataUri(svg, 'utf8');
+
+  assert.ok(dataUri.startsWith('data:image/svg+xml,'));
+  assert.doesNotMatch(dataUri, /["#<>]/);
+  assert.equal(decodeURIComponent(dataUri.slice('data:image/svg+xml,'.length)), svg.replace(/"/g, "'"));
+  assert.throws(() => svgToDataUri(svg, 'hex'), /Unknown data URI encoding/);
+});
+
+test('packed arc flags stay separate flags', () => {
+  assert.equal(
+    minifySvg('<svg><path d="M0 0a2 2 0 012-2A1.00004 1 0 1 1 3.5 4.25z"/></svg>'),
+    '<svg><path d="M0 0a2 2 0 0 1 2-2A1 1 0 1 1 3.5 4.25z"/></svg>'
+  );
+  // Data that doesn't parse is kept as it is
+  assert.equal(minifySvg('<svg><path d="M0 0a2 2 0 2 1 3 3"/></svg>'), '<svg><path d="M0 0a2 2 0 2 1 3 3"/></svg>');
+});
@@ -0,0 +1,89 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const { extractTarball } = require('../scripts/tarball');
+
+/**
+ * A ustar header block followed by its data, padded to whole blocks
+ */
+function tarEntry(name, content = '', { type = '0', prefix = '', mtime = 0 } = {}) {
+  const data = Buffer.from(content);
+  const header = Buffer.alloc(512);
+  header.write(name, 0, 100);
+  header.write('0000644\0', 100);
+  header.write(data.length.toString(8).padStart(11, '0') + '\0', 124);
+  header.write(mtime.toString(8).padStart(11, '0') + '\0', 136);
+  header.write(type, 156);
+  header.write('ustar\0', 257);
+  header.write(prefix, 345, 155);
+  return Buffer.concat([header, data, Buffer.alloc(Math.ceil(data.length / 512) * 512 - data.length)]);
+}
+
+/**
+ * A pax header entry with the given records
+ */
+function paxEntry(type, records) {
+  const body = Object.entries(records).map(([key, value]) => {
+    const record = ` ${key}=${value}\n`;
+    // The length prefix counts itself
+    let length = record.length + 1;
+    if (String(length).length + record.length > length) length++;
+    return `${length}${record}`;
+  }).join('');
+  return tarEntry('pax_header', body, { type });
+}
+
+function writeTarball(dir, entries) {
+  const tarballPath = path.join(dir, 'archive.tgz');
+  fs.writeFileSync(tarballPath, zlib.gzipSync(Buffer.concat([...entries, Buffer.alloc(1024)])));
+  return tarballPath;
+}
+
+function withTempDir(fn) {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), 'tarball-'));
+  try {
+    fn(root);
+  } finally {
+    fs.rmSync(root, { recursive: true, force: true });
+  }
+}
+
+test('entries are read from ustar prefixes, GNU long names and pax headers', () => {
+  withTempDir(root => {
+    const longName = `repo/icons/${'long-'.repeat(25)}icon.svg`;
+    const tarballPath = writeTarball(root, [
+      paxEntry('g', { comment: '440b5257a9d78c461b5e778f6eeb2ca6b1483242' }),
+      tarEntry('repo/icons/', '', { type: '5' }),
+      tarEntry('go.svg', '<svg/>', { prefix: 'repo/icons', mtime: 100 }),
+      tarEntry('././@LongLink', longName, { type: 'L' }),
+      tarEntry(longName.slice(0, 99), '<svg id="long"/>', { mtime: 300 }),
+      paxEntry('x', { path: 'repo/icons/pax-name.svg' }),
+      tarEntry('repo/icons/truncated.svg', '<svg id="pax"/>', { mtime: 200 }),
+      tarEntry('repo/README.md', '# readme'),
+    ]);
+    const dest = path.join(root, 'out');
+
+    const result = extractTarball(tarballPath, dest, entry => (
+      entry.startsWith('repo/icons/') ? entry.slice('repo/icons/'.length) : null
+    ));
+
+    assert.deepEqual(result, { files: 3, comment: '440b5257a9d78c461b5e778f6eeb2ca6b1483242', mtime: 300 });
+    assert.deepEqual(fs.readdirSync(dest).sort(), [longName.slice('repo/icons/'.length), 'go.svg', 'pax-name.svg'].sort());
+    assert.equal(fs.readFileSync(path.join(dest, 'pax-name.svg'), 'utf8'), '<svg id="pax"/>');
+  });
+});
+
+test('entries that would land outside the destination are refused', () => {
+  withTempDir(root => {
+    const dest = path.join(root, 'out');
+
+    for (const name of ['../escape.svg', 'icons/../../escape.svg', '/tmp/escape.svg']) {
+      const tarballPath = writeTarball(root, [tarEntry(name, '<svg/>')]);
+      assert.throws(() => extractTarball(tarballPath, dest, entry => entry), /Refusing to extract/);
+    }
+    assert.ok(!fs.existsSync(path.join(root, 'escape.svg')));
+  });
+});
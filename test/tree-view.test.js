@@ -0,0 +1,76 @@
+const { test, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadFixture, closeFixture, iconsIn, treeItem } = require('./helpers/dom');
+const { processItem, replaceIcons } = require('../src/runtime/replace');
+
+const BLOB_URL = 'https://github.com/octo/app/blob/main/src/index.js';
+
+let window;
+
+afterEach(async () => {
+  await closeFixture(window);
+});
+
+test('tree view items get folder and file icons', () => {
+  window = loadFixture('tree-view.html', { url: BLOB_URL });
+  const { document } = window;
+  replaceIcons();
+
+  assert.deepEqual(iconsIn(treeItem(document, 'src')), ['folder-src-open']);
+  assert.deepEqual(iconsIn(treeItem(document, 'docs')), ['folder-docs']);
+  assert.deepEqual(iconsIn(treeItem(document, 'index.js')), ['javascript']);
+  assert.deepEqual(iconsIn(treeItem(document, 'package.json')), ['nodejs']);
+});
+
+test('toggling a folder swaps its icon in place', () => {
+  window = loadFixture('tree-view.html', { url: BLOB_URL });
+  const item = treeItem(window.document, 'docs');
+  replaceIcons();
+  const img = item.querySelector('.material-icon-replacement');
+
+  // GitHub swaps the octicon class when the folder expands
+  const svg = item.querySelector('svg.octicon');
+  svg.setAttribute('class', 'octicon octicon-file-directory-open-fill');
+  processItem(item);
+
+  assert.deepEqual(iconsIn(item), ['folder-docs-open']);
+  assert.equal(item.querySelector('.material-icon-replacement'), img);
+});
+
+test('a new octicon added on toggle is hidden without adding another icon', () => {
+  window = loadFixture('tree-view.html', { url: BLOB_URL });
+  const { document } = window;
+  const item = treeItem(document, 'src');
+  replaceIcons();
+
+  // GitHub may also render a fresh octicon next to the old one
+  const visual = item.querySelector('.PRIVATE_TreeView-directory-icon');
+  const collapsed = document.createElementNS('http://www.w3.org/2000/svg', 'svg');
+  collapsed.setAttribute('class', 'octicon octicon-file-directory-fill');
+  visual.replaceChild(collapsed, visual.querySelector('svg.octicon'));
+  processItem(item);
+
+  assert.deepEqual(iconsIn(item), ['folder-src']);
+  assert.equal(collapsed.style.visibility, 'hidden');
+});
+
+test('reprocessing tree items does not add icons twice', () => {
+  window = loadFixture('tree-view.html', { url: BLOB_URL });
+  const { document } = window;
+  replaceIcons();
+  const items = [...document.querySelectorAll('.PRIVATE_TreeView-item-content')];
+  const before = items.map(iconsIn);
+
+  replaceIcons();
+  items.forEach(item => processItem(item));
+
+  assert.deepEqual(items.map(iconsIn), before);
+  before.forEach(icons => assert.equal(icons.length, 1));
+});
+
+test('tree icons can be turned off in the settings', () => {
+  window = loadFixture('tree-view.html', { url: BLOB_URL, settings: { treeIcons: false } });
+  replaceIcons();
+
+  assert.equal(window.document.querySelectorAll('.material-icon-replacement').length, 0);
+});